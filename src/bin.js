@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+/**
+ * Executable entry point for the metalsmith-optimize-images command
+ */
+import { main } from './cli.js';
+
+process.exitCode = await main(process.argv.slice(2));
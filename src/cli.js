@@ -0,0 +1,401 @@
+/**
+ * Command-line interface
+ * Maintains the persistent variant cache outside of a Metalsmith build, e.g.
+ * in a pre-commit hook or a CI step of its own, with the plugin's options
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { pathToFileURL } from 'node:url';
+import { buildConfig } from './utils/config.js';
+import { assertWithin, cachePathFor } from './utils/paths.js';
+import { createTaskQueue } from './utils/queue.js';
+import { warnUnsupportedJxl } from './utils/jxl.js';
+import { forgetCacheFiles, loadCacheIndex, saveCacheIndex } from './utils/cacheIndex.js';
+import { formatPruneReport, pruneCache } from './utils/prune.js';
+import { processImageToVariants } from './processors/imageProcessor.js';
+import { processBackgroundImageVariants } from './processors/backgroundProcessor.js';
+import { inspectSources, verifyCacheFiles } from './processors/cacheInspector.js';
+
+const PLUGIN_NAME = 'metalsmith-optimize-images';
+
+/**
+ * Config files looked for in the working directory, in order. metalsmith.json
+ * is read the way the Metalsmith CLI reads it.
+ */
+const CONFIG_FILES = [
+  `${PLUGIN_NAME}.config.js`,
+  `${PLUGIN_NAME}.config.mjs`,
+  `${PLUGIN_NAME}.config.json`,
+  'metalsmith.json'
+];
+
+const USAGE = `Usage: ${PLUGIN_NAME} <command> [options]
+
+Commands:
+  warm [glob...]     Generate missing and stale variants of matching source images
+  status [glob...]   Report missing, stale and orphaned variants per source image
+  prune [cacheDir]   Remove cached files the last build did not reference
+  verify             Check that every cached variant decodes and matches its name
+
+Globs are relative to the Metalsmith source directory and default to the
+imagePattern option.
+
+Options:
+  -c, --config <file>  Plugin options: a .js/.mjs module exporting them, a .json
+                       file, or metalsmith.json (default: the first found of
+                       ${PLUGIN_NAME}.config.{js,mjs,json}, metalsmith.json)
+  --source <dir>       Metalsmith source directory, relative to the config file
+                       (default: "source" in metalsmith.json, else src)
+  --html               HTML variants (warm, status; the default)
+  --background         Background variants instead (warm, status); add --html
+                       for both. Only pass images the build uses as
+                       backgrounds: prune removes background variants of
+                       images the build only uses in HTML
+  --dry-run            List what prune would remove and the bytes it would reclaim
+  -v, --verbose        Print debug output
+  -h, --help           Show this help`;
+
+/**
+ * Read plugin options from a config file
+ * @param {string} configPath - Absolute path to the config file
+ * @return {Promise<{options: Object, source: string|undefined}>} - Plugin options, and the source
+ *   directory when the file is metalsmith.json
+ */
+async function readConfigFile(configPath) {
+  const data = configPath.endsWith('.json')
+    ? JSON.parse(fs.readFileSync(configPath, 'utf8'))
+    : (await import(pathToFileURL(configPath).href)).default;
+
+  if (!data?.plugins) {
+    return { options: data, source: undefined };
+  }
+
+  // metalsmith.json: plugins is an object or an array of objects keyed by plugin name
+  const plugins = Array.isArray(data.plugins) ? data.plugins : [data.plugins];
+  const entry = plugins.find((plugin) => plugin && Object.hasOwn(plugin, PLUGIN_NAME));
+  if (!entry) {
+    throw new Error(`${configPath} does not configure ${PLUGIN_NAME}`);
+  }
+  return { options: entry[PLUGIN_NAME] === true ? {} : entry[PLUGIN_NAME], source: data.source };
+}
+
+/**
+ * Resolve the config file, the plugin configuration and the directories the
+ * commands work on. Paths resolve against the config file's directory, as
+ * they resolve against metalsmith.directory() in a build.
+ * @param {Object} values - Parsed flags
+ * @return {Promise<Object>} - Command context: { config, sourceDir, cacheDir, cacheIndex, debug }
+ */
+async function loadContext(values) {
+  const configPath = values.config
+    ? path.resolve(values.config)
+    : CONFIG_FILES.map((file) => path.resolve(file)).find((file) => fs.existsSync(file));
+  if (!configPath || !fs.existsSync(configPath)) {
+    throw new Error(
+      values.config
+        ? `Config file ${configPath} does not exist`
+        : `No config file found, looked for ${CONFIG_FILES.join(', ')}`
+    );
+  }
+
+  const { options, source } = await readConfigFile(configPath);
+  const config = buildConfig(options);
+  warnUnsupportedJxl(config);
+  if (!config.cache) {
+    throw new Error(`${configPath} does not enable the cache option, which these commands maintain`);
+  }
+
+  const directory = path.dirname(configPath);
+  const cacheDir = assertWithin(directory, cachePathFor(config), 'cache');
+  const debug = values.verbose ? (message) => console.error(message) : () => {};
+
+  return {
+    config,
+    sourceDir: path.resolve(directory, values.source || source || 'src'),
+    cacheDir,
+    cacheIndex: loadCacheIndex(cacheDir, debug),
+    debug
+  };
+}
+
+/**
+ * Find the source images matching the command's globs. Background variants
+ * of images under imageFolder are keyed relative to it, as the build's
+ * folder scan keys them; others by their path in the source directory.
+ * @param {Object} context - Command context
+ * @param {string[]} patterns - Globs relative to the source directory
+ * @return {Array<{path: string, backgroundKey: string, buffer: Buffer}>} - Matching source images
+ */
+function findSources({ config, sourceDir, cacheDir }, patterns) {
+  const imageRoot = path.join(sourceDir, config.imageFolder);
+  const inside = (dir, file) => {
+    const rel = path.relative(dir, file);
+    return rel !== '' && !rel.startsWith('..') && !path.isAbsolute(rel);
+  };
+
+  return fs
+    .globSync(patterns.length > 0 ? patterns : [config.imagePattern], { cwd: sourceDir })
+    .map((file) => path.join(sourceDir, file))
+    .filter((fullPath) => fs.statSync(fullPath).isFile())
+    .filter((fullPath) => !inside(cacheDir, fullPath) && !inside(path.join(sourceDir, config.outputDir), fullPath))
+    .sort()
+    .map((fullPath) => ({
+      path: path.relative(sourceDir, fullPath),
+      backgroundKey: inside(imageRoot, fullPath)
+        ? path.relative(imageRoot, fullPath)
+        : path.relative(sourceDir, fullPath),
+      buffer: fs.readFileSync(fullPath)
+    }));
+}
+
+/**
+ * Which variant kinds a command covers: HTML variants unless --background
+ * asks for background ones. The command cannot tell which sources the build
+ * uses as backgrounds, and background variants of the others would only be
+ * pruned again, so they are opt-in.
+ * @param {Object} values - Parsed flags
+ * @return {{html: boolean, background: boolean}} - Variant kinds
+ */
+function variantKinds(values) {
+  return { html: values.html || !values.background, background: values.background };
+}
+
+/**
+ * Generate the variants of matching source images that are not cached yet
+ * @param {string[]} positionals - Globs
+ * @param {Object} values - Parsed flags
+ * @return {Promise<number>} - Exit code
+ */
+async function warmCommand(positionals, values) {
+  const context = await loadContext(values);
+  const { config, cacheDir, cacheIndex, debug } = context;
+  const sources = findSources(context, positionals);
+  if (sources.length === 0) {
+    throw new Error(`No source images match ${positionals.join(' ') || config.imagePattern} in ${context.sourceDir}`);
+  }
+
+  const kinds = variantKinds(values);
+  const queue = createTaskQueue(config.concurrency);
+  const failures = [];
+  fs.mkdirSync(cacheDir, { recursive: true });
+
+  await Promise.all(
+    sources.map(async (source) => {
+      try {
+        if (kinds.html) {
+          await processImageToVariants(source.buffer, source.path, debug, config, cacheDir, queue, cacheIndex);
+        }
+        if (kinds.background) {
+          await processBackgroundImageVariants(
+            source.buffer,
+            source.backgroundKey,
+            debug,
+            config,
+            cacheDir,
+            queue,
+            cacheIndex
+          );
+        }
+      } catch (err) {
+        failures.push(`${source.path}: ${err.message}`);
+      }
+    })
+  );
+
+  saveCacheIndex(cacheDir, cacheIndex, debug);
+
+  const { completed, failed } = queue.stats();
+  process.stdout.write(
+    `Warmed ${sources.length} source image(s), encoding ${completed} variant(s) that were not cached\n`
+  );
+  if (failures.length > 0 || failed > 0) {
+    console.error(`${failures.length + failed} failure(s)${failures.map((failure) => `\n  ${failure}`).join('')}`);
+    return 1;
+  }
+  return 0;
+}
+
+/**
+ * Describe one kind of variant in a status line
+ * @param {string} kind - 'html' or 'background'
+ * @param {Object} result - Result for the kind from inspectSources
+ * @return {string} - e.g. 'html: 8 of 10 cached, 2 missing'
+ */
+function describeKind(kind, result) {
+  const current = result.expected - result.missing.length - result.stale.length;
+  const parts = [`${current} of ${result.expected} cached`];
+  if (result.missing.length > 0) {
+    parts.push(`${result.missing.length} missing`);
+  }
+  if (result.stale.length > 0) {
+    parts.push(`${result.stale.length} stale${result.reason ? ` (${result.reason})` : ''}`);
+  }
+  return `${kind}: ${parts.join(', ')}`;
+}
+
+/**
+ * Report missing, stale and orphaned variants per source image. Exits with
+ * 1 when anything is missing or stale, so CI can require a warm cache.
+ * @param {string[]} positionals - Globs
+ * @param {Object} values - Parsed flags
+ * @return {Promise<number>} - Exit code
+ */
+async function statusCommand(positionals, values) {
+  const context = await loadContext(values);
+  const kinds = variantKinds(values);
+  const report = await inspectSources(findSources(context, positionals), context, kinds);
+  const lines = [];
+  let outdated = 0;
+  let orphaned = report.unattributed.length;
+
+  for (const source of report.sources) {
+    lines.push(source.path);
+    for (const kind of ['html', 'background']) {
+      if (source[kind]) {
+        lines.push(`  ${describeKind(kind, source[kind])}`);
+        outdated += source[kind].missing.length + source[kind].stale.length;
+      }
+    }
+    if (source.orphaned.length > 0) {
+      lines.push(`  orphaned: ${source.orphaned.join(', ')}`);
+      orphaned += source.orphaned.length;
+    }
+  }
+  if (report.unattributed.length > 0) {
+    lines.push(`Orphaned, no matching source: ${report.unattributed.join(', ')}`);
+  }
+
+  lines.push(
+    `${report.sources.length} source image(s): ${outdated} variant(s) missing or stale, ${orphaned} orphaned file(s)`
+  );
+  process.stdout.write(`${lines.join('\n')}\n`);
+  return outdated > 0 ? 1 : 0;
+}
+
+/**
+ * Remove the files in a cache directory that the last build did not
+ * reference, as recorded in the cache index
+ * @param {string[]} positionals - [cacheDir], or none to use the config file
+ * @param {Object} values - Parsed flags
+ * @return {Promise<number>} - Exit code
+ */
+async function pruneCommand(positionals, values) {
+  if (positionals.length > 1) {
+    throw new Error('prune expects at most one cache directory');
+  }
+
+  // A directory argument works without a config file; variant names then follow the default outputPattern
+  const context = positionals.length === 1 && !values.config ? null : await loadContext(values);
+  const cacheDir = positionals.length === 1 ? path.resolve(positionals[0]) : context.cacheDir;
+  const config = context ? context.config : buildConfig({});
+  if (!fs.existsSync(cacheDir)) {
+    throw new Error(`Cache directory ${cacheDir} does not exist`);
+  }
+
+  const index = loadCacheIndex(cacheDir, () => {});
+  if (!index.live) {
+    throw new Error(
+      `Cache index in ${cacheDir} does not record which files the last build used. ` +
+        'Run a build with the cache enabled first.'
+    );
+  }
+
+  const report = pruneCache(cacheDir, index.live, config, { dryRun: values['dry-run'] });
+  if (!report.dryRun) {
+    forgetCacheFiles(
+      index,
+      report.files.map((file) => file.name)
+    );
+    saveCacheIndex(cacheDir, index, () => {});
+  }
+  process.stdout.write(`${formatPruneReport(report)}\n`);
+  return 0;
+}
+
+/**
+ * Check every cached variant, exiting with 1 when any is damaged. Temp
+ * files of interrupted writes are reported without failing.
+ * @param {string[]} positionals - Unused
+ * @param {Object} values - Parsed flags
+ * @return {Promise<number>} - Exit code
+ */
+async function verifyCommand(positionals, values) {
+  if (positionals.length > 0) {
+    throw new Error('verify takes no arguments');
+  }
+
+  const context = await loadContext(values);
+  const { checked, problems, interrupted } = await verifyCacheFiles(
+    context,
+    createTaskQueue(context.config.concurrency)
+  );
+  if (interrupted.length > 0) {
+    process.stdout.write(
+      `${interrupted.length} interrupted write(s) left behind: ${interrupted.join(', ')}\n` +
+        `Run "${PLUGIN_NAME} prune" to remove them.\n`
+    );
+  }
+  if (problems.length === 0) {
+    process.stdout.write(`Verified ${checked} cached file(s): all intact\n`);
+    return 0;
+  }
+
+  console.error(
+    `${problems.length} problem(s) in ${checked} cached file(s):\n` +
+      `${problems.map(({ file, problem }) => `  ${file} ${problem}`).join('\n')}\n` +
+      `Delete the damaged files and run "${PLUGIN_NAME} warm" or a build to regenerate them.`
+  );
+  return 1;
+}
+
+const COMMANDS = {
+  warm: warmCommand,
+  status: statusCommand,
+  prune: pruneCommand,
+  verify: verifyCommand
+};
+
+/**
+ * Run the command line
+ * @param {string[]} argv - Arguments after the executable and script
+ * @return {Promise<number>} - Exit code
+ */
+export async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        config: { type: 'string', short: 'c' },
+        source: { type: 'string' },
+        html: { type: 'boolean', default: false },
+        background: { type: 'boolean', default: false },
+        'dry-run': { type: 'boolean', default: false },
+        verbose: { type: 'boolean', short: 'v', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const [command, ...positionals] = parsed.positionals;
+  if (parsed.values.help || !command) {
+    process.stdout.write(`${USAGE}\n`);
+    return parsed.values.help ? 0 : 2;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command "${command}"\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    return await COMMANDS[command](positionals, parsed.values);
+  } catch (err) {
+    console.error(`${PLUGIN_NAME} ${command}: ${err.message}`);
+    return 1;
+  }
+}
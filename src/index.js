@@ -10,6 +10,7 @@
  * @property {Object} [formatOptions] - Format-specific compression settings
  * @property {Object} [formatOptions.avif] - AVIF compression options
  * @property {Object} [formatOptions.webp] - WebP compression options
+ * @property {Object} [formatOptions.jxl] - JPEG XL compression options
  * @property {Object} [formatOptions.jpeg] - JPEG compression options
  * @property {Object} [formatOptions.png] - PNG compression options
  * @property {string} [htmlPattern='**\/*.html'] - Glob pattern to match HTML files
@@ -20,7 +21,14 @@
  * @property {boolean} [lazy=true] - Whether to add loading="lazy" to images
  * @property {boolean} [dimensionAttributes=true] - Whether to add width/height attributes
  * @property {string} [sizes] - Default sizes attribute
- * @property {number} [concurrency=5] - Maximum number of images to process in parallel
+ * @property {Object<string, string>} [sizesBySelector={}] - Sizes values keyed by CSS selector, first match wins
+ * @property {boolean} [autoSizes=false] - Prepend "auto" to the sizes of lazy-loaded images
+ * @property {number[]} [densities=[1, 2, 3]] - Pixel densities for fixed-size images marked with data-density
+ * @property {Object<string, Object>} [presets={}] - Named option presets selected with data-preset
+ * @property {Object<string, Array<Object>>} [artDirection={}] - Named per-breakpoint crops selected with data-art-direction
+ * @property {Object<string, string|number[]>} [focalPoints={}] - Focal points for cropped variants, keyed by image path
+ * @property {string} [cropStrategy='centre'] - Crop position without a focal point: 'centre', 'attention' or 'entropy'
+ * @property {number} [concurrency] - Maximum number of Sharp encodes running at once across the build (default: CPU count)
  * @property {boolean} [generateMetadata=false] - Whether to generate a metadata JSON file
  * @property {boolean} [isProgressive=false] - Whether to use progressive image loading
  * @property {Object} [placeholder] - Placeholder image settings for progressive loading
@@ -30,33 +38,48 @@
  * @property {boolean} [processUnusedImages=true] - Whether to process unused images for background use
  * @property {string} [imagePattern='**\/*.{jpg,jpeg,png,gif,webp,avif}'] - Glob pattern to find images for background processing
  * @property {string} [imageFolder='lib/assets/images'] - Folder to scan for background images, relative to source
+ * @property {boolean|string} [cache=false] - Persistent cache directory: true for 'lib/<outputDir>' or a path
+ * @property {boolean|string} [prune=false] - Remove cached files the build no longer references; 'dry-run' only reports them
+ * @property {boolean} [verifyCache=false] - Check cached variants before use and regenerate damaged ones
+ * @property {string} [metadata='strip'] - Source metadata kept in variants: 'strip', 'copyright' (ICC plus copyright EXIF) or 'all'
+ * @property {string} [colorSpace='srgb'] - Colour space of variants: 'srgb', 'preserve' (source profile) or 'p3'
+ * @property {string} [mode='photo'] - Encoding mode: 'photo', 'lossless', 'near-lossless' or 'auto' (classify each image)
+ * @property {Object<string, string>} [modeBySelector={}] - Encoding modes keyed by CSS selector, first match wins
+ * @property {boolean|Object} [targetQuality=false] - Search each variant's quality for an SSIM target instead of
+ *   using the fixed formatOptions quality
+ * @property {number} [targetQuality.ssim=0.98] - SSIM a variant must reach against the resized image
+ * @property {number} [targetQuality.min=30] - Lowest quality tried
+ * @property {number} [targetQuality.max=95] - Highest quality tried
+ * @property {number} [minSavings=0] - Fraction by which AVIF/WebP/JPEG XL variants must beat the fallback format
+ * @property {string} [oversizedVariants='drop'] - Variants that don't: 'drop', 'warn' or 'keep'
+ * @property {Object} [animation] - Animated GIF/WebP sources
+ * @property {number} [animation.maxFrames=300] - Sources with more frames keep their original file only
+ * @property {number} [animation.maxSize=5242880] - Drop animated variants larger than this many bytes (0 = no cap)
+ * @property {Object|false} [budgets=false] - Byte-size budgets checked once every page is processed
+ * @property {Object<string, number>} [budgets.variant] - Largest variant allowed per format, in bytes
+ * @property {number} [budgets.page=0] - Largest image total per page, counting each image's likely download (0 = none)
+ * @property {string} [budgets.severity='warn'] - 'warn' prints the offenders, 'error' fails the build
+ * @property {number} [budgets.viewport=1280] - Viewport width the page budget assumes, in CSS pixels
+ * @property {number} [budgets.dpr=1] - Device pixel ratio the page budget assumes
+ * @property {boolean|string} [report=false] - Print a build report; 'json' or 'html' also writes it to reportFile
+ * @property {string|null} [reportFile=null] - Report path relative to the project directory, outside the build output
+ *   (null = build-report.json or build-report.html)
  */
 
 import path from 'node:path';
 import fs from 'node:fs';
 import * as mkdirp from 'mkdirp';
-import sharp from 'sharp';
 import { buildConfig } from './utils/config.js';
+import { assertWithin, cachePathFor } from './utils/paths.js';
 import { processHtmlFile, generateMetadata } from './processors/htmlProcessor.js';
-
-/**
- * Assert that a user-supplied path option stays within a base directory.
- * Guards against `outputDir`/`cache` escaping the build via `..` segments
- * or an absolute path pointing elsewhere.
- * @param {string} base - Directory the target must resolve inside
- * @param {string} target - User-supplied path to validate
- * @param {string} label - Option name, used in the error message
- * @returns {string} The resolved, validated absolute target path
- */
-function assertWithin(base, target, label) {
-  const resolvedBase = path.resolve(base);
-  const resolvedTarget = path.resolve(resolvedBase, target);
-  const rel = path.relative(resolvedBase, resolvedTarget);
-  if (rel === '..' || rel.startsWith(`..${path.sep}`) || path.isAbsolute(rel)) {
-    throw new Error(`Invalid ${label}: "${target}" resolves outside the build directory`);
-  }
-  return resolvedTarget;
-}
+import { processBackgroundImageVariants } from './processors/backgroundProcessor.js';
+import { createTaskQueue } from './utils/queue.js';
+import { forgetCacheFiles, loadCacheIndex, recordLiveFiles, saveCacheIndex } from './utils/cacheIndex.js';
+import { collectReferencedFiles, formatPruneReport, pruneCache } from './utils/prune.js';
+import { findGpsVariants } from './utils/exif.js';
+import { warnUnsupportedJxl } from './utils/jxl.js';
+import { enforceBudgets } from './utils/budgets.js';
+import { buildReport, emitReport } from './utils/report.js';
 
 /**
  * Creates a responsive images plugin for Metalsmith
@@ -68,6 +91,7 @@ function assertWithin(base, target, label) {
 function optimizeImagesPlugin(options = {}) {
   // Build configuration with defaults and user options
   const config = buildConfig(options);
+  warnUnsupportedJxl(config);
 
   /**
    * The Metalsmith plugin function
@@ -77,6 +101,7 @@ function optimizeImagesPlugin(options = {}) {
    * @return {void}
    */
   return async function optimizeImages(files, metalsmith, done) {
+    const started = performance.now();
     try {
       const destination = metalsmith.destination();
       const outputPath = assertWithin(destination, config.outputDir, 'outputDir');
@@ -92,7 +117,7 @@ function optimizeImagesPlugin(options = {}) {
 
       if (config.cache) {
         // Normalise: cache: true → default path 'lib/<outputDir>'
-        const cachePath = typeof config.cache === 'string' ? config.cache : path.join('lib', config.outputDir);
+        const cachePath = cachePathFor(config);
 
         // The boolean form assumes a lib/-based layout. Creating lib/ in a
         // project that has none (e.g. images under src/assets) is almost
@@ -116,8 +141,13 @@ function optimizeImagesPlugin(options = {}) {
         }
 
         debug(`Persistent cache: ${cacheDir}`);
+      } else if (config.prune) {
+        console.warn('metalsmith-optimize-images: prune has no effect without the cache option.');
       }
 
+      // What each cached background variant was generated from (see utils/cacheIndex.js)
+      const cacheIndex = cacheDir ? loadCacheIndex(cacheDir, debug) : null;
+
       // Ensure the output directory exists where processed images will be saved
       mkdirp.mkdirpSync(outputPath);
 
@@ -143,43 +173,45 @@ function optimizeImagesPlugin(options = {}) {
       }
 
       // Cache to avoid re-processing identical images across different HTML files
-      // Key: "filepath:mtime", Value: array of processed image variants
+      // Key: "filepath:mtime", Value: array of processed image variants, or the
+      // promise of them while the image is still being processed
       const processedImages = new Map();
 
       // Track image resolution across the whole build so a run where lookups
-      // fail is reported loudly instead of only at debug level
-      const stats = { resolved: new Set(), missed: new Set() };
-
-      // Chunk HTML files to respect concurrency limit (default: 5)
-      // This prevents overwhelming the system with too many parallel operations
-      const chunks = [];
-      for (let i = 0; i < htmlFiles.length; i += config.concurrency) {
-        chunks.push(htmlFiles.slice(i, i + config.concurrency));
-      }
-
-      // Process all chunks in parallel - each chunk processes its files in parallel
-      // This creates a two-level parallelism: chunk-level and file-level within chunks
+      // fail is reported loudly instead of only at debug level. deduplicated
+      // counts, per image path, references that joined an in-flight encode;
+      // pages lists the images each HTML file ends up using; sourceBytes
+      // sizes the background images, which may not be in files.
+      const stats = {
+        resolved: new Set(),
+        missed: new Set(),
+        deduplicated: new Map(),
+        pages: new Map(),
+        sourceBytes: new Map()
+      };
+
+      // One queue for the whole build bounds concurrent Sharp encodes (default: CPU count)
+      const queue = createTaskQueue(config.concurrency);
+
+      // HTML files and their images are all started at once; only their
+      // encodes wait for a queue slot
       await Promise.all(
-        chunks.map(async (chunk) => {
-          // Process files within each chunk in parallel
-          await Promise.all(
-            chunk.map(async (htmlFile) => {
-              // This function parses HTML, finds images, processes them, and updates the HTML
-              await processHtmlFile(
-                htmlFile,
-                files[htmlFile],
-                files,
-                metalsmith,
-                processedImages,
-                debug,
-                config,
-                cacheDir,
-                sourcePrefix,
-                stats
-              );
-            })
-          );
-        })
+        htmlFiles.map((htmlFile) =>
+          processHtmlFile(
+            htmlFile,
+            files[htmlFile],
+            files,
+            metalsmith,
+            processedImages,
+            debug,
+            config,
+            cacheDir,
+            sourcePrefix,
+            stats,
+            queue,
+            cacheIndex
+          )
+        )
       );
 
       // A build where image lookups failed ships untouched markup. Make that
@@ -201,7 +233,48 @@ function optimizeImagesPlugin(options = {}) {
       // This finds images that weren't processed during HTML scanning and creates variants
       // for use in CSS background-image with image-set()
       if (config.processUnusedImages) {
-        await processUnusedImages(files, metalsmith, processedImages, debug, config, cacheDir);
+        await processUnusedImages(
+          files,
+          metalsmith,
+          processedImages,
+          debug,
+          config,
+          cacheDir,
+          queue,
+          cacheIndex,
+          stats
+        );
+      }
+
+      // Unless every field is kept on purpose, no emitted image may reveal
+      // where a photo was taken
+      if (config.metadata !== 'all') {
+        const located = await findGpsVariants(processedImages, queue);
+        if (located.length > 0) {
+          throw new Error(
+            `${located.length} emitted image(s) contain GPS EXIF despite metadata: '${config.metadata}': ` +
+              `${located.slice(0, 5).join(', ')}${located.length > 5 ? ', …' : ''}`
+          );
+        }
+      }
+
+      if (cacheIndex) {
+        // Everything this build referenced; the rest of the cache is orphaned
+        const referenced = collectReferencedFiles(processedImages);
+        recordLiveFiles(cacheIndex, referenced);
+
+        if (config.prune) {
+          const report = pruneCache(cacheDir, referenced, config, { dryRun: config.prune === 'dry-run' });
+          console.warn(`metalsmith-optimize-images: ${formatPruneReport(report)}`);
+          if (!report.dryRun) {
+            forgetCacheFiles(
+              cacheIndex,
+              report.files.map((file) => file.name)
+            );
+          }
+        }
+
+        saveCacheIndex(cacheDir, cacheIndex, debug);
       }
 
       // Optional: Generate a JSON metadata file with information about all processed images
@@ -210,6 +283,25 @@ function optimizeImagesPlugin(options = {}) {
         generateMetadata(processedImages, files, config);
       }
 
+      // Per-source savings, encode times and cache hits, printed and optionally written to reportFile
+      if (config.report) {
+        const report = buildReport(processedImages, files, stats, {
+          cache: Boolean(cacheDir),
+          durationMs: performance.now() - started
+        });
+        emitReport(report, config, metalsmith.directory());
+      }
+
+      // Checked last, so a build failed by a budget still saves its cache index and prints its report
+      enforceBudgets(stats.pages, config.budgets);
+
+      const queueStats = queue.stats();
+      const deduplicated = [...stats.deduplicated.values()].reduce((sum, count) => sum + count, 0);
+      debug(
+        `Encode queue: ${queueStats.completed} tasks (${queueStats.failed} failed), ` +
+          `peak ${queueStats.peakRunning}/${queueStats.concurrency} running and ${queueStats.peakQueued} waiting`
+      );
+      debug(`Deduplicated ${deduplicated} request(s) for images already being processed`);
       debug('Responsive images processing complete');
       done();
     } catch (err) {
@@ -229,9 +321,23 @@ function optimizeImagesPlugin(options = {}) {
  * @param {Map} processedImages - Cache of already processed images
  * @param {Function} debug - Debug function
  * @param {Object} config - Plugin configuration
+ * @param {string|null} cacheDir - Absolute path to the persistent cache directory, or null
+ * @param {Object} [queue] - Build-wide task queue
+ * @param {Object} [cacheIndex] - Persistent cache index, when the cache is enabled
+ * @param {Object} [stats] - Build tracker; sourceBytes receives the size of each background source
  * @return {Promise<void>} - Promise that resolves when processing is complete
  */
-async function processUnusedImages(files, metalsmith, processedImages, debug, config, cacheDir) {
+async function processUnusedImages(
+  files,
+  metalsmith,
+  processedImages,
+  debug,
+  config,
+  cacheDir,
+  queue,
+  cacheIndex,
+  stats
+) {
   debug('Processing unused images for background image support');
 
   // Get all image paths that were already processed during HTML scanning
@@ -254,14 +360,22 @@ async function processUnusedImages(files, metalsmith, processedImages, debug, co
 
   debug(`Found ${allBackgroundImages.length} unused images to process for background use`);
 
-  // Process background images in parallel for better performance
+  // Start every background image; their encodes share the build-wide queue
   await Promise.all(
     allBackgroundImages.map(async (imageObj) => {
       try {
         debug(`Processing background image: ${imageObj.path} (source: ${imageObj.source})`);
 
         // Generate background variants with original size and half size
-        const variants = await processBackgroundImageVariants(imageObj.buffer, imageObj.path, debug, config, cacheDir);
+        const variants = await processBackgroundImageVariants(
+          imageObj.buffer,
+          imageObj.path,
+          debug,
+          config,
+          cacheDir,
+          queue,
+          cacheIndex
+        );
 
         // When cache is configured, variant files are written to cacheDir by
         // processBackgroundImageVariants and the static-files plugin copies them.
@@ -277,6 +391,7 @@ async function processUnusedImages(files, metalsmith, processedImages, debug, co
         // Cache the variants (using current timestamp as mtime for unused images)
         const cacheKey = `${imageObj.path}:${Date.now()}`;
         processedImages.set(cacheKey, variants);
+        stats?.sourceBytes?.set(imageObj.path, imageObj.buffer.length);
 
         debug(`Generated ${variants.length} background variants for ${imageObj.path}`);
       } catch (err) {
@@ -300,7 +415,7 @@ function isResponsiveVariant(filePath, config) {
     filePath.startsWith(`${config.outputDir}/`) ||
     filePath.includes('/responsive/') ||
     filePath.includes('responsive-images-manifest.json') ||
-    /-\d+w(-[a-f0-9]+)?\.(avif|webp|jpg|jpeg|png)$/i.test(filePath)
+    /-\d+w(-[a-f0-9]+)?\.(avif|webp|jxl|jpg|jpeg|png)$/i.test(filePath)
   );
 }
 
@@ -429,220 +544,6 @@ async function findUnprocessedImages(files, metalsmith, config, processedImagePa
   return unprocessedImages;
 }
 
-/**
- * Process a background image to create 1x (original) and 2x (half-size) variants
- * for use with CSS image-set() for retina displays
- * @param {Buffer} buffer - Original image buffer
- * @param {string} originalPath - Original image path
- * @param {Function} debugFn - Debug function for logging
- * @param {Object} config - Plugin configuration
- * @param {string} [cacheDir] - Absolute path to the persistent cache directory, or null
- * @return {Promise<Array<Object>>} - Array of generated variants
- */
-async function processBackgroundImageVariants(buffer, originalPath, debugFn, config, cacheDir) {
-  const image = sharp(buffer);
-  const metadata = await image.metadata();
-  const variants = [];
-
-  // Check if background variants already exist on disk from a previous build.
-  // Background filenames are deterministic (no content hash), so existence alone
-  // tells us the work was already done. If a source image changes content without
-  // changing filename, delete the responsive directory to force regeneration.
-  if (cacheDir) {
-    const cached = await loadCachedBgVariants(originalPath, metadata, config, cacheDir, debugFn);
-    if (cached) {
-      return cached;
-    }
-  }
-
-  debugFn(`Processing background image ${originalPath}: ${metadata.width}x${metadata.height}`);
-
-  // Create 1x (original size) and 2x (half size) variants
-  const sizes = [
-    { width: metadata.width, density: '1x' },
-    { width: Math.round(metadata.width / 2), density: '2x' }
-  ];
-
-  // Process both sizes in parallel
-  const sizePromises = sizes.map(async (size) => {
-    // Create a Sharp instance for this size
-    const resized = image.clone().resize({
-      width: size.width,
-      withoutEnlargement: true // Don't upscale images
-    });
-
-    // Process each format in parallel for this size
-    const formatPromises = config.formats.map(async (format) => {
-      try {
-        // Skip problematic format combinations
-        if (format === 'original' && metadata.format.toLowerCase() === 'webp') {
-          return null;
-        }
-
-        // Determine output format and Sharp method
-        let outputFormat = format;
-        let sharpMethod = format;
-
-        if (format === 'original') {
-          outputFormat = metadata.format.toLowerCase();
-          sharpMethod = outputFormat === 'jpeg' ? 'jpeg' : outputFormat;
-        }
-
-        // Apply format-specific processing
-        let processedImage = resized.clone();
-        const formatOptions = config.formatOptions[format === 'original' ? outputFormat : format] || {};
-
-        if (sharpMethod === 'avif') {
-          processedImage = processedImage.avif(formatOptions);
-        } else if (sharpMethod === 'webp') {
-          processedImage = processedImage.webp(formatOptions);
-        } else if (sharpMethod === 'jpeg') {
-          processedImage = processedImage.jpeg(formatOptions);
-        } else if (sharpMethod === 'png') {
-          processedImage = processedImage.png(formatOptions);
-        }
-
-        // Generate output buffer. resolveWithObject returns the real output
-        // dimensions; .metadata() on the pipeline would report the input image.
-        const { data: outputBuffer, info } = await processedImage.toBuffer({ resolveWithObject: true });
-
-        // Generate variant path without hash for easier CSS usage
-        const variantPath = generateBackgroundVariantPath(originalPath, size.width, outputFormat, config);
-
-        debugFn(`Generated background variant: ${variantPath} (${size.density})`);
-
-        return {
-          path: variantPath,
-          buffer: outputBuffer,
-          width: info.width,
-          height: info.height,
-          format: outputFormat,
-          density: size.density
-        };
-      } catch (err) {
-        debugFn(`Error processing ${format} format for ${originalPath}: ${err.message}`);
-        return null;
-      }
-    });
-
-    const formatResults = await Promise.all(formatPromises);
-    return formatResults.filter((result) => result !== null);
-  });
-
-  const sizeResults = await Promise.all(sizePromises);
-
-  // Flatten the results
-  sizeResults.forEach((formatVariants) => {
-    variants.push(...formatVariants);
-  });
-
-  // Persist newly generated variants to the cache directory so subsequent
-  // builds can skip Sharp entirely for these background images.
-  if (cacheDir && variants.length > 0) {
-    for (const variant of variants) {
-      const cachePath = path.join(cacheDir, path.basename(variant.path));
-      fs.writeFileSync(cachePath, variant.buffer);
-    }
-    debugFn(`Wrote ${variants.length} background variants to cache for ${originalPath}`);
-  }
-
-  debugFn(`Generated ${variants.length} background variants for ${originalPath}`);
-  return variants;
-}
-
-/**
- * Loads previously generated background variants from the persistent cache directory.
- * Checks that every expected variant file (size × format) exists on disk.
- * Returns the loaded variants array, or null on any cache miss.
- * @param {string} originalPath - Original image path
- * @param {Object} sourceMetadata - Sharp metadata of the source image
- * @param {Object} config - Plugin configuration
- * @param {string} cacheDir - Absolute path to the persistent cache directory
- * @param {Function} debugFn - Debug function
- * @return {Promise<Array<Object>|null>} - Loaded variants or null on cache miss
- */
-async function loadCachedBgVariants(originalPath, sourceMetadata, config, cacheDir, debugFn) {
-  const sizes = [
-    { width: sourceMetadata.width, density: '1x' },
-    { width: Math.round(sourceMetadata.width / 2), density: '2x' }
-  ];
-
-  const expected = [];
-
-  for (const size of sizes) {
-    for (const format of config.formats) {
-      if (format === 'original' && sourceMetadata.format.toLowerCase() === 'webp') {
-        continue;
-      }
-
-      let outputFormat = format;
-      if (format === 'original') {
-        outputFormat = sourceMetadata.format.toLowerCase();
-      }
-
-      const variantPath = generateBackgroundVariantPath(originalPath, size.width, outputFormat, config);
-      const fullPath = path.join(cacheDir, path.basename(variantPath));
-      expected.push({ variantPath, fullPath, width: size.width, format: outputFormat, density: size.density });
-    }
-  }
-
-  // Quick existence check — bail on first miss
-  for (const ev of expected) {
-    if (!fs.existsSync(ev.fullPath)) {
-      return null;
-    }
-  }
-
-  // All variants found on disk, load them
-  debugFn(`Loading ${expected.length} cached background variants for ${originalPath}`);
-
-  // Compute height from the source aspect ratio instead of calling sharp().metadata()
-  // on every cached file — avoids spinning up Sharp entirely on cache hits.
-  const aspectRatio = sourceMetadata.height / sourceMetadata.width;
-
-  const variants = expected.map((ev) => {
-    const buffer = fs.readFileSync(ev.fullPath);
-    return {
-      path: ev.variantPath,
-      buffer,
-      width: ev.width,
-      height: Math.round(ev.width * aspectRatio),
-      format: ev.format,
-      density: ev.density
-    };
-  });
-
-  return variants;
-}
-
-/**
- * Generate background image variant path without hash for easier CSS usage
- * Creates predictable filenames that can be written in CSS without knowing the hash
- * @param {string} originalPath - Original image path
- * @param {number} width - Target width
- * @param {string} format - Target format
- * @param {Object} config - Plugin configuration
- * @return {string} - Generated path without hash
- */
-function generateBackgroundVariantPath(originalPath, width, format, config) {
-  const parsedPath = path.parse(originalPath);
-  const originalFormat = parsedPath.ext.slice(1).toLowerCase();
-
-  // If format is 'original', use the source format
-  const outputFormat = format === 'original' ? originalFormat : format;
-
-  // Create background pattern without hash: '[filename]-[width]w.[format]'
-  // Results in: 'header1-1000w.webp' instead of 'header1-1000w-abc12345.webp'
-  const outputName = config.outputPattern
-    .replace('[filename]', parsedPath.name)
-    .replace('[width]', width)
-    .replace('[format]', outputFormat)
-    .replace('-[hash]', '') // Remove hash placeholder and preceding dash
-    .replace('[hash]', ''); // Remove any remaining hash placeholder
-
-  return path.join(config.outputDir, outputName);
-}
-
 // Set function name for better debugging
 Object.defineProperty(optimizeImagesPlugin, 'name', {
   value: 'metalsmith-optimize-images'
@@ -0,0 +1,313 @@
+/**
+ * Background image processing
+ * Creates 1x/2x variants of images used from CSS, named without a content
+ * hash so stylesheets can refer to them directly
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { generateHash } from '../utils/hash.js';
+import { directQueue } from '../utils/queue.js';
+import { findDamagedVariant, writeCacheFile } from '../utils/cacheFiles.js';
+import { RESIZE_KERNEL } from '../utils/fingerprint.js';
+import { openSourceImage } from '../utils/orientation.js';
+import { applyMetadataPolicy } from '../utils/exif.js';
+import { encodableFormats } from '../utils/jxl.js';
+import { applyColorSpace, outputColorSpace } from '../utils/colorSpace.js';
+import {
+  backgroundFingerprint,
+  describeCachedVariant,
+  recordCacheEntry,
+  recordVariantFile,
+  staleReason
+} from '../utils/cacheIndex.js';
+
+/**
+ * Process a background image to create 1x (original) and 2x (half-size) variants
+ * for use with CSS image-set() for retina displays
+ * @param {Buffer} buffer - Original image buffer
+ * @param {string} originalPath - Original image path
+ * @param {Function} debugFn - Debug function for logging
+ * @param {Object} config - Plugin configuration
+ * @param {string} [cacheDir] - Absolute path to the persistent cache directory, or null
+ * @param {Object} [queue] - Build-wide task queue that bounds concurrent encodes
+ * @param {Object} [cacheIndex] - Persistent cache index (see utils/cacheIndex.js)
+ * @return {Promise<Array<Object>>} - Array of generated variants
+ */
+export async function processBackgroundImageVariants(
+  buffer,
+  originalPath,
+  debugFn,
+  config,
+  cacheDir,
+  queue = directQueue,
+  cacheIndex = null
+) {
+  const { image, metadata } = await openSourceImage(buffer);
+  applyMetadataPolicy(image, config.metadata, metadata);
+  applyColorSpace(image, config.colorSpace, config.metadata);
+  const colorSpace = outputColorSpace(config.colorSpace, metadata);
+  const variants = [];
+
+  // Background filenames carry no content hash, so a file on disk doesn't say
+  // which source it came from. The cache index does: reuse cached variants
+  // only when the source content and encode settings still match.
+  const hash = generateHash(buffer);
+  const fingerprint = backgroundFingerprint(config);
+
+  if (cacheDir && cacheIndex) {
+    const reason = staleReason(cacheIndex, originalPath, hash, fingerprint);
+    if (reason) {
+      debugFn(`Regenerating background variants for ${originalPath}: ${reason}`);
+    } else {
+      const cached = await loadCachedBgVariants(originalPath, metadata, config, cacheDir, debugFn, cacheIndex);
+      if (cached) {
+        return cached;
+      }
+    }
+  }
+
+  debugFn(`Processing background image ${originalPath}: ${metadata.width}x${metadata.height}`);
+
+  // Create 1x (original size) and 2x (half size) variants
+  const sizes = [
+    { width: metadata.width, density: '1x' },
+    { width: Math.round(metadata.width / 2), density: '2x' }
+  ];
+
+  // Queue both sizes in every format
+  const sizePromises = sizes.map(async (size) => {
+    // Create a Sharp instance for this size
+    const resized = image.clone().resize({
+      width: size.width,
+      kernel: RESIZE_KERNEL,
+      withoutEnlargement: true // Don't upscale images
+    });
+
+    // Queue each format for this size
+    const formatPromises = encodableFormats(config.formats).map(async (format) => {
+      try {
+        // Skip problematic format combinations
+        if (format === 'original' && metadata.format.toLowerCase() === 'webp') {
+          return null;
+        }
+
+        // Determine output format and Sharp method
+        let outputFormat = format;
+        let sharpMethod = format;
+
+        if (format === 'original') {
+          outputFormat = metadata.format.toLowerCase();
+          sharpMethod = outputFormat === 'jpeg' ? 'jpeg' : outputFormat;
+        }
+
+        // Apply format-specific processing
+        let processedImage = resized.clone();
+        const formatOptions = config.formatOptions[format === 'original' ? outputFormat : format] || {};
+
+        if (sharpMethod === 'avif') {
+          processedImage = processedImage.avif(formatOptions);
+        } else if (sharpMethod === 'webp') {
+          processedImage = processedImage.webp(formatOptions);
+        } else if (sharpMethod === 'jxl') {
+          processedImage = processedImage.jxl(formatOptions);
+        } else if (sharpMethod === 'jpeg') {
+          processedImage = processedImage.jpeg(formatOptions);
+        } else if (sharpMethod === 'png') {
+          processedImage = processedImage.png(formatOptions);
+        }
+
+        // Generate output buffer. resolveWithObject returns the real output
+        // dimensions; .metadata() on the pipeline would report the input image.
+        let encodeMs = 0;
+        const { data: outputBuffer, info } = await queue.run(async () => {
+          const started = performance.now();
+          const result = await processedImage.toBuffer({ resolveWithObject: true });
+          encodeMs = performance.now() - started;
+          return result;
+        });
+
+        // Generate variant path without hash for easier CSS usage
+        const variantPath = generateBackgroundVariantPath(originalPath, size.width, outputFormat, config);
+
+        debugFn(`Generated background variant: ${variantPath} (${size.density})`);
+
+        return {
+          path: variantPath,
+          buffer: outputBuffer,
+          width: info.width,
+          height: info.height,
+          format: outputFormat,
+          density: size.density,
+          colorSpace,
+          size: outputBuffer.length,
+          encodeMs: Math.round(encodeMs)
+        };
+      } catch (err) {
+        debugFn(`Error processing ${format} format for ${originalPath}: ${err.message}`);
+        return null;
+      }
+    });
+
+    const formatResults = await Promise.all(formatPromises);
+    return formatResults.filter((result) => result !== null);
+  });
+
+  const sizeResults = await Promise.all(sizePromises);
+
+  // Flatten the results
+  sizeResults.forEach((formatVariants) => {
+    variants.push(...formatVariants);
+  });
+
+  // Persist newly generated variants to the cache directory so subsequent
+  // builds can skip Sharp entirely for these background images.
+  if (cacheDir && variants.length > 0) {
+    for (const variant of variants) {
+      const cachePath = path.join(cacheDir, path.basename(variant.path));
+      writeCacheFile(cachePath, variant.buffer);
+    }
+    debugFn(`Wrote ${variants.length} background variants to cache for ${originalPath}`);
+
+    if (cacheIndex) {
+      for (const variant of variants) {
+        recordVariantFile(cacheIndex, path.basename(variant.path), variant);
+      }
+      recordCacheEntry(cacheIndex, originalPath, {
+        hash,
+        fingerprint,
+        files: variants.map((variant) => path.basename(variant.path))
+      });
+    }
+  }
+
+  debugFn(`Generated ${variants.length} background variants for ${originalPath}`);
+  return variants;
+}
+
+/**
+ * Work out which variants processBackgroundImageVariants produces for an
+ * image, without encoding anything
+ * @param {Object} metadata - Sharp metadata of the source image
+ * @param {string} originalPath - Original image path
+ * @param {Object} config - Plugin configuration
+ * @return {Array<Object>} - One { variantPath, width, format, density } per variant
+ */
+export function planBackgroundVariants(metadata, originalPath, config) {
+  const sizes = [
+    { width: metadata.width, density: '1x' },
+    { width: Math.round(metadata.width / 2), density: '2x' }
+  ];
+
+  const expected = [];
+
+  for (const size of sizes) {
+    for (const format of encodableFormats(config.formats)) {
+      if (format === 'original' && metadata.format.toLowerCase() === 'webp') {
+        continue;
+      }
+
+      const outputFormat = format === 'original' ? metadata.format.toLowerCase() : format;
+      const variantPath = generateBackgroundVariantPath(originalPath, size.width, outputFormat, config);
+      expected.push({ variantPath, width: size.width, format: outputFormat, density: size.density });
+    }
+  }
+
+  return expected;
+}
+
+/**
+ * Loads previously generated background variants from the persistent cache directory.
+ * Checks that every expected variant file (size × format) exists on disk.
+ * Returns the loaded variants array, or null on any cache miss.
+ * @param {string} originalPath - Original image path
+ * @param {Object} sourceMetadata - Sharp metadata of the source image
+ * @param {Object} config - Plugin configuration
+ * @param {string} cacheDir - Absolute path to the persistent cache directory
+ * @param {Function} debugFn - Debug function
+ * @param {Object} cacheIndex - Persistent cache index holding each variant's dimensions
+ * @return {Promise<Array<Object>|null>} - Loaded variants or null on cache miss
+ */
+async function loadCachedBgVariants(originalPath, sourceMetadata, config, cacheDir, debugFn, cacheIndex) {
+  const expected = planBackgroundVariants(sourceMetadata, originalPath, config).map((ev) => ({
+    ...ev,
+    fullPath: path.join(cacheDir, path.basename(ev.variantPath))
+  }));
+
+  // Quick existence check — bail on first miss
+  for (const ev of expected) {
+    if (!fs.existsSync(ev.fullPath)) {
+      return null;
+    }
+  }
+
+  // All variants found on disk, load them
+  debugFn(`Loading ${expected.length} cached background variants for ${originalPath}`);
+
+  // Dimensions come from the cache index, so a warm build reports exactly
+  // what the encoder produced without decoding the files again
+  let variants;
+  try {
+    variants = await Promise.all(
+      expected.map(async (ev) => {
+        const buffer = fs.readFileSync(ev.fullPath);
+        const described = await describeCachedVariant(cacheIndex, path.basename(ev.fullPath), buffer);
+        return {
+          path: ev.variantPath,
+          buffer,
+          width: described.width,
+          height: described.height,
+          format: ev.format,
+          density: ev.density,
+          size: buffer.length,
+          cached: true,
+          colorSpace: outputColorSpace(config.colorSpace, sourceMetadata)
+        };
+      })
+    );
+  } catch (err) {
+    debugFn(`Cannot read cached background variant of ${originalPath}: ${err.message}`);
+    return null;
+  }
+
+  // A damaged or mismatched file makes the whole image a cache miss, so
+  // every variant is regenerated and rewritten
+  if (config.verifyCache) {
+    const problem = await findDamagedVariant(variants.map((variant, i) => ({ ...variant, width: expected[i].width })));
+    if (problem) {
+      console.warn(
+        `metalsmith-optimize-images: cached ${problem}; regenerating background variants of ${originalPath}`
+      );
+      return null;
+    }
+  }
+
+  return variants;
+}
+
+/**
+ * Generate background image variant path without hash for easier CSS usage
+ * Creates predictable filenames that can be written in CSS without knowing the hash
+ * @param {string} originalPath - Original image path
+ * @param {number} width - Target width
+ * @param {string} format - Target format
+ * @param {Object} config - Plugin configuration
+ * @return {string} - Generated path without hash
+ */
+function generateBackgroundVariantPath(originalPath, width, format, config) {
+  const parsedPath = path.parse(originalPath);
+  const originalFormat = parsedPath.ext.slice(1).toLowerCase();
+
+  // If format is 'original', use the source format
+  const outputFormat = format === 'original' ? originalFormat : format;
+
+  // Create background pattern without hash: '[filename]-[width]w.[format]'
+  // Results in: 'header1-1000w.webp' instead of 'header1-1000w-abc12345.webp'
+  const outputName = config.outputPattern
+    .replace('[filename]', parsedPath.name)
+    .replace('[width]', width)
+    .replace('[format]', outputFormat)
+    .replace('-[hash]', '') // Remove hash placeholder and preceding dash
+    .replace('[hash]', ''); // Remove any remaining hash placeholder
+
+  return path.join(config.outputDir, outputName);
+}
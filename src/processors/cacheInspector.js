@@ -0,0 +1,210 @@
+/**
+ * Cache inspection
+ * Compares the persistent cache directory with what the current options
+ * would generate for a set of source images, and checks that cached
+ * variant files are intact, without encoding anything
+ */
+import sharp from 'sharp';
+import fs from 'node:fs';
+import path from 'node:path';
+import { generateHash } from '../utils/hash.js';
+import { parseVariantName } from '../utils/paths.js';
+import { checkCachedVariant, isCacheTempFile } from '../utils/cacheFiles.js';
+import { openSourceImage } from '../utils/orientation.js';
+import { CACHE_INDEX_FILE, backgroundFingerprint, staleReason } from '../utils/cacheIndex.js';
+import { expectedVariants, planVariants } from './imageProcessor.js';
+import { resolveEncodingMode, withEncodingMode } from '../utils/encodingMode.js';
+import { planBackgroundVariants } from './backgroundProcessor.js';
+
+/**
+ * List the regular files directly in a cache directory, without the cache index
+ * @param {string} cacheDir - Absolute path to the cache directory
+ * @return {string[]} - Sorted file basenames
+ */
+function readCacheDir(cacheDir) {
+  if (!fs.existsSync(cacheDir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(cacheDir, { withFileTypes: true })
+    .filter((entry) => entry.isFile() && entry.name !== CACHE_INDEX_FILE)
+    .map((entry) => entry.name)
+    .sort();
+}
+
+/**
+ * List the variant files directly in a cache directory. As in pruneCache,
+ * only names following the output pattern count, so files such as .gitkeep
+ * or a README are ignored.
+ * @param {string} cacheDir - Absolute path to the cache directory
+ * @param {Object} config - Plugin configuration
+ * @return {string[]} - Sorted variant file basenames
+ */
+export function listCacheFiles(cacheDir, config) {
+  return readCacheDir(cacheDir).filter((name) => parseVariantName(name, config));
+}
+
+/**
+ * List the temp files interrupted cache writes left in a cache directory
+ * @param {string} cacheDir - Absolute path to the cache directory
+ * @return {string[]} - Sorted file basenames
+ */
+export function listInterruptedWrites(cacheDir) {
+  return readCacheDir(cacheDir).filter(isCacheTempFile);
+}
+
+/**
+ * Key identifying an HTML variant apart from its hash, so a cached file of an
+ * older encode can be matched to the variant that replaces it
+ * @param {string} name - Variant file basename
+ * @param {Object} config - Plugin configuration
+ * @return {string|null} - Key, or null for names without a hash (background variants, other files)
+ */
+function variantSlot(name, config) {
+  const parsed = parseVariantName(name, config);
+  return parsed?.hash ? `${parsed.filename}:${parsed.width}:${parsed.format}` : null;
+}
+
+/**
+ * Compare the cache with the variants the current options would produce
+ * for each source image.
+ *
+ * - missing: expected variant files that are not in the cache
+ * - stale: expected files whose cached counterpart is out of date — an HTML
+ *   variant cached only under an older hash, or background variants whose
+ *   source or settings changed since they were recorded in the cache index
+ * - orphaned: cache files no source expects and the last build did not use
+ *
+ * @param {Array<{path: string, backgroundKey: string, buffer: Buffer}>} sources - Source images; path
+ *   names HTML variants, backgroundKey is the cache index key of background variants
+ * @param {Object} context - Inspection context
+ * @param {Object} context.config - Plugin configuration
+ * @param {string} context.cacheDir - Absolute path to the cache directory
+ * @param {Object} context.cacheIndex - Cache index from loadCacheIndex
+ * @param {{html: boolean, background: boolean}} kinds - Which variants sources are expected to have
+ * @return {Promise<{sources: Array<Object>, unattributed: string[]}>} - One report per source plus
+ *   orphans whose filename matches no source
+ */
+export async function inspectSources(sources, { config, cacheDir, cacheIndex }, kinds) {
+  const cached = new Set(listCacheFiles(cacheDir, config));
+  const cachedSlots = new Set([...cached].map((name) => variantSlot(name, config)));
+  const expectedFiles = new Set();
+  const fingerprint = backgroundFingerprint(config);
+  const reports = [];
+
+  for (const source of sources) {
+    const { metadata } = await openSourceImage(source.buffer);
+    const report = { path: source.path, stem: path.parse(source.path).name, orphaned: [] };
+
+    if (kinds.html) {
+      // Variant hashes depend on the encoding mode the build picks for this source
+      const htmlConfig = withEncodingMode(
+        config,
+        await resolveEncodingMode(source.buffer, source.path, config, cacheIndex)
+      );
+      const plan = planVariants(source.buffer, metadata, htmlConfig);
+      // Variants dropped as larger than the fallback are absent on purpose
+      const names = expectedVariants(source.path, metadata, plan, htmlConfig)
+        .map((ev) => path.basename(ev.variantPath))
+        .filter((name) => cached.has(name) || !cacheIndex.variants?.[name]?.omitted);
+      const absent = names.filter((name) => !cached.has(name));
+      report.html = {
+        expected: names.length,
+        missing: absent.filter((name) => !cachedSlots.has(variantSlot(name, config))),
+        stale: absent.filter((name) => cachedSlots.has(variantSlot(name, config)))
+      };
+      for (const name of names) {
+        expectedFiles.add(name);
+      }
+    }
+
+    if (kinds.background) {
+      const names = planBackgroundVariants(metadata, source.backgroundKey, config).map((ev) =>
+        path.basename(ev.variantPath)
+      );
+      // Cached files the index cannot vouch for are regenerated by the next build
+      const reason = staleReason(cacheIndex, source.backgroundKey, generateHash(source.buffer), fingerprint);
+      const present = names.filter((name) => cached.has(name));
+      report.background = {
+        expected: names.length,
+        missing: names.filter((name) => !cached.has(name)),
+        stale: reason ? present : [],
+        reason: reason && present.length > 0 ? reason : null
+      };
+      for (const name of names) {
+        expectedFiles.add(name);
+      }
+    }
+
+    reports.push(report);
+  }
+
+  // Whatever no source expects and the last build did not reference is orphaned
+  const live = new Set(cacheIndex.live || []);
+  const byStem = new Map(reports.map((report) => [report.stem, report]));
+  const unattributed = [];
+
+  for (const name of cached) {
+    if (expectedFiles.has(name) || live.has(name)) {
+      continue;
+    }
+    const owner = byStem.get(parseVariantName(name, config)?.filename);
+    if (owner) {
+      owner.orphaned.push(name);
+    } else {
+      unattributed.push(name);
+    }
+  }
+
+  return { sources: reports, unattributed };
+}
+
+/**
+ * Check that every variant in the cache decodes completely and matches its
+ * name (format and width), and that every file the cache index lists exists.
+ * Temp files of interrupted writes are listed apart: they are harmless
+ * leftovers that prune removes.
+ * @param {Object} context - Inspection context
+ * @param {Object} context.config - Plugin configuration
+ * @param {string} context.cacheDir - Absolute path to the cache directory
+ * @param {Object} context.cacheIndex - Cache index from loadCacheIndex
+ * @param {Object} queue - Task queue bounding concurrent decodes
+ * @return {Promise<{checked: number, problems: Array<{file: string, problem: string}>, interrupted: string[]}>} -
+ *   Verification result
+ */
+export async function verifyCacheFiles({ config, cacheDir, cacheIndex }, queue) {
+  const files = listCacheFiles(cacheDir, config);
+  const problems = [];
+
+  await Promise.all(
+    files.map(async (file) => {
+      const parsed = parseVariantName(file, config);
+      const fullPath = path.join(cacheDir, file);
+      const problem = await checkCachedVariant(fullPath, parsed);
+      if (problem) {
+        problems.push({ file, problem });
+        return;
+      }
+
+      try {
+        // The header can be intact while the pixel data is truncated; stats()
+        // decodes every pixel
+        await queue.run(() => sharp(fullPath).stats());
+      } catch (err) {
+        problems.push({ file, problem: `does not decode: ${err.message}` });
+      }
+    })
+  );
+
+  const present = new Set(files);
+  for (const [source, entry] of Object.entries(cacheIndex.entries)) {
+    for (const file of entry.files) {
+      if (!present.has(file)) {
+        problems.push({ file, problem: `listed in the cache index for ${source} but missing` });
+      }
+    }
+  }
+
+  problems.sort((a, b) => a.file.localeCompare(b.file));
+  return { checked: files.length, problems, interrupted: listInterruptedWrites(cacheDir) };
+}
@@ -4,8 +4,16 @@
  */
 import * as cheerio from 'cheerio';
 import path from 'node:path';
-import { processImage, processImageToVariants } from './imageProcessor.js';
+import { awaitProcessed, processImage, processImageToVariants, processOnce } from './imageProcessor.js';
 import { resolveImage } from '../utils/resolve.js';
+import { directQueue } from '../utils/queue.js';
+import {
+  MODERN_FORMATS,
+  resolveImageConfig,
+  resolvePreset,
+  variantKeySuffix,
+  withAutoSizes
+} from '../utils/imageOptions.js';
 import {
   generatePlaceholder,
   createProgressiveWrapper,
@@ -15,23 +23,39 @@ import {
 } from './progressiveProcessor.js';
 
 /**
- * Replace an img element with a responsive picture element
+ * Attributes of the original img that replacePictureElement handles itself
+ * (or consumes as plugin instructions) instead of copying to the new img
+ */
+const HANDLED_ATTRIBUTES = [
+  'src',
+  'alt',
+  'class',
+  'width',
+  'height',
+  'sizes',
+  'data-art-direction',
+  'data-focal',
+  'data-density',
+  'data-widths',
+  'data-formats',
+  'data-quality',
+  'data-sizes',
+  'data-preset',
+  'data-static',
+  'data-mode'
+];
+
+/**
+ * Append one <source> per format for a group of variants to a picture element
+ * Formats follow config.formats preference order, with the original format last
  * @param {Object} $ - Cheerio instance
- * @param {Object} $img - Cheerio image element
- * @param {Array<Object>} variants - Generated image variants
+ * @param {Object} $picture - Cheerio picture element
+ * @param {Array<Object>} variants - Variants sharing the same media condition
  * @param {Object} config - Plugin configuration
+ * @param {string} sizesAttr - Sizes attribute value for these sources
+ * @param {string} [media] - Media query for art-directed sources
  */
-export function replacePictureElement($, $img, variants, config) {
-  if (variants.length === 0) {
-    return;
-  }
-
-  // Get original img attributes
-  const src = $img.attr('src');
-  const alt = $img.attr('alt') || '';
-  const className = $img.attr('class') || '';
-  const sizesAttr = $img.attr('sizes') || config.sizes;
-
+function appendSources($, $picture, variants, config, sizesAttr, media) {
   // Group variants by format for creating <source> elements
   const variantsByFormat = {};
   variants.forEach((v) => {
@@ -41,17 +65,7 @@ export function replacePictureElement($, $img, variants, config) {
     variantsByFormat[v.format].push(v);
   });
 
-  // Create picture element that will contain all formats
-  const $picture = $('<picture>');
-
-  // Add format-specific source elements in preference order (avif, webp, then original)
-  // Browser will use the first format it supports
-  config.formats.forEach((format) => {
-    // Skip 'original' placeholder - it's handled separately
-    if (format === 'original') {
-      return;
-    }
-
+  const appendSource = (format) => {
     const formatVariants = variantsByFormat[format];
     if (!formatVariants || formatVariants.length === 0) {
       return;
@@ -60,28 +74,84 @@ export function replacePictureElement($, $img, variants, config) {
     // Sort variants by width for proper srcset ordering
     formatVariants.sort((a, b) => a.width - b.width);
 
-    // Create srcset string: "path 320w, path 640w, path 960w"
-    const srcset = formatVariants.map((v) => `/${v.path} ${v.width}w`).join(', ');
+    // Create srcset string: "path 320w, path 640w, path 960w", or with density
+    // descriptors for fixed-size images: "path 1x, path 2x"
+    const isDensity = Boolean(formatVariants[0].density);
+    const srcset = formatVariants.map((v) => `/${v.path} ${isDensity ? v.density : `${v.width}w`}`).join(', ');
+
+    // Create source element with format type and srcset. Density descriptors
+    // don't take a sizes attribute.
+    const $source = $('<source>');
+    if (media) {
+      $source.attr('media', media);
+    }
+    $source.attr('type', `image/${format}`).attr('srcset', srcset);
+    if (!isDensity) {
+      $source.attr('sizes', sizesAttr);
+    }
+    $source.appendTo($picture);
+  };
 
-    // Create source element with format type and srcset
-    $('<source>').attr('type', `image/${format}`).attr('srcset', srcset).attr('sizes', sizesAttr).appendTo($picture);
+  // Add format-specific source elements in preference order (e.g. jxl, avif, webp, then original)
+  // Browser will use the first format it supports
+  config.formats.forEach((format) => {
+    // Skip 'original' placeholder - it's handled separately
+    if (format !== 'original') {
+      appendSource(format);
+    }
   });
 
   // Add original format as last source (fallback for browsers that don't support modern formats)
-  const originalFormat = Object.keys(variantsByFormat).find((f) => f !== 'avif' && f !== 'webp');
+  const originalFormat = Object.keys(variantsByFormat).find((f) => !MODERN_FORMATS.includes(f));
+  if (originalFormat) {
+    appendSource(originalFormat);
+  }
+}
 
-  if (originalFormat && variantsByFormat[originalFormat]) {
-    const formatVariants = variantsByFormat[originalFormat];
-    formatVariants.sort((a, b) => a.width - b.width);
+/**
+ * Replace an img element with a responsive picture element
+ * Art-directed variants (those carrying a media query) are emitted first, one
+ * group of sources per breakpoint, followed by the default sources.
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} $img - Cheerio image element
+ * @param {Array<Object>} variants - Generated image variants
+ * @param {Object} config - Plugin configuration
+ */
+export function replacePictureElement($, $img, variants, config) {
+  if (variants.length === 0) {
+    return;
+  }
 
-    const srcset = formatVariants.map((v) => `/${v.path} ${v.width}w`).join(', ');
+  // Get original img attributes
+  const src = $img.attr('src');
+  const alt = $img.attr('alt') || '';
+  const className = $img.attr('class') || '';
+  const sizesAttr = $img.attr('sizes') || withAutoSizes(config.sizes, config);
 
-    $('<source>')
-      .attr('type', `image/${originalFormat}`)
-      .attr('srcset', srcset)
-      .attr('sizes', sizesAttr)
-      .appendTo($picture);
-  }
+  // Split art-directed variants by media query, keeping breakpoint order
+  const variantsByMedia = new Map();
+  const defaultVariants = [];
+  variants.forEach((v) => {
+    if (!v.media) {
+      defaultVariants.push(v);
+      return;
+    }
+    if (!variantsByMedia.has(v.media)) {
+      variantsByMedia.set(v.media, []);
+    }
+    variantsByMedia.get(v.media).push(v);
+  });
+
+  // Create picture element that will contain all formats
+  const $picture = $('<picture>');
+
+  // Media-specific sources must precede the defaults: the browser picks the first match
+  variantsByMedia.forEach((mediaVariants, media) => {
+    const mediaSizes = mediaVariants[0].sizes ? withAutoSizes(mediaVariants[0].sizes, config) : sizesAttr;
+    appendSources($, $picture, mediaVariants, config, mediaSizes, media);
+  });
+
+  appendSources($, $picture, defaultVariants, config, sizesAttr);
 
   // Create new img element that serves as the final fallback
   const $newImg = $('<img>')
@@ -99,16 +169,29 @@ export function replacePictureElement($, $img, variants, config) {
   }
 
   // Add width/height attributes to prevent layout shift (CLS)
-  if (config.dimensionAttributes && variants.length > 0) {
-    // Use the largest variant as reference for dimensions
-    const largestVariant = [...variants].sort((a, b) => b.width - a.width)[0];
+  if (defaultVariants.some((v) => v.density)) {
+    // Fixed-size image: the author's width is the displayed size the densities
+    // were derived from, so keep it and derive the height from the variants
+    const displayWidth = Number($img.attr('width'));
+    const reference = defaultVariants[0];
+    $newImg.attr('width', displayWidth);
+    if ($img.attr('height')) {
+      $newImg.attr('height', $img.attr('height'));
+    } else if (config.dimensionAttributes) {
+      $newImg.attr('height', Math.round((displayWidth * reference.height) / reference.width));
+    }
+  } else if (config.dimensionAttributes && variants.length > 0) {
+    // Use the largest default variant as reference for dimensions; the fallback
+    // img shows the uncropped image
+    const referenceVariants = defaultVariants.length > 0 ? defaultVariants : variants;
+    const largestVariant = [...referenceVariants].sort((a, b) => b.width - a.width)[0];
     $newImg.attr('width', largestVariant.width);
     $newImg.attr('height', largestVariant.height);
   }
 
   // Copy any other attributes from original img (except ones we handle specially)
   for (const attrib in $img[0].attribs) {
-    if (!['src', 'alt', 'class', 'width', 'height', 'sizes'].includes(attrib)) {
+    if (!HANDLED_ATTRIBUTES.includes(attrib)) {
       $newImg.attr(attrib, $img.attr(attrib));
     }
   }
@@ -131,7 +214,10 @@ export function replacePictureElement($, $img, variants, config) {
  * @param {Object} config - Plugin configuration
  * @param {string|null} cacheDir - Resolved absolute path to persistent cache, or null
  * @param {string|null} sourcePrefix - Prefix to map build paths to source asset paths on disk, or null
- * @param {Object} [stats] - Resolution tracker: { resolved: Set, missed: Set }
+ * @param {Object} [stats] - Build tracker: { resolved: Set, missed: Set, deduplicated: Map, pages: Map };
+ *   pages receives the images this file uses
+ * @param {Object} [queue] - Build-wide task queue that bounds concurrent encodes
+ * @param {Object} [cacheIndex] - Persistent cache index, when the cache is enabled
  * @return {Promise<void>} - Promise that resolves when the HTML file is processed
  */
 export async function processHtmlFile(
@@ -144,7 +230,9 @@ export async function processHtmlFile(
   config,
   cacheDir,
   sourcePrefix,
-  stats
+  stats,
+  queue,
+  cacheIndex
 ) {
   debug(`Processing HTML file: ${htmlFile}`);
 
@@ -168,53 +256,50 @@ export async function processHtmlFile(
 
   debug(`Found ${images.length} images in ${htmlFile}`);
 
-  // Process images in parallel with a concurrency limit to prevent overwhelming the system
-  const imageChunks = [];
-  for (let i = 0; i < images.length; i += config.concurrency) {
-    imageChunks.push(Array.from(images).slice(i, i + config.concurrency));
-  }
-
-  // Process all chunks in parallel - each chunk processes its images in parallel
-  await Promise.all(
-    imageChunks.map(async (imageChunk) => {
-      // Process images within each chunk in parallel
-      await Promise.all(
-        imageChunk.map((img) =>
-          config.isProgressive
-            ? processProgressiveImage({
-                $,
-                img,
-                files,
-                metalsmith,
-                processedImages,
-                debug,
-                config,
-                cacheDir,
-                sourcePrefix,
-                stats
-              })
-            : processImage({
-                $,
-                img,
-                files,
-                metalsmith,
-                processedImages,
-                debug,
-                config,
-                replacePictureElement,
-                cacheDir,
-                sourcePrefix,
-                stats
-              })
-        )
-      );
-    })
+  // Start every image at once: their encodes go through the build-wide
+  // queue, which is what bounds the actual work. A preset may switch
+  // progressive loading on or off for its images.
+  const used = await Promise.all(
+    Array.from(images).map((img) =>
+      resolvePreset($(img), config, () => {}).isProgressive
+        ? processProgressiveImage({
+            $,
+            img,
+            files,
+            metalsmith,
+            processedImages,
+            debug,
+            config,
+            cacheDir,
+            sourcePrefix,
+            stats,
+            queue,
+            cacheIndex
+          })
+        : processImage({
+            $,
+            img,
+            files,
+            metalsmith,
+            processedImages,
+            debug,
+            config,
+            replacePictureElement,
+            cacheDir,
+            sourcePrefix,
+            stats,
+            queue,
+            cacheIndex
+          })
+    )
   );
 
+  // Images the page now references, evaluated against the budgets once every page is done
+  stats?.pages?.set(htmlFile, used.filter(Boolean));
+
   // Inject progressive loading CSS and JavaScript if needed
-  if (config.isProgressive) {
-    injectProgressiveAssets($);
-  }
+  // (only injected when the page actually contains progressive images)
+  injectProgressiveAssets($);
 
   // Update file contents with modified HTML (converts back to Buffer)
   fileData.contents = Buffer.from($.html());
@@ -237,13 +322,54 @@ export function generateMetadata(processedImages, files, config) {
     // Handle both array format (from background processing) and object format (from HTML processing)
     const variants = Array.isArray(value) ? value : value.variants;
 
-    metadataObj[path] = variants.map((v) => ({
-      path: v.path,
-      width: v.width,
-      height: v.height,
-      format: v.format,
-      size: v.size
-    }));
+    // The same source can have several entries (e.g. default and art-directed
+    // references), so merge them and drop variants already listed
+    const entries = metadataObj[path] || [];
+    const listed = new Set(entries.map((entry) => entry.path));
+
+    for (const v of variants) {
+      if (listed.has(v.path)) {
+        continue;
+      }
+      listed.add(v.path);
+
+      const entry = {
+        path: v.path,
+        width: v.width,
+        height: v.height,
+        format: v.format,
+        size: v.size
+      };
+      if (v.media) {
+        entry.media = v.media;
+      }
+      if (v.focal) {
+        entry.focal = v.focal;
+      }
+      if (v.density) {
+        entry.density = v.density;
+      }
+      if (v.preset) {
+        entry.preset = v.preset;
+      }
+      if (v.colorSpace) {
+        entry.colorSpace = v.colorSpace;
+      }
+      if (v.mode) {
+        entry.mode = v.mode;
+      }
+      if (v.quality !== undefined) {
+        entry.quality = v.quality;
+        entry.ssim = v.ssim;
+      }
+      if (v.animated !== undefined) {
+        entry.animated = v.animated;
+        entry.frames = v.frames;
+      }
+      entries.push(entry);
+    }
+
+    metadataObj[path] = entries;
   });
 
   const metadataPath = path.join(config.outputDir, 'responsive-images-manifest.json');
@@ -256,7 +382,7 @@ export function generateMetadata(processedImages, files, config) {
  * Process a single image with progressive loading
  * Creates low-quality placeholders and high-resolution images with smooth transitions
  * @param {Object} context - Processing context
- * @return {Promise<void>} - Promise that resolves when the image is processed
+ * @return {Promise<Object|undefined>} - The image as used on the page, or undefined when it was left as it was
  */
 async function processProgressiveImage({
   $,
@@ -268,7 +394,9 @@ async function processProgressiveImage({
   config,
   cacheDir,
   sourcePrefix,
-  stats
+  stats,
+  queue = directQueue,
+  cacheIndex = null
 }) {
   const $img = $(img);
   const src = $img.attr('src');
@@ -294,61 +422,73 @@ async function processProgressiveImage({
     return;
   }
 
-  // Create a cache key
-  const fileMtime = files[normalizedSrc].mtime || Date.now();
-  const cacheKey = `${normalizedSrc}:${fileMtime}`;
+  // Per-image overrides (data-widths, data-formats, data-quality, data-sizes)
+  const imageConfig = resolveImageConfig($img, config, debug);
 
-  // Check if we've already processed this image
-  if (processedImages.has(cacheKey)) {
-    debug(`Using cached variants for ${normalizedSrc}`);
-    const { variants, placeholderData } = processedImages.get(cacheKey);
-    const $wrapper = createProgressiveWrapper($, $img, variants, placeholderData, config);
-    $img.replaceWith($wrapper);
-    return;
-  }
-
-  debug(`Processing progressive image: ${normalizedSrc}`);
+  // Create a cache key from the file, its mtime and any overridden settings
+  const fileMtime = files[normalizedSrc].mtime || Date.now();
+  const cacheKey = `${normalizedSrc}:${fileMtime}${variantKeySuffix(imageConfig, config)}`;
 
   try {
-    // Process image to generate all variants (sizes and formats)
-    const variants = await processImageToVariants(
-      files[normalizedSrc].contents,
-      normalizedSrc,
-      debug,
-      config,
-      cacheDir
-    );
-
-    // Generate low-quality placeholder image for smooth loading transitions
-    const placeholderData = await generatePlaceholder(
-      normalizedSrc,
-      files[normalizedSrc].contents,
-      config.placeholder,
-      metalsmith
-    );
-
-    // When cache is configured, variant files are written to cacheDir by
-    // processImageToVariants and the static-files plugin copies them to the build.
-    // When cache is NOT configured, add variants to the files object directly.
-    if (!cacheDir) {
-      variants.forEach((variant) => {
-        files[variant.path] = {
-          contents: variant.buffer
-        };
-      });
-    }
-
-    // Save placeholder to files (always needed for progressive loading)
-    files[placeholderData.path] = {
-      contents: placeholderData.contents
-    };
+    // Reuse this image when another reference already processed it or is
+    // processing it right now
+    const { variants, placeholderData } = processedImages.has(cacheKey)
+      ? await awaitProcessed(processedImages, cacheKey, normalizedSrc, debug, stats)
+      : await processOnce(processedImages, cacheKey, async () => {
+          debug(`Processing progressive image: ${normalizedSrc}`);
+
+          // Process image to generate all variants (sizes and formats)
+          const generated = await processImageToVariants(
+            files[normalizedSrc].contents,
+            normalizedSrc,
+            debug,
+            imageConfig,
+            cacheDir,
+            queue,
+            cacheIndex
+          );
+
+          // Generate low-quality placeholder image for smooth loading transitions
+          const placeholder = await queue.run(() =>
+            generatePlaceholder(
+              normalizedSrc,
+              files[normalizedSrc].contents,
+              imageConfig.placeholder,
+              metalsmith,
+              imageConfig
+            )
+          );
+
+          // When cache is configured, variant files are written to cacheDir by
+          // processImageToVariants and the static-files plugin copies them to the build.
+          // When cache is NOT configured, add variants to the files object directly.
+          if (!cacheDir) {
+            generated.forEach((variant) => {
+              files[variant.path] = {
+                contents: variant.buffer
+              };
+            });
+          }
+
+          // Save placeholder to files (always needed for progressive loading)
+          files[placeholder.path] = {
+            contents: placeholder.contents
+          };
 
-    // Cache variants and placeholder for this image
-    processedImages.set(cacheKey, { variants, placeholderData });
+          // processOnce stores variants and placeholder for later references
+          return { variants: generated, placeholderData: placeholder };
+        });
 
     // Create progressive wrapper with placeholder and high-res image
-    const $wrapper = createProgressiveWrapper($, $img, variants, placeholderData, config);
+    const $wrapper = createProgressiveWrapper($, $img, variants, placeholderData, imageConfig);
     $img.replaceWith($wrapper);
+    return {
+      src: normalizedSrc,
+      variants,
+      formats: imageConfig.formats,
+      progressive: true,
+      placeholderSize: placeholderData.contents.length
+    };
   } catch (err) {
     debug(`Error processing progressive image: ${err.message}`);
 
@@ -358,8 +498,10 @@ async function processProgressiveImage({
         files[normalizedSrc].contents,
         normalizedSrc,
         debug,
-        config,
-        cacheDir
+        imageConfig,
+        cacheDir,
+        queue,
+        cacheIndex
       );
 
       if (!cacheDir) {
@@ -370,8 +512,9 @@ async function processProgressiveImage({
         });
       }
 
-      const $picture = createStandardPicture($, $img, variants, config);
+      const $picture = createStandardPicture($, $img, variants, imageConfig);
       $img.replaceWith($picture);
+      return { src: normalizedSrc, variants, formats: imageConfig.formats, sizes: imageConfig.sizes };
     } catch (fallbackErr) {
       debug(`Fallback processing also failed: ${fallbackErr.message}`);
     }
@@ -8,6 +8,20 @@ import path from 'node:path';
 import { generateHash } from '../utils/hash.js';
 import { generateVariantPath } from '../utils/paths.js';
 import { resolveImage } from '../utils/resolve.js';
+import { resolveArtDirection, resolveFocalPoint } from '../utils/artDirection.js';
+import { resolveDensity } from '../utils/density.js';
+import { resolveImageConfig, variantKeySuffix } from '../utils/imageOptions.js';
+import { directQueue } from '../utils/queue.js';
+import { findDamagedVariant, writeCacheFile } from '../utils/cacheFiles.js';
+import { describeCachedVariant, recordVariantFile } from '../utils/cacheIndex.js';
+import { RESIZE_KERNEL, variantHash } from '../utils/fingerprint.js';
+import { openSourceImage } from '../utils/orientation.js';
+import { applyMetadataPolicy } from '../utils/exif.js';
+import { applyColorSpace, outputColorSpace } from '../utils/colorSpace.js';
+import { describeAnimation, encodedFormats, isAnimated, withinSizeCap } from '../utils/animation.js';
+import { resolveEncodingMode, withEncodingMode } from '../utils/encodingMode.js';
+import { lumaPixels, qualitySearch, searchQuality } from '../utils/perceptual.js';
+import { omitOversizedVariants } from '../utils/oversized.js';
 
 /**
  * Process an image into multiple responsive variants and formats
@@ -16,79 +30,111 @@ import { resolveImage } from '../utils/resolve.js';
  * @param {Function} debugFn - Debug function for logging
  * @param {Object} config - Plugin configuration
  * @param {string} [cacheDir] - Absolute path to the persistent cache directory (e.g., lib/assets/images/responsive)
+ * @param {Object} [queue] - Build-wide task queue that bounds concurrent encodes (see utils/queue.js)
+ * @param {Object} [cacheIndex] - Persistent cache index recording what each cached variant holds
  * @return {Promise<Array<Object>>} - Array of generated variants
  */
-export async function processImageToVariants(buffer, originalPath, debugFn, config, cacheDir) {
-  const image = sharp(buffer);
-  const metadata = await image.metadata();
+export async function processImageToVariants(
+  buffer,
+  originalPath,
+  debugFn,
+  config,
+  cacheDir,
+  queue = directQueue,
+  cacheIndex = null
+) {
+  const { image, metadata } = await openSourceImage(buffer, { animated: !config.still });
+  // Lossless or lossy settings for this source's content (see utils/encodingMode.js)
+  config = withEncodingMode(
+    config,
+    await resolveEncodingMode(buffer, originalPath, config, cacheIndex, debugFn, queue)
+  );
+  // Every clone below inherits which metadata the variants keep and their colour space
+  applyMetadataPolicy(image, config.metadata, metadata);
+  applyColorSpace(image, config.colorSpace, config.metadata);
+  const colorSpace = outputColorSpace(config.colorSpace, metadata);
+  const animation = describeAnimation(metadata, config);
+  const formats = encodedFormats(metadata, config);
   const variants = [];
-  const hash = generateHash(buffer);
+  const { hashes, targetWidths } = planVariants(buffer, metadata, config);
 
-  // Determine which widths to generate based on skipLarger setting
-  // If skipLarger is true (default), don't generate sizes larger than original
-  const targetWidths = config.skipLarger ? config.widths.filter((w) => w <= metadata.width) : config.widths;
+  // Art-directed variants are cropped to a fixed aspect ratio (see utils/artDirection.js)
+  const crop = config.crop || null;
 
   if (targetWidths.length === 0) {
     debugFn(`Skipping ${originalPath} - no valid target widths`);
     return [];
   }
 
+  // Long animations stay as they are rather than being re-encoded frame by frame
+  if (animation?.animated && metadata.pages > (config.animation?.maxFrames ?? Number.POSITIVE_INFINITY)) {
+    debugFn(`Skipping ${originalPath} - ${metadata.pages} frames exceed animation.maxFrames`);
+    return [];
+  }
+
   // Check if all variants already exist in the persistent cache directory.
-  // The content hash in each filename ensures correctness — if the source image
-  // changes, the hash changes, filenames differ, and the cache misses naturally.
+  // The hash in each filename ensures correctness — if the source image or the
+  // encode settings change, the hash changes, filenames differ, and the cache misses.
   if (cacheDir) {
-    const cached = await loadCachedVariants(originalPath, hash, targetWidths, config, cacheDir, metadata, debugFn);
+    const expected = expectedVariants(originalPath, metadata, { hashes, targetWidths }, config);
+    const cached = await loadCachedVariants(originalPath, expected, config, cacheDir, metadata, debugFn, cacheIndex);
     if (cached) {
       return cached;
     }
   }
 
-  // Process all widths in parallel for better performance
+  // Queue every width × format encode; the queue decides how many run at once
   const widthPromises = targetWidths.map(async (width) => {
     // Create a Sharp instance for this width - clone to avoid conflicts
-    const resized = image.clone().resize({
-      width,
-      withoutEnlargement: config.skipLarger // Prevents upscaling small images
-    });
+    const resized = crop
+      ? cropToAspectRatio(image.clone(), metadata, width, crop)
+      : image.clone().resize({
+          width,
+          kernel: RESIZE_KERNEL,
+          withoutEnlargement: config.skipLarger // Prevents upscaling small images
+        });
+
+    // With targetQuality, encodes are compared against this width's pixels,
+    // decoded once for all formats (see utils/perceptual.js)
+    let referencePixels = null;
+    const reference = () => {
+      if (!referencePixels) {
+        referencePixels = queue.run(() => resized.clone().png().toBuffer()).then(lumaPixels);
+      }
+      return referencePixels;
+    };
 
-    // Process each format in parallel for this width
-    const formatPromises = config.formats.map(async (format) => {
+    // Queue each format for this width
+    const formatPromises = formats.map(async (format) => {
       try {
-        // Skip problematic format combinations (e.g., webp -> original doesn't make sense)
-        if (format === 'original' && metadata.format.toLowerCase() === 'webp') {
-          return null;
-        }
+        const outputPath = generateVariantPath(originalPath, width, format, hashes[format], config);
 
-        let formatted;
-        const outputPath = generateVariantPath(originalPath, width, format, hash, config);
-
-        // Apply format-specific processing with quality/compression settings
-        if (format === 'original') {
-          // For 'original' format, use the source image format
-          const originalFormat = metadata.format.toLowerCase();
-          const formatOptions = config.formatOptions[originalFormat] || {};
-          formatted = resized.clone().toFormat(originalFormat, formatOptions);
-        } else {
-          // For specific formats (avif, webp, etc.), apply format-specific options
-          const formatOptions = config.formatOptions[format] || {};
-          if (format === 'avif') {
-            formatted = resized.clone().avif(formatOptions);
-          } else if (format === 'webp') {
-            formatted = resized.clone().webp(formatOptions);
-          } else if (format === 'jpeg') {
-            formatted = resized.clone().jpeg(formatOptions);
-          } else if (format === 'png') {
-            formatted = resized.clone().png(formatOptions);
-          } else {
-            formatted = resized.clone()[format](formatOptions);
-          }
-        }
+        // 'original' is encoded in the source image format
+        const encoder = format === 'original' ? metadata.format.toLowerCase() : format;
+        const formatOptions = config.formatOptions[encoder] || {};
 
         // Generate the actual image buffer - this is where compression happens.
         // resolveWithObject returns the real output dimensions; calling
         // .metadata() on the pipeline would report the *input* image instead,
         // which shipped source-height/variant-width mismatches on cold builds.
-        const { data: formatBuffer, info } = await formatted.toBuffer({ resolveWithObject: true });
+        // encodeMs adds up the time spent encoding, not waiting for a queue slot
+        let encodeMs = 0;
+        const encode = (options) =>
+          queue.run(async () => {
+            const started = performance.now();
+            const result = await withEncoder(resized.clone(), encoder, options).toBuffer({ resolveWithObject: true });
+            encodeMs += performance.now() - started;
+            return result;
+          });
+        const target = qualitySearch(config, encoder, animation?.animated);
+        const {
+          data: formatBuffer,
+          info,
+          quality,
+          ssim
+        } = target
+          ? await searchQuality((q) => encode({ ...formatOptions, quality: q }), await reference(), target)
+          : await encode(formatOptions);
 
         return {
           path: outputPath,
@@ -97,7 +143,15 @@ export async function processImageToVariants(buffer, originalPath, debugFn, conf
           format: format === 'original' ? metadata.format.toLowerCase() : format,
           originalFormat: metadata.format.toLowerCase(),
           size: formatBuffer.length,
-          height: info.height
+          encodeMs: Math.round(encodeMs),
+          colorSpace,
+          mode: config.mode,
+          // Animated output is one strip of frames; pageHeight is one frame
+          height: info.pageHeight ?? info.height,
+          ...animation,
+          ...(quality !== undefined && { quality, ssim }),
+          ...(crop && { focal: describeCropAnchor(crop) }),
+          ...(config.preset && { preset: config.preset })
         };
       } catch (err) {
         debugFn(`Error generating ${format} variant for ${originalPath} at width ${width}: ${err.message}`);
@@ -112,14 +166,27 @@ export async function processImageToVariants(buffer, originalPath, debugFn, conf
 
   // Wait for all widths to complete and flatten the results
   const widthResults = await Promise.all(widthPromises);
-  variants.push(...widthResults.flat());
+  const { kept, omitted } = omitOversizedVariants(widthResults.flat(), config, originalPath, debugFn);
+  const capped = withinSizeCap(kept, config, debugFn);
+  variants.push(...capped);
+  omitted.push(...kept.filter((variant) => !capped.includes(variant)));
 
   // Persist newly generated variants to the cache directory so subsequent
-  // builds (local or CI) can skip Sharp entirely for this image.
-  if (cacheDir && variants.length > 0) {
+  // builds (local or CI) can skip Sharp entirely for this image. Variants
+  // dropped as larger than the fallback or over animation.maxSize are only
+  // recorded in the index, so warm builds know why the file is absent.
+  if (cacheDir && variants.length + omitted.length > 0) {
     for (const variant of variants) {
-      const cachePath = path.join(cacheDir, path.basename(variant.path));
-      fs.writeFileSync(cachePath, variant.buffer);
+      const name = path.basename(variant.path);
+      writeCacheFile(path.join(cacheDir, name), variant.buffer);
+      if (cacheIndex) {
+        recordVariantFile(cacheIndex, name, variant);
+      }
+    }
+    if (cacheIndex) {
+      for (const variant of omitted) {
+        recordVariantFile(cacheIndex, path.basename(variant.path), { ...variant, omitted: true });
+      }
     }
     debugFn(`Wrote ${variants.length} variants to cache for ${originalPath}`);
   }
@@ -127,36 +194,105 @@ export async function processImageToVariants(buffer, originalPath, debugFn, conf
   return variants;
 }
 
+/**
+ * Set the encoder of a pipeline
+ * @param {Object} pipeline - Sharp instance
+ * @param {string} format - Encoder format ('avif', 'webp', 'jpeg', …), not 'original'
+ * @param {Object} formatOptions - Encoder options
+ * @return {Object} - The Sharp instance
+ */
+function withEncoder(pipeline, format, formatOptions) {
+  if (format === 'avif') {
+    return pipeline.avif(formatOptions);
+  }
+  if (format === 'webp') {
+    return pipeline.webp(formatOptions);
+  }
+  if (format === 'jxl') {
+    return pipeline.jxl(formatOptions);
+  }
+  if (format === 'jpeg') {
+    return pipeline.jpeg(formatOptions);
+  }
+  if (format === 'png') {
+    return pipeline.png(formatOptions);
+  }
+  return pipeline.toFormat(format, formatOptions);
+}
+
+/**
+ * Work out the filename hash per format and the widths processImageToVariants
+ * generates for an image, without encoding anything
+ * @param {Buffer} buffer - Original image buffer
+ * @param {Object} metadata - Sharp metadata of the source image
+ * @param {Object} config - Plugin configuration
+ * @return {{hashes: Object<string, string>, targetWidths: number[]}} - Variant plan
+ */
+export function planVariants(buffer, metadata, config) {
+  // Each format's filename hash covers the source content and that format's
+  // encode settings, so a settings change renames only the variants it affects.
+  // Animated variants and data-static stills of the same source differ too.
+  const sourceHash = isAnimated(metadata, config) ? `${generateHash(buffer)}:animated` : generateHash(buffer);
+  const hashes = Object.fromEntries(
+    config.formats.map((format) => [
+      format,
+      variantHash(sourceHash, config, format === 'original' ? metadata.format.toLowerCase() : format)
+    ])
+  );
+
+  // Determine which widths to generate based on skipLarger setting
+  // If skipLarger is true (default), don't generate sizes larger than original.
+  // A crop is limited by whichever source dimension runs out first.
+  const crop = config.crop || null;
+  const maxWidth = crop ? Math.min(metadata.width, Math.floor(metadata.height * crop.ratio)) : metadata.width;
+  const targetWidths = config.skipLarger ? config.widths.filter((w) => w <= maxWidth) : config.widths;
+
+  return { hashes, targetWidths };
+}
+
+/**
+ * List the variants a plan produces
+ * @param {string} originalPath - Original image path
+ * @param {Object} metadata - Sharp metadata of the source image
+ * @param {{hashes: Object<string, string>, targetWidths: number[]}} plan - Plan from planVariants
+ * @param {Object} config - Plugin configuration
+ * @return {Array<{variantPath: string, width: number, format: string}>} - One entry per variant
+ */
+export function expectedVariants(originalPath, metadata, { hashes, targetWidths }, config) {
+  const expected = [];
+  for (const width of targetWidths) {
+    for (const format of encodedFormats(metadata, config)) {
+      const variantPath = generateVariantPath(originalPath, width, format, hashes[format], config);
+      expected.push({ variantPath, width, format });
+    }
+  }
+  return expected;
+}
+
 /**
  * Loads previously generated variants from the persistent cache directory.
  * Variant files live directly in cacheDir (flat structure, no subdirectories).
  * Returns the loaded variants array, or null on any cache miss.
  * @param {string} originalPath - Original image path
- * @param {string} hash - Content hash of the source image
- * @param {number[]} targetWidths - Array of widths to check
+ * @param {Array<Object>} planned - Expected variants from expectedVariants
  * @param {Object} config - Plugin configuration
  * @param {string} cacheDir - Absolute path to the cache directory (e.g., lib/assets/images/responsive)
  * @param {Object} sourceMetadata - Sharp metadata of the source image
  * @param {Function} debugFn - Debug function
+ * @param {Object} [cacheIndex] - Persistent cache index with the dimensions of each cached variant
  * @return {Promise<Array<Object>|null>} - Loaded variants or null on cache miss
  */
-async function loadCachedVariants(originalPath, hash, targetWidths, config, cacheDir, sourceMetadata, debugFn) {
-  const expected = [];
-
-  for (const width of targetWidths) {
-    for (const format of config.formats) {
-      if (format === 'original' && sourceMetadata.format.toLowerCase() === 'webp') {
-        continue;
-      }
-      const variantPath = generateVariantPath(originalPath, width, format, hash, config);
-      const fullPath = path.join(cacheDir, path.basename(variantPath));
-      expected.push({ variantPath, fullPath, width, format });
-    }
-  }
-
-  // Quick existence check — bail on first miss
+async function loadCachedVariants(originalPath, planned, config, cacheDir, sourceMetadata, debugFn, cacheIndex) {
+  const expected = planned.map((ev) => ({
+    ...ev,
+    name: path.basename(ev.variantPath),
+    fullPath: path.join(cacheDir, path.basename(ev.variantPath))
+  }));
+
+  // Quick existence check — bail on first miss. Files dropped as larger
+  // than the fallback (see utils/oversized.js) are absent on purpose.
   for (const ev of expected) {
-    if (!fs.existsSync(ev.fullPath)) {
+    if (!fs.existsSync(ev.fullPath) && !cacheIndex?.variants?.[ev.name]?.omitted) {
       return null;
     }
   }
@@ -164,28 +300,259 @@ async function loadCachedVariants(originalPath, hash, targetWidths, config, cach
   // All variants found on disk, load them
   debugFn(`Loading ${expected.length} cached variants for ${originalPath}`);
 
-  // Compute height from the source aspect ratio instead of calling sharp().metadata()
-  // on every cached file — avoids spinning up Sharp entirely on cache hits.
-  const aspectRatio = sourceMetadata.height / sourceMetadata.width;
+  // Dimensions come from the cache index, which recorded what the encoder
+  // produced, so warm builds emit the same width/height as cold ones. Files
+  // without a record (older caches) have their header read once.
+  let variants;
+  try {
+    variants = await Promise.all(
+      expected.map(async (ev) => {
+        if (!fs.existsSync(ev.fullPath)) {
+          const { width, height, format, size } = cacheIndex.variants[ev.name];
+          return {
+            path: ev.variantPath,
+            width,
+            height,
+            format,
+            size,
+            ...describeAnimation(sourceMetadata, config),
+            cached: true,
+            omitted: true
+          };
+        }
 
-  const variants = expected.map((ev) => {
-    const buffer = fs.readFileSync(ev.fullPath);
-    const resolvedFormat = ev.format === 'original' ? sourceMetadata.format.toLowerCase() : ev.format;
+        const buffer = fs.readFileSync(ev.fullPath);
+        const { width, height, quality, ssim } = await describeCachedVariant(cacheIndex, ev.name, buffer);
 
-    return {
-      path: ev.variantPath,
-      buffer,
-      width: ev.width,
-      format: resolvedFormat,
-      originalFormat: sourceMetadata.format.toLowerCase(),
-      size: buffer.length,
-      height: Math.round(ev.width * aspectRatio)
-    };
+        return {
+          path: ev.variantPath,
+          buffer,
+          width,
+          format: ev.format === 'original' ? sourceMetadata.format.toLowerCase() : ev.format,
+          originalFormat: sourceMetadata.format.toLowerCase(),
+          size: buffer.length,
+          cached: true,
+          colorSpace: outputColorSpace(config.colorSpace, sourceMetadata),
+          mode: config.mode,
+          height,
+          ...describeAnimation(sourceMetadata, config),
+          ...(quality !== undefined && { quality, ssim }),
+          ...(config.crop && { focal: describeCropAnchor(config.crop) }),
+          ...(config.preset && { preset: config.preset })
+        };
+      })
+    );
+  } catch (err) {
+    debugFn(`Unreadable cached variant for ${originalPath}, regenerating: ${err.message}`);
+    return null;
+  }
+
+  // A damaged or mismatched file makes the whole image a cache miss, so
+  // every variant is regenerated and rewritten. Files are checked against
+  // the width their name promises, not the one read back from them.
+  if (config.verifyCache) {
+    const problem = await findDamagedVariant(
+      variants.map((variant, i) => ({ ...variant, width: expected[i].width })).filter((variant) => !variant.omitted)
+    );
+    if (problem) {
+      console.warn(`metalsmith-optimize-images: cached ${problem}; regenerating variants of ${originalPath}`);
+      return null;
+    }
+  }
+
+  // A dropped variant must still lose to the fallback under the current
+  // minSavings and oversizedVariants, or still exceed animation.maxSize,
+  // otherwise it has to be generated
+  const kept = withinSizeCap(omitOversizedVariants(variants, config, originalPath, debugFn).kept, config, debugFn);
+  if (kept.some((variant) => variant.omitted)) {
+    debugFn(`Cached variants of ${originalPath} lack ones the current settings keep, regenerating`);
+    return null;
+  }
+  return kept;
+}
+
+/**
+ * Resize an image to cover a fixed aspect ratio at the given width.
+ * With a focal point the cover-scaled image is cut around that point, clamped
+ * to the image edges; otherwise Sharp positions the crop using the crop's
+ * strategy ('centre', 'attention' or 'entropy').
+ * @param {Object} image - Sharp instance
+ * @param {Object} metadata - Sharp metadata of the source image
+ * @param {number} width - Target width
+ * @param {Object} crop - Crop from anchorCrop: { ratio, focal, strategy }
+ * @return {Object} - Sharp instance with the resize (and extract) applied
+ */
+function cropToAspectRatio(image, metadata, width, crop) {
+  const height = Math.round(width / crop.ratio);
+
+  if (!crop.focal) {
+    const position = crop.strategy === 'centre' || !crop.strategy ? 'centre' : sharp.strategy[crop.strategy];
+    return image.resize({ width, height, fit: 'cover', position, kernel: RESIZE_KERNEL });
+  }
+
+  // Scale so the image just covers the target box, then cut the box out
+  // centred on the focal point
+  const scale = Math.max(width / metadata.width, height / metadata.height);
+  const scaledWidth = Math.max(width, Math.round(metadata.width * scale));
+  const scaledHeight = Math.max(height, Math.round(metadata.height * scale));
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+  return image.resize({ width: scaledWidth, height: scaledHeight, fit: 'fill', kernel: RESIZE_KERNEL }).extract({
+    left: clamp(Math.round(crop.focal.x * scaledWidth - width / 2), scaledWidth - width),
+    top: clamp(Math.round(crop.focal.y * scaledHeight - height / 2), scaledHeight - height),
+    width,
+    height
   });
+}
+
+/**
+ * Describe how a crop was anchored, for the metadata manifest
+ * @param {Object} crop - Crop from anchorCrop
+ * @return {Object|string} - The focal point { x, y }, or the strategy name
+ */
+function describeCropAnchor(crop) {
+  return crop.focal ? { ...crop.focal } : crop.strategy || 'centre';
+}
+
+/**
+ * Process an art-directed image: the default variants plus one cropped set per
+ * breakpoint. Breakpoint variants are tagged with their media query and sizes
+ * so replacePictureElement can emit a <source media> per format.
+ * @param {Buffer} buffer - Original image buffer
+ * @param {string} originalPath - Original image path
+ * @param {Function} debugFn - Debug function for logging
+ * @param {Object} config - Plugin configuration
+ * @param {string|null} cacheDir - Absolute path to the persistent cache directory, or null
+ * @param {Array<Object>} breakpoints - Breakpoints from resolveArtDirection
+ * @param {Object} [queue] - Build-wide task queue
+ * @param {Object} [cacheIndex] - Persistent cache index
+ * @return {Promise<Array<Object>>} - Default and art-directed variants
+ */
+export async function processArtDirectedVariants(
+  buffer,
+  originalPath,
+  debugFn,
+  config,
+  cacheDir,
+  breakpoints,
+  queue,
+  cacheIndex
+) {
+  const variants = await processImageToVariants(buffer, originalPath, debugFn, config, cacheDir, queue, cacheIndex);
+
+  for (const breakpoint of breakpoints) {
+    const breakpointVariants = await processImageToVariants(
+      buffer,
+      originalPath,
+      debugFn,
+      breakpoint.config,
+      cacheDir,
+      queue,
+      cacheIndex
+    );
+    debugFn(`Generated ${breakpointVariants.length} art-directed variants for ${originalPath} (${breakpoint.media})`);
+
+    variants.push(
+      ...breakpointVariants.map((variant) => ({
+        ...variant,
+        media: breakpoint.media,
+        sizes: breakpoint.sizes
+      }))
+    );
+  }
 
   return variants;
 }
 
+/**
+ * Process a fixed-size image into one variant per pixel density. Widths are
+ * the displayed width times each density; variants are tagged with their
+ * density descriptor ('1x', '2x', …) so the srcset can use x-descriptors.
+ * @param {Buffer} buffer - Original image buffer
+ * @param {string} originalPath - Original image path
+ * @param {Function} debugFn - Debug function for logging
+ * @param {Object} config - Plugin configuration
+ * @param {string|null} cacheDir - Absolute path to the persistent cache directory, or null
+ * @param {{width: number, densities: number[]}} density - Display width and densities from resolveDensity
+ * @param {Object} [queue] - Build-wide task queue
+ * @param {Object} [cacheIndex] - Persistent cache index
+ * @return {Promise<Array<Object>>} - Density-tagged variants
+ */
+export async function processDensityVariants(
+  buffer,
+  originalPath,
+  debugFn,
+  config,
+  cacheDir,
+  density,
+  queue,
+  cacheIndex
+) {
+  const widths = density.densities.map((d) => Math.round(density.width * d));
+  const variants = await processImageToVariants(
+    buffer,
+    originalPath,
+    debugFn,
+    { ...config, widths },
+    cacheDir,
+    queue,
+    cacheIndex
+  );
+
+  return variants.map((variant) => ({
+    ...variant,
+    density: `${density.densities[widths.indexOf(variant.width)]}x`
+  }));
+}
+
+/**
+ * Run the processing for a processedImages key exactly once. The entry holds
+ * the pending promise while the work runs, so references that arrive in the
+ * meantime wait for it (see awaitProcessed), and the result once it is done.
+ * A failed run is removed so it is not reported as processed.
+ * @param {Map} processedImages - Cache of processed images
+ * @param {string} cacheKey - processedImages key
+ * @param {Function} work - Async function producing the entry
+ * @return {Promise<*>} - The processed entry
+ */
+export async function processOnce(processedImages, cacheKey, work) {
+  const pending = work();
+  processedImages.set(cacheKey, pending);
+
+  try {
+    const result = await pending;
+    processedImages.set(cacheKey, result);
+    return result;
+  } catch (err) {
+    processedImages.delete(cacheKey);
+    throw err;
+  }
+}
+
+/**
+ * Wait for an existing processedImages entry. Joining an entry that is still
+ * in flight is a deduplicated request: it is counted per image path in
+ * stats.deduplicated for the debug summary and the build report.
+ * @param {Map} processedImages - Cache of processed images
+ * @param {string} cacheKey - processedImages key
+ * @param {string} imagePath - Normalized image path
+ * @param {Function} debug - Debug function
+ * @param {Object} [stats] - Build tracker with a `deduplicated` Map
+ * @return {Promise<*>} - The processed entry
+ */
+export function awaitProcessed(processedImages, cacheKey, imagePath, debug, stats) {
+  const entry = processedImages.get(cacheKey);
+
+  if (entry instanceof Promise) {
+    debug(`Waiting for in-flight processing of ${imagePath}`);
+    stats?.deduplicated?.set(imagePath, (stats.deduplicated.get(imagePath) || 0) + 1);
+  } else {
+    debug(`Using cached variants for ${imagePath}`);
+  }
+
+  return Promise.resolve(entry);
+}
+
 /**
  * Process a single image
  * @param {Object} context - Processing context
@@ -199,8 +566,11 @@ async function loadCachedVariants(originalPath, hash, targetWidths, config, cach
  * @param {Function} context.replacePictureElement - Function to replace img with picture
  * @param {string|null} context.cacheDir - Resolved absolute path to persistent cache, or null
  * @param {string|null} context.sourcePrefix - Prefix to map build paths to source asset paths on disk, or null
- * @param {Object} [context.stats] - Resolution tracker: { resolved: Set, missed: Set }
- * @return {Promise<void>} - Promise that resolves when the image is processed
+ * @param {Object} [context.stats] - Build tracker: { resolved: Set, missed: Set, deduplicated: Map }
+ * @param {Object} [context.queue] - Build-wide task queue that bounds concurrent encodes
+ * @param {Object} [context.cacheIndex] - Persistent cache index, when the cache is enabled
+ * @return {Promise<Object|undefined>} - The image as used on the page: { src, variants, formats, sizes },
+ *   or undefined when it was left as it was
  */
 export async function processImage({
   $,
@@ -213,7 +583,9 @@ export async function processImage({
   replacePictureElement,
   cacheDir,
   sourcePrefix,
-  stats
+  stats,
+  queue = directQueue,
+  cacheIndex = null
 }) {
   const $img = $(img);
   const src = $img.attr('src');
@@ -238,47 +610,98 @@ export async function processImage({
     return;
   }
 
-  // Create a cache key that includes the file path and modification time
-  // This prevents reprocessing the same image multiple times in a single build
-  const fileMtime = files[normalizedSrc].mtime || Date.now();
-  const cacheKey = `${normalizedSrc}:${fileMtime}`;
+  // Per-image overrides (data-widths, data-formats, data-quality, data-sizes)
+  const imageConfig = resolveImageConfig($img, config, debug);
 
-  // Check if we've already processed this exact image (same file + mtime)
-  if (processedImages.has(cacheKey)) {
-    debug(`Using cached variants for ${normalizedSrc}`);
-    const variants = processedImages.get(cacheKey);
-    replacePictureElement($, $img, variants, config);
-    return;
-  }
+  // Fixed-size images (width + data-density) get 1x/2x/3x variants instead of
+  // the width ladder; density mode takes precedence over art direction
+  const density = resolveDensity($img, imageConfig, debug);
 
-  debug(`Processing image: ${normalizedSrc}`);
+  // Art-directed images carry extra cropped variants per breakpoint, anchored
+  // on the image's focal point when it declares one
+  const focal = density ? null : resolveFocalPoint($img, normalizedSrc, files[normalizedSrc], imageConfig, debug);
+  const artDirection = density ? null : resolveArtDirection($img, imageConfig, debug, focal);
+
+  // Create a cache key that includes the file path and modification time
+  // This prevents reprocessing the same image multiple times in a single build.
+  // References with different effective settings (overrides, density, art
+  // direction) get their own entry since they produce a different variant set.
+  const fileMtime = files[normalizedSrc].mtime || Date.now();
+  const cacheKey = `${normalizedSrc}:${fileMtime}${variantKeySuffix(imageConfig, config, {
+    density,
+    artDirection: artDirection && $img.attr('data-art-direction'),
+    focal: artDirection && focal
+  })}`;
 
   try {
-    // Process image to generate all variants (different sizes and formats)
-    const variants = await processImageToVariants(
-      files[normalizedSrc].contents,
-      normalizedSrc,
-      debug,
-      config,
-      cacheDir
-    );
+    // Reuse this exact image (same file + settings) when another reference
+    // already processed it or is processing it right now
+    const variants = processedImages.has(cacheKey)
+      ? await awaitProcessed(processedImages, cacheKey, normalizedSrc, debug, stats)
+      : await processOnce(processedImages, cacheKey, async () => {
+          debug(`Processing image: ${normalizedSrc}`);
+
+          // Process image to generate all variants (different sizes and formats)
+          const { contents } = files[normalizedSrc];
+          let generated;
+          if (density) {
+            generated = await processDensityVariants(
+              contents,
+              normalizedSrc,
+              debug,
+              imageConfig,
+              cacheDir,
+              density,
+              queue,
+              cacheIndex
+            );
+          } else if (artDirection) {
+            generated = await processArtDirectedVariants(
+              contents,
+              normalizedSrc,
+              debug,
+              imageConfig,
+              cacheDir,
+              artDirection,
+              queue,
+              cacheIndex
+            );
+          } else {
+            generated = await processImageToVariants(
+              contents,
+              normalizedSrc,
+              debug,
+              imageConfig,
+              cacheDir,
+              queue,
+              cacheIndex
+            );
+          }
 
-    // When cache is configured, variant files are written to cacheDir by
-    // processImageToVariants and the static-files plugin copies them to the build.
-    // When cache is NOT configured, add variants to the files object directly.
-    if (!cacheDir) {
-      variants.forEach((variant) => {
-        files[variant.path] = {
-          contents: variant.buffer
-        };
-      });
-    }
+          // When cache is configured, variant files are written to cacheDir by
+          // processImageToVariants and the static-files plugin copies them to the build.
+          // When cache is NOT configured, add variants to the files object directly.
+          if (!cacheDir) {
+            generated.forEach((variant) => {
+              files[variant.path] = {
+                contents: variant.buffer
+              };
+            });
+          }
 
-    // Cache variants for this image to avoid reprocessing
-    processedImages.set(cacheKey, variants);
+          return generated;
+        });
 
     // Replace the original <img> tag with a responsive <picture> element
-    replacePictureElement($, $img, variants, config);
+    replacePictureElement($, $img, variants, imageConfig);
+
+    // What the page now references, for the page-level budgets
+    return {
+      src: normalizedSrc,
+      variants,
+      formats: imageConfig.formats,
+      sizes: $img.attr('sizes') || imageConfig.sizes
+    };
   } catch (err) {
     debug(`Error processing image: ${err.message}`);
   }
@@ -2,8 +2,12 @@
  * Progressive image loading processor
  * Handles placeholder generation and smooth loading transitions
  */
-import sharp from 'sharp';
 import path from 'node:path';
+import { MODERN_FORMATS, withAutoSizes } from '../utils/imageOptions.js';
+import { RESIZE_KERNEL } from '../utils/fingerprint.js';
+import { openSourceImage } from '../utils/orientation.js';
+import { applyMetadataPolicy } from '../utils/exif.js';
+import { applyColorSpace } from '../utils/colorSpace.js';
 
 /**
  * Generate placeholder image for progressive loading
@@ -12,19 +16,21 @@ import path from 'node:path';
  * @param {Buffer} imageBuffer - Original image buffer
  * @param {Object} placeholderConfig - Placeholder configuration (width, quality, blur)
  * @param {Object} metalsmith - Metalsmith instance
+ * @param {Object} [imageConfig] - Image configuration; its metadata and colorSpace options apply to the placeholder
  * @return {Promise<Object>} Placeholder data with path and contents
  */
-export async function generatePlaceholder(imagePath, imageBuffer, placeholderConfig, metalsmith) {
+export async function generatePlaceholder(imagePath, imageBuffer, placeholderConfig, metalsmith, imageConfig = {}) {
   const { width, quality, blur } = placeholderConfig;
 
   try {
-    // Get original image dimensions for aspect ratio calculation
-    const image = sharp(imageBuffer);
-    const metadata = await image.metadata();
+    // Displayed (upright) dimensions for the aspect ratio calculation
+    const { image, metadata } = await openSourceImage(imageBuffer);
+    applyMetadataPolicy(image, imageConfig.metadata, metadata);
+    applyColorSpace(image, imageConfig.colorSpace, imageConfig.metadata);
 
     // Process image: resize to small width, blur heavily, compress heavily
     const processed = await image
-      .resize(width) // Default: 50px wide
+      .resize({ width, kernel: RESIZE_KERNEL }) // Default: 50px wide
       .blur(blur) // Default: 10px blur
       .jpeg({ quality }) // Default: 30% quality
       .toBuffer();
@@ -72,7 +78,7 @@ export function createProgressiveWrapper($, $img, variants, placeholderData, _co
 
   // Get original format variants (skip AVIF/WebP for progressive mode)
   // JavaScript will handle format detection dynamically
-  const originalFormat = Object.keys(variantsByFormat).find((f) => f !== 'avif' && f !== 'webp');
+  const originalFormat = Object.keys(variantsByFormat).find((f) => !MODERN_FORMATS.includes(f));
   const originalVariants = originalFormat ? variantsByFormat[originalFormat] : [];
 
   if (originalVariants.length === 0) {
@@ -113,6 +119,16 @@ export function createProgressiveWrapper($, $img, variants, placeholderData, _co
     .attr('alt', alt)
     .attr('data-source', `/${highResVariant.path}`);
 
+  // One data-source-<format> per format the loader detects, when emitted at
+  // the same width. Each format has its own filename hash, so the loader
+  // can't derive these from data-source, and a dropped format has none.
+  for (const format of ['avif', 'webp']) {
+    const variant = variantsByFormat[format]?.find((v) => v.width === highResVariant.width);
+    if (variant) {
+      $highRes.attr(`data-source-${format}`, `/${variant.path}`);
+    }
+  }
+
   // Assemble the progressive wrapper
   $lowRes.appendTo($wrapper);
   $highRes.appendTo($wrapper);
@@ -134,7 +150,8 @@ export function createStandardPicture($, $img, variants, config) {
   const src = $img.attr('src');
   const alt = $img.attr('alt') || '';
   const className = $img.attr('class') || '';
-  const sizesAttr = $img.attr('sizes') || config.sizes;
+  // This fallback picture is always lazy-loaded
+  const sizesAttr = $img.attr('sizes') || withAutoSizes(config.sizes, { ...config, lazy: true });
 
   // Group variants by format
   const variantsByFormat = {};
@@ -148,25 +165,27 @@ export function createStandardPicture($, $img, variants, config) {
   // Create picture element with all formats (standard mode)
   const $picture = $('<picture>');
 
-  // Add format-specific source elements in preference order
-  ['avif', 'webp'].forEach((format) => {
-    const formatVariants = variantsByFormat[format];
-    if (!formatVariants || formatVariants.length === 0) {
-      return;
-    }
+  // Add format-specific source elements in config.formats preference order
+  (config.formats || MODERN_FORMATS)
+    .filter((format) => MODERN_FORMATS.includes(format))
+    .forEach((format) => {
+      const formatVariants = variantsByFormat[format];
+      if (!formatVariants || formatVariants.length === 0) {
+        return;
+      }
 
-    // Sort variants by width
-    formatVariants.sort((a, b) => a.width - b.width);
+      // Sort variants by width
+      formatVariants.sort((a, b) => a.width - b.width);
 
-    // Create srcset string
-    const srcset = formatVariants.map((v) => `/${v.path} ${v.width}w`).join(', ');
+      // Create srcset string
+      const srcset = formatVariants.map((v) => `/${v.path} ${v.width}w`).join(', ');
 
-    // Create source element
-    $('<source>').attr('type', `image/${format}`).attr('srcset', srcset).attr('sizes', sizesAttr).appendTo($picture);
-  });
+      // Create source element
+      $('<source>').attr('type', `image/${format}`).attr('srcset', srcset).attr('sizes', sizesAttr).appendTo($picture);
+    });
 
   // Add original format as img element
-  const originalFormat = Object.keys(variantsByFormat).find((f) => f !== 'avif' && f !== 'webp');
+  const originalFormat = Object.keys(variantsByFormat).find((f) => !MODERN_FORMATS.includes(f));
 
   if (originalFormat && variantsByFormat[originalFormat]) {
     const formatVariants = variantsByFormat[originalFormat];
@@ -212,6 +231,19 @@ export const progressiveImageLoader = `
   // Cache for detected format support
   let bestFormat = null;
   
+  // Pick the best emitted file for the detected format support. Modern formats
+  // are listed per image in data-source-avif / data-source-webp; a format
+  // missing there was not emitted, so fall back to the next one
+  const pickSource = function(img) {
+    if (bestFormat === 'avif' && img.dataset.sourceAvif) {
+      return img.dataset.sourceAvif;
+    }
+    if ((bestFormat === 'avif' || bestFormat === 'webp') && img.dataset.sourceWebp) {
+      return img.dataset.sourceWebp;
+    }
+    return img.dataset.source;
+  };
+  
   // Main function called when images enter the viewport
   const loadImage = function(entries, observer) {
     for (let entry of entries) {
@@ -220,24 +252,13 @@ export const progressiveImageLoader = `
         
         // Find the high res image in the wrapper
         const thisImage = thisWrapper.querySelector('.high-res');
-        const thisImageSource = thisImage.dataset.source;
         
-        if (!thisImageSource) {
+        if (!thisImage.dataset.source) {
           console.warn('No data-source found for high-res image');
           return;
         }
         
-        // Apply format based on detected support
-        let finalImageSource = thisImageSource;
-        
-        if (bestFormat === 'avif') {
-          finalImageSource = thisImageSource.replace(/.(jpg|jpeg|png)$/i, '.avif');
-        } else if (bestFormat === 'webp') {
-          finalImageSource = thisImageSource.replace(/.(jpg|jpeg|png)$/i, '.webp');
-        }
-        // If 'original' or null, use original (no change needed)
-        
-        thisImage.src = finalImageSource;
+        thisImage.src = pickSource(thisImage);
         
         // Take this image off the observe list to prevent duplicate loading
         observer.unobserve(thisWrapper);
@@ -265,16 +286,7 @@ export const progressiveImageLoader = `
       document.querySelectorAll('.js-progressive-image-wrapper').forEach(function(wrapper) {
         const img = wrapper.querySelector('.high-res');
         if (img && img.dataset.source) {
-          let finalImageSource = img.dataset.source;
-          
-          // Apply detected format for fallback
-          if (bestFormat === 'avif') {
-            finalImageSource = img.dataset.source.replace(/.(jpg|jpeg|png)$/i, '.avif');
-          } else if (bestFormat === 'webp') {
-            finalImageSource = img.dataset.source.replace(/.(jpg|jpeg|png)$/i, '.webp');
-          }
-          
-          img.src = finalImageSource;
+          img.src = pickSource(img);
           wrapper.classList.add('done');
         }
       });
@@ -0,0 +1,77 @@
+/**
+ * Animated sources
+ * Animated GIF and WebP sources keep their frames in WebP variants, the only
+ * animated output Sharp can write besides GIF itself. The original file stays
+ * the <img> fallback, so no other format is generated for them.
+ */
+
+import { encodableFormats } from './jxl.js';
+
+/**
+ * Output formats that keep every frame of an animated source
+ */
+export const ANIMATED_FORMATS = ['webp'];
+
+/**
+ * Whether variants of a source are animated: it has several frames and the
+ * image did not ask for a still with data-static
+ * @param {Object} metadata - Sharp metadata of the source image
+ * @param {Object} config - Effective image configuration
+ * @return {boolean} - True for animated variants
+ */
+export function isAnimated(metadata, config) {
+  return metadata.pages > 1 && !config.still;
+}
+
+/**
+ * Describe the animation of a source's variants for the metadata manifest
+ * @param {Object} metadata - Sharp metadata of the source image
+ * @param {Object} config - Effective image configuration
+ * @return {{animated: boolean, frames: number}|null} - Animation fields, or
+ *   null for single-frame sources
+ */
+export function describeAnimation(metadata, config) {
+  if (!(metadata.pages > 1)) {
+    return null;
+  }
+  return isAnimated(metadata, config) ? { animated: true, frames: metadata.pages } : { animated: false, frames: 1 };
+}
+
+/**
+ * The configured formats a source is encoded in. WebP sources get no
+ * 'original' variants; animated sources only get formats that animate.
+ * Formats libvips cannot encode are left out (see utils/jxl.js).
+ * @param {Object} metadata - Sharp metadata of the source image
+ * @param {Object} config - Effective image configuration
+ * @return {string[]} - Formats in config.formats order
+ */
+export function encodedFormats(metadata, config) {
+  const sourceFormat = metadata.format.toLowerCase();
+  return encodableFormats(config.formats).filter((format) => {
+    if (format === 'original' && sourceFormat === 'webp') {
+      return false;
+    }
+    return !isAnimated(metadata, config) || ANIMATED_FORMATS.includes(format);
+  });
+}
+
+/**
+ * Drop animated variants over the configured size cap
+ * @param {Array<Object>} variants - Variants of one source
+ * @param {Object} config - Effective image configuration
+ * @param {Function} debugFn - Debug function
+ * @return {Array<Object>} - Variants within the cap
+ */
+export function withinSizeCap(variants, config, debugFn) {
+  const maxSize = config.animation?.maxSize;
+  if (!maxSize) {
+    return variants;
+  }
+  return variants.filter((variant) => {
+    if (variant.animated && variant.size > maxSize) {
+      debugFn(`Dropping ${variant.path}: ${variant.size} bytes exceeds animation.maxSize (${maxSize})`);
+      return false;
+    }
+    return true;
+  });
+}
@@ -0,0 +1,156 @@
+/**
+ * Art-direction utilities
+ * Resolves the per-breakpoint crops an image opts into via `data-art-direction`
+ * and the focal point those crops are anchored on
+ */
+
+/**
+ * Sharp crop strategies usable when an image declares no focal point
+ */
+export const CROP_STRATEGIES = ['centre', 'attention', 'entropy'];
+
+/**
+ * Parse an aspect ratio into a numeric width/height ratio and a filename label.
+ * Accepts 'W:H' strings (e.g. '16:9') or a positive number (width / height).
+ * @param {string|number} aspectRatio - Aspect ratio declaration
+ * @return {{ratio: number, label: string}|null} - Parsed ratio, or null when invalid
+ */
+export function parseAspectRatio(aspectRatio) {
+  if (typeof aspectRatio === 'number') {
+    return Number.isFinite(aspectRatio) && aspectRatio > 0 ? { ratio: aspectRatio, label: `${aspectRatio}x1` } : null;
+  }
+
+  if (typeof aspectRatio !== 'string') {
+    return null;
+  }
+
+  const match = aspectRatio.trim().match(/^(\d+(?:\.\d+)?)\s*[:/x]\s*(\d+(?:\.\d+)?)$/);
+  if (!match) {
+    return null;
+  }
+
+  const width = Number(match[1]);
+  const height = Number(match[2]);
+  if (width <= 0 || height <= 0) {
+    return null;
+  }
+
+  return { ratio: width / height, label: `${match[1]}x${match[2]}` };
+}
+
+/**
+ * Parse a focal point given as 'x,y', [x, y] or { x, y } with both
+ * coordinates as fractions of the image size (0 = left/top, 1 = right/bottom)
+ * @param {string|number[]|Object} focal - Focal point declaration
+ * @return {{x: number, y: number}|null} - Parsed focal point, or null when invalid
+ */
+export function parseFocalPoint(focal) {
+  let coords = focal;
+  if (typeof focal === 'string') {
+    coords = focal.split(',').map((part) => (part.trim() === '' ? Number.NaN : Number(part)));
+  } else if (focal?.constructor === Object) {
+    coords = [focal.x, focal.y];
+  }
+
+  if (!Array.isArray(coords) || coords.length !== 2) {
+    return null;
+  }
+
+  const [x, y] = coords;
+  const inRange = (n) => typeof n === 'number' && n >= 0 && n <= 1;
+  return inRange(x) && inRange(y) ? { x, y } : null;
+}
+
+/**
+ * Resolve the focal point for an image, in order of precedence: the
+ * `data-focal` attribute, a `focal` property on the image's Metalsmith file
+ * metadata (set by a sidecar or frontmatter plugin), then config.focalPoints
+ * keyed by the image path.
+ * @param {Object} $img - Cheerio image element
+ * @param {string} imagePath - Normalized image path (files-object key)
+ * @param {Object} fileData - Metalsmith file object for the image
+ * @param {Object} config - Plugin configuration
+ * @param {Function} debug - Debug function
+ * @return {{x: number, y: number}|null} - Focal point, or null when none is declared
+ */
+export function resolveFocalPoint($img, imagePath, fileData, config, debug) {
+  const candidates = [
+    ['data-focal', $img.attr('data-focal')],
+    ['file metadata', fileData?.focal],
+    ['focalPoints', config.focalPoints?.[imagePath]]
+  ];
+
+  for (const [label, value] of candidates) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    const focal = parseFocalPoint(value);
+    if (focal) {
+      return focal;
+    }
+    debug(`Ignoring invalid focal point from ${label} on ${imagePath}: ${JSON.stringify(value)}`);
+  }
+
+  return null;
+}
+
+/**
+ * Anchor a crop on a focal point, or on the configured Sharp strategy when
+ * there is none. The anchor is folded into the filename label so variants
+ * cropped differently from the same source never share a cache file.
+ * @param {{ratio: number, label: string}} crop - Parsed aspect ratio
+ * @param {{x: number, y: number}|null} focal - Focal point, or null
+ * @param {string} [strategy='centre'] - Fallback Sharp crop strategy
+ * @return {Object} - Crop with focal, strategy and an extended label
+ */
+export function anchorCrop(crop, focal, strategy = 'centre') {
+  if (focal) {
+    const label = `${crop.label}-f${Math.round(focal.x * 100)}-${Math.round(focal.y * 100)}`;
+    return { ...crop, label, focal, strategy: null };
+  }
+
+  const label = strategy === 'centre' ? crop.label : `${crop.label}-${strategy}`;
+  return { ...crop, label, focal: null, strategy };
+}
+
+/**
+ * Resolve the art-direction breakpoints selected by an image's
+ * `data-art-direction` attribute. Each breakpoint carries a derived config
+ * (its own widths and crop) that processImageToVariants understands, plus the
+ * media query and sizes value the <source> elements are written with.
+ * @param {Object} $img - Cheerio image element
+ * @param {Object} config - Plugin configuration
+ * @param {Function} debug - Debug function
+ * @param {{x: number, y: number}|null} [focal] - Focal point the crops are anchored on
+ * @return {Array<Object>|null} - Breakpoints in declaration order, or null when not art-directed
+ */
+export function resolveArtDirection($img, config, debug, focal = null) {
+  const name = $img.attr('data-art-direction');
+  if (!name) {
+    return null;
+  }
+
+  const breakpoints = config.artDirection?.[name];
+  if (!Array.isArray(breakpoints) || breakpoints.length === 0) {
+    debug(`Unknown art direction "${name}" on ${$img.attr('src')}, using default variants`);
+    return null;
+  }
+
+  // Breakpoints were validated by buildConfig, so aspect ratios parse here
+  return breakpoints.map((breakpoint) => {
+    const crop =
+      breakpoint.aspectRatio !== undefined
+        ? anchorCrop(parseAspectRatio(breakpoint.aspectRatio), focal, config.cropStrategy)
+        : null;
+
+    return {
+      media: breakpoint.media,
+      sizes: breakpoint.sizes,
+      config: {
+        ...config,
+        widths: breakpoint.widths || config.widths,
+        crop
+      }
+    };
+  });
+}
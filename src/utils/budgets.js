@@ -0,0 +1,223 @@
+/**
+ * Byte-size budgets
+ * Caps on the bytes a build ships: per variant, by format, and per HTML
+ * page. A page is charged for the one variant of each image a browser most
+ * likely downloads, not for every variant in its srcset.
+ */
+import { MODERN_FORMATS } from './imageOptions.js';
+import { formatBytes } from './prune.js';
+
+/**
+ * Accepted values of budgets.severity:
+ * - warn: print the offenders and carry on
+ * - error: fail the build with the offenders in the error message
+ */
+export const BUDGET_SEVERITIES = ['warn', 'error'];
+
+/**
+ * Settings used for the budgets keys the user leaves out. A limit of 0 (or
+ * a format without one) is not checked. viewport and dpr describe the
+ * browser the page budget assumes.
+ */
+export const BUDGET_DEFAULTS = { variant: {}, page: 0, severity: 'warn', viewport: 1280, dpr: 1 };
+
+/**
+ * Formats the progressive loader swaps in when the browser supports them
+ * (see progressiveProcessor.js)
+ */
+const PROGRESSIVE_FORMATS = ['avif', 'webp'];
+
+/**
+ * Whether a media query matches a viewport. Only min-width and max-width
+ * in pixels are understood; any other condition doesn't match.
+ * @param {string} media - Media query, e.g. '(max-width: 768px)'
+ * @param {number} viewport - Viewport width in CSS pixels
+ * @return {boolean} - Whether the query matches
+ */
+export function matchesViewport(media, viewport) {
+  const conditions = media.split(/\s+and\s+/i).map((part) => part.trim());
+  return conditions.every((condition) => {
+    const match = condition.match(/^\(\s*(min|max)-width\s*:\s*(\d+(?:\.\d+)?)px\s*\)$/i);
+    if (!match) {
+      return false;
+    }
+    const limit = Number(match[2]);
+    return match[1].toLowerCase() === 'min' ? viewport >= limit : viewport <= limit;
+  });
+}
+
+/**
+ * Width of an image's slot according to its sizes attribute: the first
+ * entry whose media condition matches the viewport. px and vw lengths are
+ * understood; anything else, or no match, takes the full viewport.
+ * @param {string} [sizes] - Sizes attribute value
+ * @param {number} viewport - Viewport width in CSS pixels
+ * @return {number} - Slot width in CSS pixels
+ */
+export function slotWidth(sizes, viewport) {
+  for (const entry of (sizes || '').split(',')) {
+    const match = entry.trim().match(/^(\(.*\))?\s*(\S+)$/);
+    if (!match || match[2].toLowerCase() === 'auto') {
+      continue;
+    }
+    if (match[1] && !matchesViewport(match[1], viewport)) {
+      continue;
+    }
+    const length = match[2].match(/^(\d+(?:\.\d+)?)(px|vw)$/i);
+    if (!length) {
+      return viewport;
+    }
+    return length[2].toLowerCase() === 'px' ? Number(length[1]) : (Number(length[1]) * viewport) / 100;
+  }
+  return viewport;
+}
+
+/**
+ * The variant a browser most likely downloads for one image, and the bytes
+ * it costs. Standard images use the first art-directed group whose media
+ * matches, the first configured format present, and the narrowest width
+ * covering the slot at the budget's dpr (the density for fixed-size images).
+ * Progressive images load their placeholder plus the middle width, in AVIF
+ * or WebP when it exists.
+ * @param {Object} image - Image used on a page: { src, variants, formats, sizes, progressive, placeholderSize }
+ * @param {{viewport: number, dpr: number}} budgets - Effective budgets
+ * @return {{variant: Object, bytes: number}|null} - The variant and the bytes charged, or null without variants
+ */
+export function likelyVariant(image, { viewport, dpr }) {
+  if (image.variants.length === 0) {
+    return null;
+  }
+
+  const fallbackFormat = image.variants.find((v) => !MODERN_FORMATS.includes(v.format))?.format;
+  const inFormat = (variants, formats) => {
+    const format = formats.find((f) => variants.some((v) => v.format === f)) || fallbackFormat || variants[0].format;
+    return variants.filter((v) => v.format === format).sort((a, b) => a.width - b.width);
+  };
+
+  if (image.progressive) {
+    const ladder = image.variants.filter((v) => v.format === fallbackFormat);
+    const middle = ladder[Math.floor(ladder.length / 2)];
+    if (!middle) {
+      return null;
+    }
+    const swapped = inFormat(image.variants, PROGRESSIVE_FORMATS).find((v) => v.width === middle.width) || middle;
+    return { variant: swapped, bytes: swapped.size + (image.placeholderSize || 0) };
+  }
+
+  const groups = new Map();
+  for (const variant of image.variants) {
+    const key = variant.media || '';
+    groups.set(key, [...(groups.get(key) || []), variant]);
+  }
+  const media = [...groups.keys()].find((key) => key && matchesViewport(key, viewport));
+  const group = groups.get(media || '') || [...groups.values()][0];
+  const candidates = inFormat(group, image.formats || []);
+
+  let variant;
+  if (candidates[0].density) {
+    const byDensity = [...candidates].sort((a, b) => parseFloat(a.density) - parseFloat(b.density));
+    variant = byDensity.find((v) => parseFloat(v.density) >= dpr) || byDensity[byDensity.length - 1];
+  } else {
+    const needed = slotWidth(candidates[0].sizes || image.sizes, viewport) * dpr;
+    variant = candidates.find((v) => v.width >= needed) || candidates[candidates.length - 1];
+  }
+  return { variant, bytes: variant.size };
+}
+
+/**
+ * Check the images of every page against the budgets
+ * @param {Map<string, Array<Object>>} pages - Images used per HTML file, as recorded in stats.pages
+ * @param {Object} budgets - Effective budgets
+ * @return {{variants: Array<Object>, pages: Array<Object>}} - Variants over their format's budget, with
+ *   the pages using them, and pages over the page budget, with the variant charged per image
+ */
+export function checkBudgets(pages, budgets) {
+  const variants = new Map();
+  const overPages = [];
+
+  // Pages finish in any order; report them in path order
+  const sorted = [...pages].sort(([a], [b]) => a.localeCompare(b));
+  for (const [page, images] of sorted) {
+    for (const image of images) {
+      for (const variant of image.variants) {
+        const limit = budgets.variant[variant.format];
+        if (!limit || variant.size <= limit) {
+          continue;
+        }
+        const offender = variants.get(variant.path) || { image: image.src, variant, limit, pages: [] };
+        if (!offender.pages.includes(page)) {
+          offender.pages.push(page);
+        }
+        variants.set(variant.path, offender);
+      }
+    }
+
+    if (!budgets.page) {
+      continue;
+    }
+
+    // Each URL is downloaded once however often the page shows it
+    const charged = new Map();
+    for (const image of images) {
+      const likely = likelyVariant(image, budgets);
+      if (likely && !charged.has(likely.variant.path)) {
+        charged.set(likely.variant.path, { image: image.src, ...likely });
+      }
+    }
+    const total = [...charged.values()].reduce((sum, entry) => sum + entry.bytes, 0);
+    if (total > budgets.page) {
+      const images = [...charged.values()].sort((a, b) => b.bytes - a.bytes);
+      overPages.push({ page, total, limit: budgets.page, images });
+    }
+  }
+
+  return { variants: [...variants.values()], pages: overPages };
+}
+
+/**
+ * Describe budget offenders, one line each
+ * @param {{variants: Array<Object>, pages: Array<Object>}} offenders - Result of checkBudgets
+ * @return {string[]} - Messages naming the pages and images involved
+ */
+export function formatBudgetOffenders(offenders) {
+  const lines = offenders.variants.map(
+    ({ image, variant, limit, pages }) =>
+      `${variant.path} (${image}, ${variant.format}) is ${formatBytes(variant.size)}, over the ` +
+      `${formatBytes(limit)} ${variant.format} budget; used on ${pages.join(', ')}`
+  );
+  for (const { page, total, limit, images } of offenders.pages) {
+    const heaviest = images
+      .slice(0, 5)
+      .map((entry) => `${entry.image} ${formatBytes(entry.bytes)}`)
+      .join(', ');
+    lines.push(
+      `${page} loads ${formatBytes(total)} of images, over the ${formatBytes(limit)} page budget: ` +
+        `${heaviest}${images.length > 5 ? ', …' : ''}`
+    );
+  }
+  return lines;
+}
+
+/**
+ * Evaluate the budgets after every page is processed. Offenders are printed
+ * as warnings, or with severity 'error' thrown so the build fails.
+ * @param {Map<string, Array<Object>>} pages - Images used per HTML file
+ * @param {Object|false} budgets - Effective budgets, or false when off
+ * @throws {Error} When a budget is exceeded and budgets.severity is 'error'
+ */
+export function enforceBudgets(pages, budgets) {
+  if (!budgets) {
+    return;
+  }
+
+  const lines = formatBudgetOffenders(checkBudgets(pages, budgets));
+  if (lines.length === 0) {
+    return;
+  }
+
+  const message = `${lines.length} image budget(s) exceeded:\n${lines.map((line) => `  ${line}`).join('\n')}`;
+  if (budgets.severity === 'error') {
+    throw new Error(message);
+  }
+  console.warn(`metalsmith-optimize-images: ${message}`);
+}
@@ -0,0 +1,87 @@
+/**
+ * Cache file helpers
+ * Writing files into the persistent cache so an interrupted build never
+ * leaves a truncated file behind, and checking that a cached variant is
+ * the image its name promises
+ */
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import sharp from 'sharp';
+import { FORMAT_ALIASES } from './imageOptions.js';
+
+/**
+ * Names of the temporary files writeCacheFile creates: .<name>.<pid>.<random>.tmp
+ */
+const TEMP_FILE = /^\..+\.\d+\.[0-9a-f]{8}\.tmp$/;
+
+/**
+ * Check whether a file name is a temporary file left by an interrupted writeCacheFile
+ * @param {string} name - File basename
+ * @return {boolean} - True for writeCacheFile temp files
+ */
+export const isCacheTempFile = (name) => TEMP_FILE.test(name);
+
+/**
+ * Write a file atomically: the data goes to a temporary file next to the
+ * target, which is then renamed over it. A rename within one directory is
+ * atomic, so readers see either the old file or the complete new one.
+ * @param {string} filePath - Absolute path of the file to write
+ * @param {Buffer|string} data - File contents
+ */
+export function writeCacheFile(filePath, data) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  );
+
+  try {
+    fs.writeFileSync(tempPath, data);
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Check a cached variant against what its name promises by decoding its
+ * header. Sharp reports AVIF as 'heif' and file extensions say 'jpg' for
+ * JPEG; both are normalised before comparing.
+ * @param {Buffer|string} input - Variant file contents, or its path
+ * @param {{width: number|null, format: string}} expected - Expected width (null to skip) and format
+ * @return {Promise<string|null>} - What is wrong with the file, or null when it matches
+ */
+export async function checkCachedVariant(input, expected) {
+  let metadata;
+  try {
+    metadata = await sharp(input).metadata();
+  } catch (err) {
+    return `does not decode: ${err.message}`;
+  }
+
+  const format = FORMAT_ALIASES[expected.format] || expected.format;
+  const actualFormat = metadata.format === 'heif' ? 'avif' : metadata.format;
+  if (actualFormat !== format) {
+    return `contains ${actualFormat}, not ${format}`;
+  }
+  if (expected.width !== null && metadata.width !== expected.width) {
+    return `is ${metadata.width}px wide, not ${expected.width}px`;
+  }
+  return null;
+}
+
+/**
+ * Find the first loaded cache variant that does not match its description
+ * @param {Array<{path: string, buffer: Buffer, width: number, format: string}>} variants - Variants read from the cache
+ * @return {Promise<string|null>} - e.g. 'hero-640w-a1b2c3d4.webp is 320px wide, not 640px', or null when all match
+ */
+export async function findDamagedVariant(variants) {
+  for (const variant of variants) {
+    const problem = await checkCachedVariant(variant.buffer, variant);
+    if (problem) {
+      return `${path.basename(variant.path)} ${problem}`;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,266 @@
+/**
+ * Persistent cache index
+ * Records, per source image, what the variants in the cache directory were
+ * generated from, so variants whose filenames carry no content hash
+ * (background images) can still be invalidated when their source changes.
+ * It also lists the files the last build referenced, so the cache can be
+ * pruned without running a build, and the exact dimensions, format and size
+ * of every variant, so cache hits report what the encoder produced without
+ * reading image headers. Analyses of source content (such as the encoding
+ * mode 'auto' picks) are kept per source until its content changes.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import sharp from 'sharp';
+import { generateHash } from './hash.js';
+import { encodeSettings } from './fingerprint.js';
+import { writeCacheFile } from './cacheFiles.js';
+
+/**
+ * Index filename inside the cache directory. A dotfile so it sorts apart
+ * from the variants; commit it together with them.
+ */
+export const CACHE_INDEX_FILE = '.optimize-images-cache.json';
+
+const INDEX_VERSION = 1;
+
+/**
+ * Load the cache index from a cache directory. A missing, unreadable or
+ * outdated index yields an empty one, which simply makes every lookup miss.
+ * @param {string} cacheDir - Absolute path to the cache directory
+ * @param {Function} debug - Debug function
+ * @return {{entries: Object, variants: Object, analyses: Object, live: string[]|null, dirty: boolean}} -
+ *   Index; entries and analyses are keyed by source path, variants by file name, live lists the files
+ *   the last build referenced (null when unknown)
+ */
+export function loadCacheIndex(cacheDir, debug) {
+  const indexPath = path.join(cacheDir, CACHE_INDEX_FILE);
+  if (!fs.existsSync(indexPath)) {
+    return { entries: {}, variants: {}, analyses: {}, live: null, dirty: false };
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    if (data.version !== INDEX_VERSION || data.entries?.constructor !== Object) {
+      debug(`Ignoring cache index ${indexPath}: unsupported version`);
+      return { entries: {}, variants: {}, analyses: {}, live: null, dirty: true };
+    }
+    return {
+      entries: data.entries,
+      variants: data.variants?.constructor === Object ? data.variants : {},
+      analyses: data.analyses?.constructor === Object ? data.analyses : {},
+      live: Array.isArray(data.live) ? data.live : null,
+      dirty: false
+    };
+  } catch (err) {
+    debug(`Ignoring unreadable cache index ${indexPath}: ${err.message}`);
+    return { entries: {}, variants: {}, analyses: {}, live: null, dirty: true };
+  }
+}
+
+/**
+ * Copy an object with its keys sorted
+ * @param {Object} object - Object to copy
+ * @return {Object} - Copy with sorted keys
+ */
+function sortedKeys(object) {
+  return Object.fromEntries(
+    Object.keys(object)
+      .sort()
+      .map((key) => [key, object[key]])
+  );
+}
+
+/**
+ * Write the cache index back when it changed. Keys are sorted so the
+ * committed file only shows real changes in diffs.
+ * @param {string} cacheDir - Absolute path to the cache directory
+ * @param {Object} index - Index from loadCacheIndex
+ * @param {Function} debug - Debug function
+ */
+export function saveCacheIndex(cacheDir, index, debug) {
+  if (!index.dirty) {
+    return;
+  }
+
+  const entries = sortedKeys(index.entries);
+  const indexPath = path.join(cacheDir, CACHE_INDEX_FILE);
+  const data = { version: INDEX_VERSION, entries, variants: sortedKeys(index.variants || {}) };
+  if (index.analyses && Object.keys(index.analyses).length > 0) {
+    data.analyses = sortedKeys(index.analyses);
+  }
+  if (index.live) {
+    data.live = index.live;
+  }
+  writeCacheFile(indexPath, `${JSON.stringify(data, null, 2)}\n`);
+  index.dirty = false;
+  debug(`Wrote cache index with ${Object.keys(entries).length} entries`);
+}
+
+/**
+ * Check a source image against its index entry
+ * @param {{entries: Object}} index - Cache index
+ * @param {string} sourcePath - Source image path
+ * @param {string} hash - Content hash of the source image
+ * @param {string} fingerprint - Fingerprint of the settings the variants depend on
+ * @return {string|null} - Why the cached variants are stale, or null when they are current
+ */
+export function staleReason(index, sourcePath, hash, fingerprint) {
+  const entry = index.entries[sourcePath];
+  if (!entry) {
+    return 'not in cache index';
+  }
+  if (entry.hash !== hash) {
+    return 'source content changed';
+  }
+  if (entry.fingerprint !== fingerprint) {
+    return 'settings changed';
+  }
+  return null;
+}
+
+/**
+ * Record the variants generated for a source image
+ * @param {{entries: Object, dirty: boolean}} index - Cache index
+ * @param {string} sourcePath - Source image path
+ * @param {Object} entry - { hash, fingerprint, files }
+ */
+export function recordCacheEntry(index, sourcePath, entry) {
+  index.entries[sourcePath] = { ...entry, files: [...entry.files].sort() };
+  index.dirty = true;
+}
+
+/**
+ * Record what a variant file written to the cache holds
+ * @param {{variants: Object, dirty: boolean}} index - Cache index
+ * @param {string} name - Variant file basename
+ * @param {Object} info - Dimensions, format and byte size, plus the quality targetQuality chose and its
+ *   score when it searched, and omitted for variants dropped as larger than the fallback (see utils/oversized.js)
+ *   or over animation.maxSize
+ */
+export function recordVariantFile(index, name, { width, height, format, size, quality, ssim, omitted }) {
+  index.variants[name] = {
+    width,
+    height,
+    format,
+    size,
+    ...(quality !== undefined && { quality, ssim }),
+    ...(omitted && { omitted: true })
+  };
+  index.dirty = true;
+}
+
+/**
+ * Look up a recorded analysis of a source image's content
+ * @param {{analyses: Object}|null} index - Cache index, or null
+ * @param {string} sourcePath - Source image path
+ * @param {string} hash - Content hash of the source image
+ * @param {string} name - Analysis name, e.g. 'mode'
+ * @return {*} - The recorded value, or undefined when the source changed since it was recorded
+ */
+export function cachedAnalysis(index, sourcePath, hash, name) {
+  const analysis = index?.analyses?.[sourcePath];
+  return analysis?.hash === hash ? analysis[name] : undefined;
+}
+
+/**
+ * Record an analysis of a source image's content. Analyses of an earlier
+ * version of the source are dropped.
+ * @param {{analyses: Object, dirty: boolean}} index - Cache index
+ * @param {string} sourcePath - Source image path
+ * @param {string} hash - Content hash of the source image
+ * @param {string} name - Analysis name, e.g. 'mode'
+ * @param {*} value - JSON-serialisable result
+ */
+export function recordAnalysis(index, sourcePath, hash, name, value) {
+  if (!index.analyses) {
+    index.analyses = {};
+  }
+  const current = index.analyses[sourcePath];
+  index.analyses[sourcePath] = { ...(current?.hash === hash ? current : {}), hash, [name]: value };
+  index.dirty = true;
+}
+
+/**
+ * Describe a cached variant file: from its index record when there is one
+ * for a file of this size, otherwise by reading the file's header once and
+ * recording the result. A record whose size no longer matches belongs to a
+ * file that was replaced outside the build, so it is not trusted.
+ * @param {{variants: Object, dirty: boolean}|null} index - Cache index, or null to always read the header
+ * @param {string} name - Variant file basename
+ * @param {Buffer} buffer - Variant file contents
+ * @return {Promise<{width: number, height: number, format: string, size: number, quality: number, ssim: number}>} -
+ *   Variant description; quality and ssim only when recorded
+ * @throws {Error} When the record is missing and the header does not decode
+ */
+export async function describeCachedVariant(index, name, buffer) {
+  const record = index?.variants?.[name];
+  if (record && record.size === buffer.length) {
+    return record;
+  }
+
+  const metadata = await sharp(buffer).metadata();
+  const info = {
+    width: metadata.width,
+    height: metadata.height,
+    format: metadata.format === 'heif' ? 'avif' : metadata.format,
+    size: buffer.length
+  };
+  if (index) {
+    recordVariantFile(index, name, info);
+  }
+  return info;
+}
+
+/**
+ * Drop removed files from the index: their variant records, and the entries
+ * of sources that lost any of their files (those sources are regenerated
+ * on the next build anyway)
+ * @param {{entries: Object, variants: Object, dirty: boolean}} index - Cache index
+ * @param {Iterable<string>} names - Removed file basenames
+ */
+export function forgetCacheFiles(index, names) {
+  const removed = new Set(names);
+  if (removed.size === 0) {
+    return;
+  }
+
+  for (const name of removed) {
+    delete index.variants[name];
+  }
+  for (const [source, entry] of Object.entries(index.entries)) {
+    if (entry.files.some((file) => removed.has(file))) {
+      delete index.entries[source];
+    }
+  }
+  index.dirty = true;
+}
+
+/**
+ * Record the cache files a completed build referenced. The index is only
+ * marked dirty when the list changed.
+ * @param {{live: string[]|null, dirty: boolean}} index - Cache index
+ * @param {Iterable<string>} files - Referenced file basenames
+ */
+export function recordLiveFiles(index, files) {
+  const live = [...files].sort();
+  if (JSON.stringify(live) !== JSON.stringify(index.live)) {
+    index.live = live;
+    index.dirty = true;
+  }
+}
+
+/**
+ * Fingerprint the settings background variants depend on: which formats are
+ * written, how each is encoded (see utils/fingerprint.js) and how files are named
+ * @param {Object} config - Plugin configuration
+ * @return {string} - Short hash
+ */
+export function backgroundFingerprint(config) {
+  const settings = {
+    formats: config.formats,
+    encode: Object.keys(config.formatOptions).map((format) => encodeSettings(config, format)),
+    outputPattern: config.outputPattern
+  };
+  return generateHash(Buffer.from(JSON.stringify(settings)));
+}
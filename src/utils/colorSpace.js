@@ -0,0 +1,90 @@
+/**
+ * Colour management
+ * Converts variants to one colour space with the matching ICC handling, so
+ * wide-gamut sources (Display P3, Adobe RGB) look the same in every format
+ * and every browser
+ */
+
+/**
+ * Accepted values of the colorSpace option:
+ * - srgb: convert to sRGB; the profile is only attached when metadata keeps ICC profiles
+ * - preserve: keep the source pixels and embed the source profile
+ * - p3: convert to Display P3 and embed its profile
+ */
+export const COLOR_SPACES = ['srgb', 'preserve', 'p3'];
+
+/**
+ * Read the description of an ICC profile, e.g. 'Display P3' or 'Adobe RGB (1998)'
+ * @param {Buffer} icc - ICC profile as Sharp reports it
+ * @return {string|null} - Description, or null when the profile has none that can be read
+ */
+export function iccDescription(icc) {
+  try {
+    const tagCount = icc.readUInt32BE(128);
+    for (let i = 0; i < tagCount; i++) {
+      const entry = 132 + i * 12;
+      if (icc.toString('latin1', entry, entry + 4) !== 'desc') {
+        continue;
+      }
+
+      const start = icc.readUInt32BE(entry + 4);
+      const type = icc.toString('latin1', start, start + 4);
+      if (type === 'desc') {
+        // ICC v2: ASCII count and characters
+        const length = icc.readUInt32BE(start + 8);
+        return icc.toString('latin1', start + 12, start + 12 + length).replace(/\0+$/, '') || null;
+      }
+      if (type === 'mluc') {
+        // ICC v4: UTF-16BE records per language; the first one is used
+        const length = icc.readUInt32BE(start + 20);
+        const offset = icc.readUInt32BE(start + 24);
+        return (
+          Buffer.from(icc.subarray(start + offset, start + offset + length))
+            .swap16()
+            .toString('utf16le') || null
+        );
+      }
+      return null;
+    }
+  } catch {
+    // Truncated profile
+  }
+  return null;
+}
+
+/**
+ * Name the colour space variants of a source end up in, for the metadata manifest
+ * @param {string} [colorSpace='srgb'] - One of COLOR_SPACES
+ * @param {Object} sourceMetadata - Sharp metadata of the source image
+ * @return {string} - 'srgb', 'p3', or with preserve the source profile's description
+ *   ('srgb' for sources without a profile)
+ */
+export function outputColorSpace(colorSpace = 'srgb', sourceMetadata = {}) {
+  if (colorSpace !== 'preserve') {
+    return colorSpace;
+  }
+  if (!sourceMetadata.icc) {
+    return 'srgb';
+  }
+  return iccDescription(sourceMetadata.icc) || 'embedded profile';
+}
+
+/**
+ * Configure a Sharp pipeline to produce the requested colour space. Call it
+ * after applyMetadataPolicy, whose ICC handling it overrides.
+ * @param {Object} image - Sharp instance
+ * @param {string} [colorSpace='srgb'] - One of COLOR_SPACES
+ * @param {string} [metadataPolicy='strip'] - The metadata option
+ * @return {Object} - The Sharp instance
+ */
+export function applyColorSpace(image, colorSpace = 'srgb', metadataPolicy = 'strip') {
+  if (colorSpace === 'preserve') {
+    return image.keepIccProfile();
+  }
+  if (colorSpace === 'p3') {
+    return image.withIccProfile('p3');
+  }
+  // Untagged images are shown as sRGB, so the profile only costs bytes
+  // unless the metadata policy asks for ICC profiles
+  return image.withIccProfile('srgb', { attach: metadataPolicy !== 'strip' });
+}
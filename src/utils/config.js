@@ -2,6 +2,10 @@
  * Configuration utility for the plugin
  * Handles merging user options with sensible defaults
  */
+import os from 'node:os';
+import { validateOptions } from './validate.js';
+import { TARGET_QUALITY_DEFAULTS } from './perceptual.js';
+import { BUDGET_DEFAULTS } from './budgets.js';
 
 /**
  * Deep merge for objects. Handles nested objects properly, which is needed for
@@ -23,8 +27,12 @@ const deepMerge = (target, source) => {
  * Builds configuration with sensible defaults
  * @param {Object} options - User provided plugin options
  * @return {Object} - Complete config with defaults
+ * @throws {Error} When options are invalid, listing every problem found
  */
 export function buildConfig(options = {}) {
+  // Fail fast on typos and bad values, before any image is touched
+  options = validateOptions(options);
+
   // Default configuration with sensible defaults
   const defaults = {
     // Responsive breakpoints to generate
@@ -37,6 +45,7 @@ export function buildConfig(options = {}) {
     formatOptions: {
       avif: { quality: 65, speed: 5 }, // Better compression but slower
       webp: { quality: 80, lossless: false },
+      jxl: { quality: 80, effort: 7 }, // Only used when 'jxl' is in formats
       jpeg: { quality: 85, progressive: true },
       png: { compressionLevel: 8, palette: true }
     },
@@ -66,8 +75,33 @@ export function buildConfig(options = {}) {
     // Default sizes attribute value for responsive images
     sizes: '(max-width: 768px) 100vw, 75vw',
 
-    // Maximum number of images to process in parallel
-    concurrency: 5,
+    // Sizes values by layout position: CSS selector → sizes, first match wins
+    // e.g. { '.sidebar img': '300px', '.gallery img': '(max-width: 600px) 50vw, 33vw' }
+    sizesBySelector: {},
+
+    // Prepend sizes="auto" for lazy images so supporting browsers use the layout width
+    autoSizes: false,
+
+    // Pixel densities generated for fixed-size images (width attribute + data-density)
+    densities: [1, 2, 3],
+
+    // Named option presets selected with data-preset="name"
+    // Each preset may set widths, formats, formatOptions, sizes, lazy, isProgressive and placeholder
+    presets: {},
+
+    // Named art-direction sets selected with data-art-direction="name"
+    // Each set is an array of breakpoints: { media, aspectRatio, widths, sizes }
+    artDirection: {},
+
+    // Focal points for cropped variants, keyed by image path: { 'images/hero.jpg': [0.3, 0.2] }
+    // An image's data-focal="x,y" attribute takes precedence
+    focalPoints: {},
+
+    // How to position crops for images without a focal point: 'centre', 'attention' or 'entropy'
+    cropStrategy: 'centre',
+
+    // Maximum number of Sharp encodes running at once across the whole build
+    concurrency: os.availableParallelism(),
 
     // Whether to generate a metadata JSON file
     generateMetadata: false,
@@ -91,22 +125,102 @@ export function buildConfig(options = {}) {
     // false = disabled, true = default path ('lib/<outputDir>'), string = custom path
     // When set, variants are written to this directory and loaded from it on subsequent builds.
     // Commit this directory to git so CI/Netlify never needs to run Sharp.
-    cache: false
+    cache: false,
+
+    // Remove cached files the build no longer references: false, true, or
+    // 'dry-run' to only report what would be removed. Needs cache.
+    prune: false,
+
+    // Decode the header of every cached variant before using it and regenerate
+    // images whose cached files are damaged or the wrong size
+    verifyCache: false,
+
+    // Source metadata carried into variants and placeholders: 'strip' (none),
+    // 'copyright' (ICC profile plus Copyright/Artist EXIF) or 'all'
+    metadata: 'strip',
+
+    // Colour space of variants and placeholders: 'srgb' (convert), 'preserve'
+    // (keep the source profile) or 'p3' (convert to Display P3)
+    colorSpace: 'srgb',
+
+    // Animated GIF/WebP sources get animated WebP variants. Sources with more
+    // frames than maxFrames are left as they are; animated variants larger than
+    // maxSize bytes are dropped (0 = no cap). data-static asks for a still.
+    animation: {
+      maxFrames: 300,
+      maxSize: 5 * 1024 * 1024
+    },
+
+    // Encoding mode: 'photo' (formatOptions as configured), 'lossless' or
+    // 'near-lossless' for screenshots and diagrams, or 'auto' to classify each
+    // image. modeBySelector picks a mode by CSS selector, data-mode per image.
+    mode: 'photo',
+    modeBySelector: {},
+
+    // Encode each variant at the lowest quality whose SSIM against the resized
+    // image reaches ssim, searching between min and max. true uses
+    // TARGET_QUALITY_DEFAULTS; false keeps the fixed formatOptions quality.
+    targetQuality: false,
+
+    // Modern-format variants must be at least minSavings (a fraction) smaller
+    // than the fallback-format variant of the same width. A format that fails
+    // at any width is dropped for the image, or kept with a warning ('warn');
+    // 'keep' skips the comparison.
+    minSavings: 0,
+    oversizedVariants: 'drop',
+
+    // Byte-size budgets, checked once every page is processed: bytes per
+    // variant by format, and per page counting the variant each image most
+    // likely downloads. Offenders warn, or fail the build with severity
+    // 'error'. false checks nothing; missing keys come from BUDGET_DEFAULTS.
+    budgets: false,
+
+    // Build report of per-source savings, encode times, cache hits and pages:
+    // true prints a summary; 'json' or 'html' also writes it to reportFile
+    report: false,
+
+    // Where 'json' and 'html' reports are written, relative to the project
+    // directory. null means build-report.json or build-report.html there.
+    reportFile: null
   };
 
   // Special handling for formatOptions to ensure deep merging
   // This allows users to override specific format settings without losing defaults
   // e.g., { formatOptions: { jpeg: { quality: 90 } } } only changes JPEG quality
-  if (options && options.formatOptions) {
+  if (options.formatOptions) {
     options = {
       ...options,
       formatOptions: deepMerge(defaults.formatOptions, options.formatOptions)
     };
   }
 
+  if (options.targetQuality) {
+    options = {
+      ...options,
+      targetQuality: {
+        ...TARGET_QUALITY_DEFAULTS,
+        ...(options.targetQuality === true ? {} : options.targetQuality)
+      }
+    };
+  }
+
+  if (options.budgets) {
+    options = {
+      ...options,
+      budgets: { ...BUDGET_DEFAULTS, ...options.budgets }
+    };
+  }
+
+  if (options.animation) {
+    options = {
+      ...options,
+      animation: { ...defaults.animation, ...options.animation }
+    };
+  }
+
   // Special handling for placeholder options to ensure deep merging
   // Allows partial placeholder config like { placeholder: { width: 100 } }
-  if (options && options.placeholder) {
+  if (options.placeholder) {
     options = {
       ...options,
       placeholder: deepMerge(defaults.placeholder, options.placeholder)
@@ -114,5 +228,20 @@ export function buildConfig(options = {}) {
   }
 
   // Merge the defaults with user options
-  return { ...defaults, ...(options || {}) };
+  const config = { ...defaults, ...options };
+
+  // Presets inherit the global formatOptions/placeholder and override them
+  // the same way user options override the defaults
+  config.presets = Object.fromEntries(
+    Object.entries(config.presets).map(([name, preset]) => [
+      name,
+      {
+        ...preset,
+        formatOptions: deepMerge(config.formatOptions, preset.formatOptions || {}),
+        placeholder: deepMerge(config.placeholder, preset.placeholder || {})
+      }
+    ])
+  );
+
+  return config;
 }
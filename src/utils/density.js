@@ -0,0 +1,54 @@
+/**
+ * Density-descriptor utilities
+ * Fixed-size images (logos, avatars, icons) render at one CSS width, so they
+ * are served with 1x/2x/3x candidates instead of a w-descriptor ladder
+ */
+
+/**
+ * Parse a density list such as '1,2,3' or '1x, 2x' into ascending numbers
+ * @param {string} value - Density list
+ * @return {number[]|null} - Densities, or null when malformed
+ */
+export function parseDensities(value) {
+  const densities = value
+    .split(',')
+    .map((part) => part.trim().replace(/x$/i, ''))
+    .filter((part) => part !== '')
+    .map(Number);
+
+  if (densities.length === 0 || densities.some((d) => !Number.isFinite(d) || d <= 0)) {
+    return null;
+  }
+
+  return [...new Set(densities)].sort((a, b) => a - b);
+}
+
+/**
+ * Resolve density mode for an image. Triggered by a `data-density` attribute
+ * together with a numeric `width` attribute giving the displayed CSS width.
+ * An empty `data-density` uses config.densities; a list ('1,2') overrides it.
+ * @param {Object} $img - Cheerio image element
+ * @param {Object} config - Plugin configuration
+ * @param {Function} debug - Debug function
+ * @return {{width: number, densities: number[]}|null} - Display width and densities, or null
+ */
+export function resolveDensity($img, config, debug) {
+  const attr = $img.attr('data-density');
+  if (attr === undefined) {
+    return null;
+  }
+
+  const width = Number($img.attr('width'));
+  if (!Number.isInteger(width) || width <= 0) {
+    debug(`Ignoring data-density on ${$img.attr('src')}: a numeric width attribute is required`);
+    return null;
+  }
+
+  const densities = attr.trim() === '' ? config.densities || [1, 2, 3] : parseDensities(attr);
+  if (!densities) {
+    debug(`Ignoring invalid data-density "${attr}" on ${$img.attr('src')}`);
+    return null;
+  }
+
+  return { width, densities };
+}
@@ -0,0 +1,166 @@
+/**
+ * Content-aware encoding
+ * Screenshots, diagrams and charts have few colours and hard edges, which
+ * lossy encoders smear and palette quantisation bands; photos compress far
+ * better lossy. An image's encoding mode layers lossless or near-lossless
+ * settings over the configured formatOptions, and 'auto' picks the mode
+ * from the image's content.
+ */
+import sharp from 'sharp';
+import { generateHash } from './hash.js';
+import { cachedAnalysis, recordAnalysis } from './cacheIndex.js';
+import { directQueue } from './queue.js';
+
+/**
+ * Accepted values of the mode option:
+ * - photo: the configured formatOptions, unchanged
+ * - lossless: lossless WebP, AVIF and JPEG XL, full-colour PNG
+ * - near-lossless: WebP near-lossless preprocessing, high-quality 4:4:4 AVIF and JPEG
+ * - auto: lossless or near-lossless for graphics, photo for everything else
+ */
+export const ENCODING_MODES = ['photo', 'lossless', 'near-lossless', 'auto'];
+
+/**
+ * Format options each mode layers over config.formatOptions. JPEG has no
+ * lossless mode, so it gets its highest practical quality without chroma
+ * subsampling, which is what blurs coloured text.
+ */
+const MODE_FORMAT_OPTIONS = {
+  lossless: {
+    avif: { lossless: true },
+    webp: { lossless: true },
+    jxl: { lossless: true },
+    jpeg: { quality: 95, chromaSubsampling: '4:4:4' },
+    png: { palette: false }
+  },
+  'near-lossless': {
+    avif: { quality: 90, chromaSubsampling: '4:4:4' },
+    webp: { nearLossless: true, quality: 60 },
+    jxl: { quality: 95 },
+    jpeg: { quality: 90, chromaSubsampling: '4:4:4' },
+    png: { palette: false }
+  }
+};
+
+/**
+ * Longest side of the thumbnail the classifier looks at. Nearest-neighbour
+ * sampling keeps the source colours instead of blending new ones in.
+ */
+const SAMPLE_SIZE = 256;
+
+/**
+ * Flat images with at most this many distinct colours in the thumbnail are
+ * encoded losslessly. A colour count alone is not enough: greyscale photos
+ * and small thumbnails have few colours too, but hardly any flat areas.
+ */
+const MAX_GRAPHIC_COLOURS = 1024;
+
+/**
+ * Images where at least this share of neighbouring pixels are identical are
+ * mostly flat fills with hard edges. With few colours they are graphics;
+ * with many, such as a screenshot with a photo in it, they are encoded
+ * near-losslessly.
+ */
+const MIN_FLAT_RATIO = 0.5;
+
+/**
+ * Measure the colour count and edge density of an image
+ * @param {Buffer} buffer - Source image contents
+ * @return {Promise<{colours: number, flatRatio: number}>} - Distinct colours in a thumbnail, and the
+ *   share of horizontally neighbouring pixels that are identical
+ */
+export async function analyseContent(buffer) {
+  const { data, info } = await sharp(buffer)
+    .resize({ width: SAMPLE_SIZE, height: SAMPLE_SIZE, fit: 'inside', withoutEnlargement: true, kernel: 'nearest' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const colours = new Set();
+  let flat = 0;
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      const i = (y * info.width + x) * 3;
+      colours.add((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+      if (x > 0 && data[i] === data[i - 3] && data[i + 1] === data[i - 2] && data[i + 2] === data[i - 1]) {
+        flat++;
+      }
+    }
+  }
+
+  const pairs = info.height * (info.width - 1);
+  return { colours: colours.size, flatRatio: pairs > 0 ? flat / pairs : 1 };
+}
+
+/**
+ * Pick the encoding mode for measured content
+ * @param {{colours: number, flatRatio: number}} content - Result of analyseContent
+ * @return {string} - 'lossless', 'near-lossless' or 'photo'
+ */
+export function classifyContent({ colours, flatRatio }) {
+  if (flatRatio < MIN_FLAT_RATIO) {
+    return 'photo';
+  }
+  return colours <= MAX_GRAPHIC_COLOURS ? 'lossless' : 'near-lossless';
+}
+
+/**
+ * Work out the encoding mode of a source. With 'auto' the source is
+ * classified once and the result kept in the cache index, so warm builds
+ * don't decode it again.
+ * @param {Buffer} buffer - Source image contents
+ * @param {string} sourcePath - Source image path
+ * @param {Object} config - Effective image configuration
+ * @param {Object} [cacheIndex] - Persistent cache index, when the cache is enabled
+ * @param {Function} [debugFn] - Debug function
+ * @param {Object} [queue] - Build-wide task queue that bounds the decode along with the encodes
+ * @return {Promise<string>} - 'photo', 'lossless' or 'near-lossless'
+ */
+export async function resolveEncodingMode(
+  buffer,
+  sourcePath,
+  config,
+  cacheIndex = null,
+  debugFn = () => {},
+  queue = directQueue
+) {
+  const mode = config.mode || 'photo';
+  if (mode !== 'auto') {
+    return mode;
+  }
+
+  const hash = generateHash(buffer);
+  const known = cachedAnalysis(cacheIndex, sourcePath, hash, 'mode');
+  if (known) {
+    return known;
+  }
+
+  const content = await queue.run(() => analyseContent(buffer));
+  const classified = classifyContent(content);
+  debugFn(
+    `Classified ${sourcePath} as ${classified} (${content.colours} colours, ${Math.round(content.flatRatio * 100)}% flat)`
+  );
+  if (cacheIndex) {
+    recordAnalysis(cacheIndex, sourcePath, hash, 'mode', classified);
+  }
+  return classified;
+}
+
+/**
+ * Apply an encoding mode to an image configuration
+ * @param {Object} config - Effective image configuration
+ * @param {string} mode - 'photo', 'lossless' or 'near-lossless'
+ * @return {Object} - Configuration with mode set and the mode's format options merged in
+ */
+export function withEncodingMode(config, mode) {
+  const overlay = MODE_FORMAT_OPTIONS[mode];
+  if (!overlay) {
+    return config.mode === mode ? config : { ...config, mode };
+  }
+
+  const formatOptions = { ...config.formatOptions };
+  for (const [format, options] of Object.entries(overlay)) {
+    formatOptions[format] = { ...formatOptions[format], ...options };
+  }
+  return { ...config, mode, formatOptions };
+}
@@ -0,0 +1,144 @@
+/**
+ * Source metadata policy
+ * Decides which EXIF, ICC and XMP metadata of a source image is carried
+ * into its variants, and checks emitted variants for GPS coordinates
+ */
+import sharp from 'sharp';
+import { directQueue } from './queue.js';
+
+/**
+ * Accepted values of the metadata option:
+ * - strip: no metadata at all (Sharp's default)
+ * - copyright: the ICC profile plus the Copyright and Artist EXIF tags
+ * - all: every EXIF, ICC and XMP field, GPS coordinates and serial numbers included
+ */
+export const METADATA_POLICIES = ['strip', 'copyright', 'all'];
+
+// IFD0 tags
+const TAG_ARTIST = 0x013b;
+const TAG_COPYRIGHT = 0x8298;
+const TAG_GPS_IFD = 0x8825;
+
+const TYPE_ASCII = 2;
+
+/**
+ * Read the tags of the first IFD of an EXIF block. Only ASCII values are
+ * decoded; other tags map to true so their presence can be tested.
+ * @param {Buffer} exif - EXIF block as Sharp reports it, with or without the 'Exif\0\0' prefix
+ * @return {Map<number, string|boolean>|null} - Tags by number, or null when the block is malformed
+ */
+export function readExifTags(exif) {
+  const tiff = exif.toString('latin1', 0, 6) === 'Exif\0\0' ? exif.subarray(6) : exif;
+  const order = tiff.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') {
+    return null;
+  }
+
+  const little = order === 'II';
+  const u16 = (offset) => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const u32 = (offset) => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  try {
+    const ifd = u32(4);
+    const tags = new Map();
+
+    for (let i = 0; i < u16(ifd); i++) {
+      const entry = ifd + 2 + i * 12;
+      const tag = u16(entry);
+      if (u16(entry + 2) !== TYPE_ASCII) {
+        tags.set(tag, true);
+        continue;
+      }
+
+      // Values of up to four bytes are stored in the entry itself
+      const length = u32(entry + 4);
+      const start = length <= 4 ? entry + 8 : u32(entry + 8);
+      if (start + length > tiff.length) {
+        return null;
+      }
+      tags.set(tag, tiff.toString('utf8', start, start + length).replace(/\0+$/, ''));
+    }
+
+    return tags;
+  } catch {
+    // Offsets pointing past the end of the block
+    return null;
+  }
+}
+
+/**
+ * Whether an EXIF block may hold GPS coordinates. A block that cannot be
+ * read is assumed to, since its absence cannot be proven.
+ * @param {Buffer|undefined} exif - EXIF block from Sharp metadata
+ * @return {boolean} - True when the block links a GPS IFD or is unreadable
+ */
+export function hasGpsExif(exif) {
+  if (!exif) {
+    return false;
+  }
+  const tags = readExifTags(exif);
+  return tags === null || tags.has(TAG_GPS_IFD);
+}
+
+/**
+ * Configure a Sharp pipeline to carry the metadata the policy allows
+ * @param {Object} image - Sharp instance
+ * @param {string} [policy='strip'] - One of METADATA_POLICIES
+ * @param {Object} sourceMetadata - Sharp metadata of the source image
+ * @return {Object} - The Sharp instance
+ */
+export function applyMetadataPolicy(image, policy = 'strip', sourceMetadata = {}) {
+  if (policy === 'all') {
+    return image.keepMetadata();
+  }
+
+  if (policy === 'copyright') {
+    image.keepIccProfile();
+    const tags = sourceMetadata.exif ? readExifTags(sourceMetadata.exif) : null;
+    const IFD0 = {};
+    for (const [tag, name] of [
+      [TAG_COPYRIGHT, 'Copyright'],
+      [TAG_ARTIST, 'Artist']
+    ]) {
+      if (typeof tags?.get(tag) === 'string') {
+        IFD0[name] = tags.get(tag);
+      }
+    }
+    // withExif writes only these fields; everything else in the source EXIF is dropped
+    if (Object.keys(IFD0).length > 0) {
+      image.withExif({ IFD0 });
+    }
+  }
+
+  return image;
+}
+
+/**
+ * Find emitted variants and placeholders that contain GPS EXIF. Only outputs
+ * encoded by this build are read: cached variants were checked by the build
+ * that wrote them, and the metadata policy is part of their cache key.
+ * @param {Map} processedImages - processedImages after the build; values are
+ *   variant arrays or { variants, placeholderData } for progressive images
+ * @param {Object} [queue] - Build-wide task queue for the metadata reads
+ * @return {Promise<string[]>} - Paths of the offending files, sorted
+ */
+export async function findGpsVariants(processedImages, queue = directQueue) {
+  const outputs = [];
+  for (const value of processedImages.values()) {
+    outputs.push(...(Array.isArray(value) ? value : value?.variants || []).filter((variant) => !variant.cached));
+    if (value?.placeholderData?.contents) {
+      outputs.push({ path: value.placeholderData.path, buffer: value.placeholderData.contents });
+    }
+  }
+
+  const located = await Promise.all(
+    outputs.map((output) =>
+      queue.run(async () => {
+        const { exif } = await sharp(output.buffer).metadata();
+        return hasGpsExif(exif) ? output.path : null;
+      })
+    )
+  );
+
+  return [...new Set(located.filter(Boolean))].sort();
+}
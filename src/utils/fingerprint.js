@@ -0,0 +1,72 @@
+/**
+ * Encode-settings fingerprints
+ * Everything besides the source pixels that decides what bytes a variant
+ * file holds. Folding it into cache validation means a settings change
+ * regenerates exactly the variants it affects.
+ */
+import fs from 'node:fs';
+import { generateHash } from './hash.js';
+import { qualitySearch } from './perceptual.js';
+
+/**
+ * Resampling kernel used for every resize
+ */
+export const RESIZE_KERNEL = 'lanczos3';
+
+/**
+ * How EXIF orientation is handled: sources are rotated upright before
+ * resizing (see utils/orientation.js)
+ */
+const ORIENTATION_HANDLING = 'auto-orient';
+
+/**
+ * Major version of this plugin: a new major may encode differently
+ */
+const PLUGIN_MAJOR = JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8')).version.split(
+  '.'
+)[0];
+
+/**
+ * Collect the settings that decide how a variant is encoded in one format
+ * @param {Object} config - Effective image configuration
+ * @param {string} format - Encoder format ('avif', 'webp', 'jpeg', 'png', …), not 'original'
+ * @return {Object} - Settings, stable for identical configuration
+ */
+export function encodeSettings(config, format) {
+  return {
+    format,
+    options: config.formatOptions?.[format] || {},
+    kernel: RESIZE_KERNEL,
+    // Which source metadata is carried into variants (see utils/exif.js)
+    metadata: config.metadata || 'strip',
+    // Colour space conversion and ICC profile (see utils/colorSpace.js)
+    colorSpace: config.colorSpace || 'srgb',
+    // A perceptual target replaces the fixed quality (see utils/perceptual.js)
+    ...(qualitySearch(config, format) && { targetQuality: config.targetQuality }),
+    orientation: ORIENTATION_HANDLING,
+    plugin: PLUGIN_MAJOR
+  };
+}
+
+/**
+ * Fingerprint the encode settings for one format
+ * @param {Object} config - Effective image configuration
+ * @param {string} format - Encoder format, not 'original'
+ * @return {string} - Short hash
+ */
+export function encodeFingerprint(config, format) {
+  return generateHash(Buffer.from(JSON.stringify(encodeSettings(config, format))));
+}
+
+/**
+ * Derive the [hash] of a variant filename from the source content hash and
+ * the encode settings of its format, so changing e.g. AVIF quality renames
+ * the AVIF variants (a cache miss and a fresh URL) and leaves the rest alone
+ * @param {string} sourceHash - Content hash of the source image
+ * @param {Object} config - Effective image configuration
+ * @param {string} format - Encoder format, not 'original'
+ * @return {string} - Short hash for the filename
+ */
+export function variantHash(sourceHash, config, format) {
+  return generateHash(Buffer.from(`${sourceHash}:${encodeFingerprint(config, format)}`));
+}
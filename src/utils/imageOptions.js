@@ -0,0 +1,239 @@
+/**
+ * Per-image option overrides
+ * Lets an individual <img> select a named preset and replace the global
+ * widths, formats, quality and sizes through data attributes
+ */
+import { generateHash } from './hash.js';
+import { ENCODING_MODES } from './encodingMode.js';
+
+/**
+ * Output formats an image may request, plus accepted spellings
+ */
+export const KNOWN_FORMATS = ['avif', 'webp', 'jxl', 'jpeg', 'png', 'original'];
+export const FORMAT_ALIASES = { jpg: 'jpeg' };
+
+/**
+ * Formats that need a <source> type check; anything else is the fallback format
+ */
+export const MODERN_FORMATS = ['avif', 'webp', 'jxl'];
+
+/**
+ * Parse a comma-separated list of positive integer widths
+ * @param {string} value - Attribute value, e.g. '200,400'
+ * @return {number[]|null} - Ascending unique widths, or null when malformed
+ */
+export function parseWidths(value) {
+  const widths = value
+    .split(',')
+    .map((part) => part.trim())
+    .filter((part) => part !== '')
+    .map(Number);
+
+  if (widths.length === 0 || widths.some((w) => !Number.isInteger(w) || w <= 0)) {
+    return null;
+  }
+
+  return [...new Set(widths)].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a comma-separated list of output formats, normalising aliases
+ * @param {string} value - Attribute value, e.g. 'webp,original'
+ * @return {string[]|null} - Formats in the given order, or null when malformed
+ */
+export function parseFormats(value) {
+  const formats = value
+    .split(',')
+    .map((part) => part.trim().toLowerCase())
+    .filter((part) => part !== '')
+    .map((format) => FORMAT_ALIASES[format] || format);
+
+  if (formats.length === 0 || formats.some((f) => !KNOWN_FORMATS.includes(f))) {
+    return null;
+  }
+
+  return [...new Set(formats)];
+}
+
+/**
+ * Apply the named preset selected by an image's data-preset attribute.
+ * Presets were validated and merged over the global formatOptions and
+ * placeholder by buildConfig. Unknown names are logged and ignored.
+ * @param {Object} $img - Cheerio image element
+ * @param {Object} config - Plugin configuration
+ * @param {Function} debug - Debug function
+ * @return {Object} - Config with the preset applied, or the plugin config itself
+ */
+export function resolvePreset($img, config, debug) {
+  const name = $img.attr('data-preset');
+  if (!name) {
+    return config;
+  }
+
+  const preset = config.presets?.[name];
+  if (!preset) {
+    debug(`Unknown preset "${name}" on ${$img.attr('src')}, using global options`);
+    return config;
+  }
+
+  return { ...config, ...preset, preset: name };
+}
+
+/**
+ * Find the sizes value for an image from config.sizesBySelector, a map of CSS
+ * selector to sizes string. Selectors are tried in declaration order and
+ * matched against the image in its document, so '.sidebar img' applies to
+ * images inside a sidebar. Must run before the img is replaced.
+ * @param {Object} $img - Cheerio image element, still in its document
+ * @param {Object} config - Plugin configuration
+ * @return {string|null} - Matching sizes value, or null when no selector matches
+ */
+export function matchSizesBySelector($img, config) {
+  return matchSelector($img, config.sizesBySelector);
+}
+
+/**
+ * Find the value for an image in a map of CSS selector to value, trying
+ * selectors in declaration order
+ * @param {Object} $img - Cheerio image element, still in its document
+ * @param {Object} [bySelector] - Values keyed by CSS selector
+ * @return {*} - First matching value, or null when no selector matches
+ */
+function matchSelector($img, bySelector) {
+  for (const [selector, value] of Object.entries(bySelector || {})) {
+    if ($img.is(selector)) {
+      return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply automatic sizes to a sizes value. With config.autoSizes, lazy images
+ * get `auto` prepended: browsers that support it size the image from its
+ * layout width, the rest fall back to the list that follows.
+ * @param {string} sizes - Sizes value
+ * @param {Object} config - Effective image configuration
+ * @return {string} - Sizes value to write
+ */
+export function withAutoSizes(sizes, config) {
+  if (!config.autoSizes || !config.lazy || /^\s*auto\b/i.test(sizes)) {
+    return sizes;
+  }
+  return sizes ? `auto, ${sizes}` : 'auto';
+}
+
+/**
+ * Resolve the effective config for one image: its data-preset first, then
+ * its data-attribute overrides: data-widths, data-formats, data-quality
+ * (applied to every format's options) and data-sizes. An image without its
+ * own sizes (data-sizes or preset) takes one from config.sizesBySelector.
+ * Invalid values are logged and ignored. Returns the plugin config itself when the image
+ * overrides nothing, so callers can tell default images apart by identity.
+ * @param {Object} $img - Cheerio image element
+ * @param {Object} config - Plugin configuration
+ * @param {Function} debug - Debug function
+ * @return {Object} - Effective configuration for this image
+ */
+export function resolveImageConfig($img, config, debug) {
+  const src = $img.attr('src');
+  const base = resolvePreset($img, config, debug);
+  const overrides = {};
+
+  const widthsAttr = $img.attr('data-widths');
+  if (widthsAttr !== undefined) {
+    const widths = parseWidths(widthsAttr);
+    if (widths) {
+      overrides.widths = widths;
+    } else {
+      debug(`Ignoring invalid data-widths "${widthsAttr}" on ${src}`);
+    }
+  }
+
+  const formatsAttr = $img.attr('data-formats');
+  if (formatsAttr !== undefined) {
+    const formats = parseFormats(formatsAttr);
+    if (formats) {
+      overrides.formats = formats;
+    } else {
+      debug(`Ignoring invalid data-formats "${formatsAttr}" on ${src}`);
+    }
+  }
+
+  const qualityAttr = $img.attr('data-quality');
+  if (qualityAttr !== undefined) {
+    const quality = Number(qualityAttr);
+    if (Number.isInteger(quality) && quality >= 1 && quality <= 100) {
+      overrides.formatOptions = Object.fromEntries(
+        Object.entries(base.formatOptions || {}).map(([format, options]) => [format, { ...options, quality }])
+      );
+      // A fixed quality wins over a perceptual target
+      overrides.targetQuality = false;
+    } else {
+      debug(`Ignoring invalid data-quality "${qualityAttr}" on ${src}`);
+    }
+  }
+
+  // Encoding mode: data-mode, then the preset's, then config.modeBySelector
+  const modeAttr = $img.attr('data-mode');
+  if (modeAttr !== undefined) {
+    if (ENCODING_MODES.includes(modeAttr)) {
+      overrides.mode = modeAttr;
+    } else {
+      debug(`Ignoring invalid data-mode "${modeAttr}" on ${src}`);
+    }
+  } else if (!base.presets?.[base.preset]?.mode) {
+    const selectorMode = matchSelector($img, config.modeBySelector);
+    if (selectorMode) {
+      overrides.mode = selectorMode;
+    }
+  }
+
+  // A deliberate first-frame still of an animated source
+  if ($img.attr('data-static') !== undefined) {
+    overrides.still = true;
+  }
+
+  const sizesAttr = $img.attr('data-sizes');
+  if (sizesAttr !== undefined && sizesAttr.trim() !== '') {
+    overrides.sizes = sizesAttr;
+  } else if (!base.presets?.[base.preset]?.sizes) {
+    // Without an image-specific value, pick sizes from where the image sits
+    const layoutSizes = matchSizesBySelector($img, config);
+    if (layoutSizes) {
+      overrides.sizes = layoutSizes;
+    }
+  }
+
+  if (base === config && Object.keys(overrides).length === 0) {
+    return config;
+  }
+
+  // Different encode options give different filenames on their own: the
+  // variant hash covers each format's settings (see utils/fingerprint.js)
+  return { ...base, ...overrides };
+}
+
+/**
+ * Fingerprint the settings that decide which variants an image gets, for use
+ * in processedImages cache keys. Only settings that differ from the plugin
+ * config count, so an image using the defaults keeps the plain "path:mtime"
+ * key (a data-sizes override changes markup, not variants).
+ * @param {Object} imageConfig - Effective configuration from resolveImageConfig
+ * @param {Object} config - Plugin configuration
+ * @param {Object} [extra] - Other variant-set inputs (density, art direction, …)
+ * @return {string} - ':<hash>' suffix, or '' for default settings
+ */
+export function variantKeySuffix(imageConfig, config, extra = {}) {
+  const parts = { ...extra };
+  for (const key of ['widths', 'formats', 'formatOptions', 'preset', 'still', 'mode']) {
+    if (JSON.stringify(imageConfig[key]) !== JSON.stringify(config[key])) {
+      parts[key] = imageConfig[key];
+    }
+  }
+
+  const defined = Object.fromEntries(
+    Object.entries(parts).filter(([, value]) => value !== undefined && value !== null)
+  );
+  return Object.keys(defined).length > 0 ? `:${generateHash(Buffer.from(JSON.stringify(defined)))}` : '';
+}
@@ -0,0 +1,44 @@
+/**
+ * JPEG XL output
+ * Sharp only writes JPEG XL when its libvips was built with libjxl, which the
+ * prebuilt binaries are not. Without an encoder, jxl is left out of every
+ * variant set and the build carries on with the other formats.
+ */
+import sharp from 'sharp';
+
+/**
+ * Whether the installed libvips can encode JPEG XL
+ * @return {boolean} - True when jxl variants can be written
+ */
+export function canEncodeJxl() {
+  return Boolean(sharp.format.jxl?.output?.buffer);
+}
+
+/**
+ * Drop formats the installed libvips cannot encode
+ * @param {string[]} formats - Configured formats
+ * @return {string[]} - Formats in the same order
+ */
+export function encodableFormats(formats) {
+  return canEncodeJxl() ? formats : formats.filter((format) => format !== 'jxl');
+}
+
+/**
+ * Warn once when the configuration asks for JPEG XL that cannot be encoded
+ * @param {Object} config - Plugin configuration
+ * @return {boolean} - True when the warning was printed
+ */
+export function warnUnsupportedJxl(config) {
+  const requested = [config.formats, ...Object.values(config.presets || {}).map((preset) => preset.formats)].some(
+    (formats) => formats?.includes('jxl')
+  );
+  if (!requested || canEncodeJxl()) {
+    return false;
+  }
+
+  console.warn(
+    'metalsmith-optimize-images: this libvips build cannot encode JPEG XL; jxl variants are skipped. ' +
+      'Install sharp with a libvips that includes libjxl to generate them.'
+  );
+  return true;
+}
@@ -0,0 +1,35 @@
+/**
+ * EXIF orientation
+ * Cameras and phones store pixels in sensor order and tag how the photo is
+ * meant to be displayed. Every source is turned upright before it is
+ * resized, so variants, placeholders and the dimensions written to HTML all
+ * describe the image as it is displayed.
+ */
+import sharp from 'sharp';
+
+/**
+ * Dimensions of an image after its EXIF orientation is applied. Orientations
+ * 5-8 include a quarter turn, which swaps width and height.
+ * @param {Object} metadata - Sharp metadata of the stored image
+ * @return {Object} - The same metadata with width and height as displayed
+ */
+export function orientedMetadata(metadata) {
+  if (!(metadata.orientation >= 5)) {
+    return metadata;
+  }
+  return { ...metadata, width: metadata.height, height: metadata.width };
+}
+
+/**
+ * Open a source image upright
+ * @param {Buffer} buffer - Source image contents
+ * @param {Object} [options] - Open options
+ * @param {boolean} [options.animated=false] - Decode every frame of a multi-frame source
+ * @return {Promise<{image: Object, metadata: Object}>} - Sharp instance that
+ *   applies the orientation, and metadata with the displayed dimensions of one frame
+ */
+export async function openSourceImage(buffer, { animated = false } = {}) {
+  const metadata = orientedMetadata(await sharp(buffer).metadata());
+  const image = sharp(buffer, { animated: animated && metadata.pages > 1 }).autoOrient();
+  return { image, metadata };
+}
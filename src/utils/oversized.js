@@ -0,0 +1,65 @@
+/**
+ * Modern formats that don't pay off
+ * AVIF and WebP are usually far smaller than JPEG or PNG, but flat PNG
+ * graphics can come out larger. A <source> listed before the fallback makes
+ * browsers download the bigger file, so such formats are dropped.
+ */
+import { MODERN_FORMATS } from './imageOptions.js';
+
+/**
+ * Accepted values of the oversizedVariants option:
+ * - drop: leave the variant's format out of the HTML, the manifest and the cache
+ * - warn: keep it and print a warning
+ * - keep: keep it without comparing sizes
+ */
+export const OVERSIZED_ACTIONS = ['drop', 'warn', 'keep'];
+
+/**
+ * Find modern-format variants that are not smaller than the fallback-format
+ * variant of the same width by at least config.minSavings
+ * @param {Array<Object>} variants - Variants of one source, one set of widths
+ * @param {Object} config - Effective image configuration
+ * @return {Array<Object>} - Oversized variants
+ */
+export function findOversizedVariants(variants, config) {
+  if (config.oversizedVariants === 'keep') {
+    return [];
+  }
+
+  const threshold = 1 - (config.minSavings || 0);
+  const fallbacks = new Map(variants.filter((v) => !MODERN_FORMATS.includes(v.format)).map((v) => [v.width, v]));
+  return variants.filter((variant) => {
+    const fallback = MODERN_FORMATS.includes(variant.format) && fallbacks.get(variant.width);
+    return Boolean(fallback) && variant.size >= fallback.size * threshold;
+  });
+}
+
+/**
+ * Apply the oversizedVariants action to the variants of one source. Dropping
+ * removes every width of a format that loses at any width, since a <source>
+ * with gaps in its srcset wins over the fallback's complete one.
+ * @param {Array<Object>} variants - Variants of one source, one set of widths
+ * @param {Object} config - Effective image configuration
+ * @param {string} originalPath - Source image path, for messages
+ * @param {Function} debugFn - Debug function
+ * @return {{kept: Array<Object>, omitted: Array<Object>}} - Variants to emit, and the ones dropped
+ */
+export function omitOversizedVariants(variants, config, originalPath, debugFn) {
+  const oversized = findOversizedVariants(variants, config);
+  if (oversized.length === 0) {
+    return { kept: variants, omitted: [] };
+  }
+
+  const list = oversized.map((v) => `${v.format} ${v.width}w`).join(', ');
+  if (config.oversizedVariants === 'warn') {
+    console.warn(`metalsmith-optimize-images: ${originalPath}: ${list} not smaller than the fallback format`);
+    return { kept: variants, omitted: [] };
+  }
+
+  const formats = [...new Set(oversized.map((v) => v.format))];
+  debugFn(`Dropping ${formats.join(', ')} of ${originalPath}: ${list} not smaller than the fallback format`);
+  return {
+    kept: variants.filter((v) => !formats.includes(v.format)),
+    omitted: variants.filter((v) => formats.includes(v.format))
+  };
+}
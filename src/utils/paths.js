@@ -8,6 +8,8 @@ import path from 'node:path';
  * Generate variant filename using pattern
  * Applies token replacement to create output filenames
  * Tokens: [filename], [width], [format], [hash]
+ * Cropped (art-directed) variants get the crop label appended to the filename
+ * so they never collide with the uncropped variants of the same source.
  * @param {string} originalPath - Original image path
  * @param {number} width - Target width
  * @param {string} format - Target format ('original' means keep source format)
@@ -25,11 +27,83 @@ export function generateVariantPath(originalPath, width, format, hash, config) {
   // Apply pattern replacements using the tokens system
   // Default pattern: '[filename]-[width]w-[hash].[format]'
   // Results in: 'image-320w-abc12345.webp'
+  const filename = config.crop ? `${parsedPath.name}-${config.crop.label}` : parsedPath.name;
+
   const outputName = config.outputPattern
-    .replace('[filename]', parsedPath.name)
+    .replace('[filename]', filename)
     .replace('[width]', width)
     .replace('[format]', outputFormat)
     .replace('[hash]', hash || '');
 
   return path.join(config.outputDir, outputName);
 }
+
+/**
+ * Build a regular expression matching filenames produced by an output pattern
+ * @param {string} pattern - Output pattern with tokens
+ * @return {RegExp} - Expression with named groups for each token
+ */
+function patternToRegExp(pattern) {
+  const groups = {
+    '[filename]': '(?<filename>.+)',
+    '[width]': '(?<width>\\d+)',
+    '[hash]': '(?<hash>[a-f0-9]+)',
+    '[format]': '(?<format>[a-z0-9]+)'
+  };
+  const source = pattern
+    .split(/(\[filename\]|\[width\]|\[hash\]|\[format\])/)
+    .map((part) => groups[part] || part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Take apart a variant filename produced by generateVariantPath, or by the
+ * hashless background naming (the pattern without its [hash] token)
+ * @param {string} name - Variant file basename
+ * @param {object} config - Plugin config options
+ * @return {{filename: string, width: number|null, hash: string|null, format: string|null}|null} - Tokens
+ *   (null where the pattern lacks one), or null when the name does not follow the output pattern
+ */
+export function parseVariantName(name, config) {
+  const hashless = config.outputPattern.replace('-[hash]', '').replace('[hash]', '');
+
+  for (const pattern of [config.outputPattern, hashless]) {
+    const match = patternToRegExp(pattern).exec(name);
+    if (match) {
+      const { filename = null, width, hash = null, format = null } = match.groups;
+      return { filename, width: width === undefined ? null : Number(width), hash, format };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Assert that a user-supplied path option stays within a base directory.
+ * Guards against `outputDir`/`cache` escaping the build via `..` segments
+ * or an absolute path pointing elsewhere.
+ * @param {string} base - Directory the target must resolve inside
+ * @param {string} target - User-supplied path to validate
+ * @param {string} label - Option name, used in the error message
+ * @returns {string} The resolved, validated absolute target path
+ */
+export function assertWithin(base, target, label) {
+  const resolvedBase = path.resolve(base);
+  const resolvedTarget = path.resolve(resolvedBase, target);
+  const rel = path.relative(resolvedBase, resolvedTarget);
+  if (rel === '..' || rel.startsWith(`..${path.sep}`) || path.isAbsolute(rel)) {
+    throw new Error(`Invalid ${label}: "${target}" resolves outside the build directory`);
+  }
+  return resolvedTarget;
+}
+
+/**
+ * Cache directory named by the cache option, relative to the project
+ * directory: true means 'lib/<outputDir>'
+ * @param {object} config - Plugin config options, with cache enabled
+ * @return {string} - Relative cache path
+ */
+export function cachePathFor(config) {
+  return typeof config.cache === 'string' ? config.cache : path.join('lib', config.outputDir);
+}
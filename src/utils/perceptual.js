@@ -0,0 +1,142 @@
+/**
+ * Perceptual quality targeting
+ * Instead of one fixed quality number per format, each variant can be
+ * encoded at the lowest quality whose SSIM against the resized image meets
+ * a target. Busy photos end up at higher settings than flat ones, and every
+ * variant looks about as close to its reference as the others.
+ */
+import sharp from 'sharp';
+
+/**
+ * Settings used for the targetQuality keys the user leaves out
+ */
+export const TARGET_QUALITY_DEFAULTS = { ssim: 0.98, min: 30, max: 95 };
+
+/**
+ * Encoders whose quality setting trades size for fidelity
+ */
+const SEARCHED_FORMATS = ['avif', 'webp', 'jxl', 'jpeg'];
+
+/**
+ * Side of the square windows SSIM is computed over
+ */
+const WINDOW = 8;
+
+// SSIM stabilising constants for 8-bit samples
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+/**
+ * Encoding modes whose settings are kept as they are (see utils/encodingMode.js)
+ */
+const FIXED_QUALITY_MODES = ['lossless', 'near-lossless'];
+
+/**
+ * The quality search an encode uses, if any. Lossless and near-lossless
+ * encodes and animations keep their fixed settings.
+ * @param {Object} config - Effective image configuration
+ * @param {string} format - Encoder format, not 'original'
+ * @param {boolean} [animated=false] - Whether the variant is animated
+ * @return {{ssim: number, min: number, max: number}|null} - Search settings, or null for a fixed quality
+ */
+export function qualitySearch(config, format, animated = false) {
+  const options = config.formatOptions?.[format] || {};
+  if (!config.targetQuality || animated || !SEARCHED_FORMATS.includes(format)) {
+    return null;
+  }
+  if (FIXED_QUALITY_MODES.includes(config.mode) || options.lossless || options.nearLossless) {
+    return null;
+  }
+  return config.targetQuality;
+}
+
+/**
+ * Decode an image to 8-bit luma samples
+ * @param {Buffer} input - Encoded image
+ * @return {Promise<{data: Buffer, width: number, height: number}>} - One byte per pixel
+ */
+export async function lumaPixels(input) {
+  const { data, info } = await sharp(input).removeAlpha().greyscale().raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Mean structural similarity of two images of the same size, over
+ * non-overlapping windows of 8x8 luma samples
+ * @param {{data: Buffer, width: number, height: number}} a - Reference
+ * @param {{data: Buffer, width: number, height: number}} b - Candidate
+ * @return {number} - 1 for identical images, lower the more they differ
+ * @throws {Error} When the images differ in size
+ */
+export function ssim(a, b) {
+  if (a.width !== b.width || a.height !== b.height) {
+    throw new Error(`Cannot compare a ${a.width}x${a.height} image with a ${b.width}x${b.height} one`);
+  }
+
+  const size = Math.min(WINDOW, a.width, a.height);
+  let total = 0;
+  let windows = 0;
+  for (let top = 0; top + size <= a.height; top += size) {
+    for (let left = 0; left + size <= a.width; left += size) {
+      let sumA = 0;
+      let sumB = 0;
+      let sumAA = 0;
+      let sumBB = 0;
+      let sumAB = 0;
+      for (let y = top; y < top + size; y++) {
+        for (let x = left; x < left + size; x++) {
+          const va = a.data[y * a.width + x];
+          const vb = b.data[y * b.width + x];
+          sumA += va;
+          sumB += vb;
+          sumAA += va * va;
+          sumBB += vb * vb;
+          sumAB += va * vb;
+        }
+      }
+
+      const n = size * size;
+      const meanA = sumA / n;
+      const meanB = sumB / n;
+      const varA = sumAA / n - meanA * meanA;
+      const varB = sumBB / n - meanB * meanB;
+      const cov = sumAB / n - meanA * meanB;
+      total +=
+        ((2 * meanA * meanB + C1) * (2 * cov + C2)) / ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+      windows++;
+    }
+  }
+  return total / windows;
+}
+
+/**
+ * Find the lowest quality whose encode meets the SSIM target, by bisecting
+ * the allowed range. When even the highest quality falls short, the
+ * highest quality is used.
+ * @param {Function} encode - Encodes at a quality: (quality) => Promise<{data: Buffer, info: Object}>
+ * @param {{data: Buffer, width: number, height: number}} reference - Luma samples of the resized image
+ * @param {{ssim: number, min: number, max: number}} target - Search settings
+ * @return {Promise<{data: Buffer, info: Object, quality: number, ssim: number}>} - The chosen encode
+ */
+export async function searchQuality(encode, reference, target) {
+  const attempt = async (quality) => {
+    const result = await encode(quality);
+    const score = ssim(reference, await lumaPixels(result.data));
+    return { ...result, quality, ssim: Math.round(score * 10000) / 10000 };
+  };
+
+  let low = target.min;
+  let high = target.max;
+  let best = null;
+  while (low <= high) {
+    const quality = Math.floor((low + high) / 2);
+    const result = await attempt(quality);
+    if (result.ssim >= target.ssim) {
+      best = result;
+      high = quality - 1;
+    } else {
+      low = quality + 1;
+    }
+  }
+  return best || attempt(target.max);
+}
@@ -0,0 +1,101 @@
+/**
+ * Cache pruning
+ * Finds files in the persistent cache directory that the current build no
+ * longer references (variants of changed sources or old settings) and
+ * removes them, or reports what removing them would reclaim
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { isCacheTempFile } from './cacheFiles.js';
+import { parseVariantName } from './paths.js';
+
+/**
+ * Collect the cache filenames referenced by a build: every HTML and
+ * background variant plus progressive placeholders
+ * @param {Map} processedImages - processedImages after the build; values are
+ *   variant arrays or { variants, placeholderData } for progressive images
+ * @return {Set<string>} - Referenced file basenames
+ */
+export function collectReferencedFiles(processedImages) {
+  const referenced = new Set();
+
+  for (const value of processedImages.values()) {
+    const variants = Array.isArray(value) ? value : value?.variants || [];
+    for (const variant of variants) {
+      referenced.add(path.basename(variant.path));
+    }
+    if (value?.placeholderData?.path) {
+      referenced.add(path.basename(value.placeholderData.path));
+    }
+  }
+
+  return referenced;
+}
+
+/**
+ * Remove, or with dryRun only list, every variant file in the cache
+ * directory that is not referenced, plus temp files left by interrupted
+ * writes. Only names following the output pattern count as variants, so
+ * the cache index, subdirectories and files such as .gitkeep stay.
+ * @param {string} cacheDir - Absolute path to the cache directory
+ * @param {Set<string>|string[]} referenced - File basenames to keep
+ * @param {Object} config - Plugin configuration; its outputPattern names the variants
+ * @param {Object} [options] - Prune options
+ * @param {boolean} [options.dryRun=false] - List orphans without deleting them
+ * @return {{dryRun: boolean, files: Array<{name: string, size: number}>, bytes: number}} - Prune report
+ */
+export function pruneCache(cacheDir, referenced, config, { dryRun = false } = {}) {
+  const keep = new Set(referenced);
+  const files = [];
+
+  if (fs.existsSync(cacheDir)) {
+    for (const entry of fs.readdirSync(cacheDir, { withFileTypes: true })) {
+      if (!entry.isFile() || keep.has(entry.name)) {
+        continue;
+      }
+      if (!isCacheTempFile(entry.name) && !parseVariantName(entry.name, config)) {
+        continue;
+      }
+
+      const fullPath = path.join(cacheDir, entry.name);
+      files.push({ name: entry.name, size: fs.statSync(fullPath).size });
+      if (!dryRun) {
+        fs.unlinkSync(fullPath);
+      }
+    }
+  }
+
+  files.sort((a, b) => a.name.localeCompare(b.name));
+  return { dryRun, files, bytes: files.reduce((sum, file) => sum + file.size, 0) };
+}
+
+/**
+ * Format a byte count for people
+ * @param {number} bytes - Byte count
+ * @return {string} - e.g. '3.4 MB'
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value} ${units[unit]}` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Describe a prune report, listing the orphaned files
+ * @param {Object} report - Report from pruneCache
+ * @return {string} - Multi-line summary
+ */
+export function formatPruneReport(report) {
+  if (report.files.length === 0) {
+    return 'No orphaned variants in the cache directory';
+  }
+
+  const verb = report.dryRun ? 'Would remove' : 'Removed';
+  const lines = report.files.map((file) => `  ${file.name} (${formatBytes(file.size)})`);
+  return `${verb} ${report.files.length} orphaned file(s), reclaiming ${formatBytes(report.bytes)}:\n${lines.join('\n')}`;
+}
@@ -0,0 +1,79 @@
+/**
+ * Build-wide task queue
+ * Bounds how many Sharp encodes run at once across every HTML file and image
+ * in a build
+ */
+
+/**
+ * Create a task queue that runs at most `concurrency` tasks at a time, in
+ * the order they were queued. Tasks should be leaf work (a single encode):
+ * a task that waits on other tasks in the same queue can deadlock it.
+ * @param {number} concurrency - Maximum number of tasks running at once
+ * @return {{run: Function, stats: Function}} - Queue
+ */
+export function createTaskQueue(concurrency) {
+  const pending = [];
+  const counts = { completed: 0, failed: 0, peakRunning: 0, peakQueued: 0 };
+  let running = 0;
+
+  /**
+   * Start queued tasks while there is a free slot
+   */
+  const next = () => {
+    while (running < concurrency && pending.length > 0) {
+      const { task, resolve, reject } = pending.shift();
+      running++;
+      counts.peakRunning = Math.max(counts.peakRunning, running);
+
+      // Free the slot before settling, so the caller sees an accurate count
+      Promise.resolve()
+        .then(task)
+        .then(
+          (result) => {
+            running--;
+            counts.completed++;
+            next();
+            resolve(result);
+          },
+          (err) => {
+            running--;
+            counts.failed++;
+            next();
+            reject(err);
+          }
+        );
+    }
+  };
+
+  return {
+    /**
+     * Queue a task and wait for its result
+     * @param {Function} task - Function returning a value or promise
+     * @return {Promise<*>} - Result of the task
+     */
+    run(task) {
+      return new Promise((resolve, reject) => {
+        pending.push({ task, resolve, reject });
+        counts.peakQueued = Math.max(counts.peakQueued, pending.length);
+        next();
+      });
+    },
+
+    /**
+     * Snapshot of the queue counters, for debug output
+     * @return {Object} - Counters plus current running/queued numbers
+     */
+    stats() {
+      return { ...counts, running, queued: pending.length, concurrency };
+    }
+  };
+}
+
+/**
+ * Queue stand-in for callers that run outside a build (tests, direct API
+ * use): every task runs immediately
+ */
+export const directQueue = {
+  run: (task) => Promise.resolve().then(task),
+  stats: () => null
+};
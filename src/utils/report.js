@@ -0,0 +1,267 @@
+/**
+ * Build report
+ * What a build did with each source image: bytes in and out, time spent
+ * encoding, whether the cache served it and which pages use it. Printed as
+ * a short summary and optionally written to the project directory as JSON
+ * or HTML, outside the build output so it is not deployed with the site.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { assertWithin } from './paths.js';
+import { formatBytes } from './prune.js';
+
+/**
+ * Accepted values of the report option:
+ * - false: no report
+ * - true: print the summary
+ * - json / html: print the summary and write it to reportFile (see reportFileFor)
+ */
+export const REPORT_OUTPUTS = [false, true, 'json', 'html'];
+
+/**
+ * Number of sources the console summary lists by size
+ */
+const SUMMARY_IMAGES = 5;
+
+/**
+ * Share of bytes saved, as a whole percentage
+ * @param {number} original - Bytes before
+ * @param {number} optimized - Bytes after
+ * @return {number|null} - Percentage saved (negative when larger), or null without a baseline
+ */
+const savedPercent = (original, optimized) => (original > 0 ? Math.round((1 - optimized / original) * 100) : null);
+
+/**
+ * Describe a duration
+ * @param {number} ms - Milliseconds
+ * @return {string} - e.g. '840 ms' or '14.2 s'
+ */
+export function formatDuration(ms) {
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Gather the report from what the build processed. Each source appears
+ * once, with the variants of all its processedImages entries. An image's
+ * saving compares its smallest variant at its largest width (widestBytes)
+ * with the source.
+ * @param {Map} processedImages - processedImages after the build; values are
+ *   variant arrays or { variants, placeholderData }
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} stats - Build tracker: { missed: Set, deduplicated: Map, pages: Map, sourceBytes: Map }
+ * @param {{cache: boolean, durationMs: number}} build - Whether the persistent cache is on, and the build time
+ * @return {{totals: Object, images: Object<string, Object>}} - The report
+ */
+export function buildReport(processedImages, files, stats, { cache, durationMs }) {
+  const pagesBySource = new Map();
+  for (const [page, images] of stats.pages || []) {
+    for (const { src } of images) {
+      const pages = pagesBySource.get(src) || [];
+      if (!pages.includes(page)) {
+        pages.push(page);
+      }
+      pagesBySource.set(src, pages);
+    }
+  }
+
+  const variantsBySource = new Map();
+  processedImages.forEach((value, key) => {
+    const [source] = key.split(':');
+    const variants = variantsBySource.get(source) || new Map();
+    for (const variant of Array.isArray(value) ? value : value.variants) {
+      variants.set(variant.path, variant);
+    }
+    variantsBySource.set(source, variants);
+  });
+
+  const images = {};
+  for (const source of [...variantsBySource.keys()].sort()) {
+    const variants = [...variantsBySource.get(source).values()];
+    const originalBytes = stats.sourceBytes?.get(source) ?? files[source]?.contents?.length ?? 0;
+    const bytesByFormat = {};
+    for (const variant of variants) {
+      bytesByFormat[variant.format] = (bytesByFormat[variant.format] || 0) + variant.size;
+    }
+
+    const widest = Math.max(...variants.map((v) => v.width));
+    const widestBytes =
+      variants.length > 0 ? Math.min(...variants.filter((v) => v.width === widest).map((v) => v.size)) : null;
+    const cachedCount = variants.filter((v) => v.cached).length;
+    let cacheStatus = 'off';
+    if (cache) {
+      cacheStatus = cachedCount === variants.length ? 'hit' : cachedCount === 0 ? 'miss' : 'partial';
+    }
+
+    images[source] = {
+      originalBytes,
+      variantBytes: variants.reduce((sum, v) => sum + v.size, 0),
+      bytesByFormat,
+      widestBytes,
+      savedPercent: widestBytes !== null ? savedPercent(originalBytes, widestBytes) : null,
+      encodeMs: variants.reduce((sum, v) => sum + (v.encodeMs || 0), 0),
+      cache: cacheStatus,
+      pages: pagesBySource.get(source) || [],
+      deduplicatedRequests: stats.deduplicated?.get(source) || 0,
+      variants: variants.map((v) => ({
+        path: v.path,
+        format: v.format,
+        width: v.width,
+        size: v.size,
+        savedPercent: savedPercent(originalBytes, v.size),
+        ...(v.cached ? { cached: true } : { encodeMs: v.encodeMs || 0 })
+      }))
+    };
+  }
+
+  const entries = Object.values(images);
+  const sum = (field) => entries.reduce((total, image) => total + image[field], 0);
+  const bytesByFormat = {};
+  for (const image of entries) {
+    for (const [format, bytes] of Object.entries(image.bytesByFormat)) {
+      bytesByFormat[format] = (bytesByFormat[format] || 0) + bytes;
+    }
+  }
+  const hits = entries.filter((image) => image.cache === 'hit').length;
+  const compared = entries.filter((image) => image.widestBytes !== null);
+
+  return {
+    totals: {
+      images: entries.length,
+      variants: entries.reduce((total, image) => total + image.variants.length, 0),
+      originalBytes: sum('originalBytes'),
+      variantBytes: sum('variantBytes'),
+      bytesByFormat,
+      savedPercent: savedPercent(
+        compared.reduce((total, image) => total + image.originalBytes, 0),
+        compared.reduce((total, image) => total + image.widestBytes, 0)
+      ),
+      encodeMs: sum('encodeMs'),
+      durationMs: Math.round(durationMs),
+      cache: cache
+        ? { hits, misses: entries.length - hits, hitRate: entries.length > 0 ? hits / entries.length : 0 }
+        : null,
+      deduplicatedRequests: sum('deduplicatedRequests'),
+      unresolved: [...(stats.missed || [])].sort()
+    },
+    images
+  };
+}
+
+/**
+ * Describe a report in a few lines for the console
+ * @param {{totals: Object, images: Object<string, Object>}} report - Result of buildReport
+ * @return {string} - Summary naming the largest sources
+ */
+export function formatReportSummary({ totals, images }) {
+  const lines = [
+    `build report: ${totals.images} source image(s), ${formatBytes(totals.originalBytes)} → ` +
+      `${totals.variants} variant(s), ${formatBytes(totals.variantBytes)}` +
+      (totals.savedPercent !== null ? `; largest variants save ${totals.savedPercent}%` : ''),
+    `  encoding ${formatDuration(totals.encodeMs)}, build ${formatDuration(totals.durationMs)}` +
+      (totals.cache
+        ? `; cache hits ${totals.cache.hits}/${totals.images} (${Math.round(totals.cache.hitRate * 100)}%)`
+        : '; cache off')
+  ];
+
+  const largest = Object.entries(images)
+    .sort(([, a], [, b]) => b.originalBytes - a.originalBytes)
+    .slice(0, SUMMARY_IMAGES);
+  for (const [source, image] of largest) {
+    const saved = image.savedPercent !== null ? ` (${image.savedPercent}% saved)` : '';
+    const pages = image.pages.length > 0 ? `, on ${image.pages.length} page(s)` : ', background';
+    lines.push(
+      `  ${source}: ${formatBytes(image.originalBytes)} → ${formatBytes(image.variantBytes)} in ` +
+        `${image.variants.length} variant(s)${saved}, ${image.cache === 'off' ? 'encoded' : `cache ${image.cache}`}` +
+        `${image.encodeMs > 0 ? ` in ${formatDuration(image.encodeMs)}` : ''}${pages}`
+    );
+  }
+  if (totals.unresolved.length > 0) {
+    lines.push(`  ${totals.unresolved.length} unresolved image path(s)`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @return {string} - Escaped text
+ */
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+/**
+ * Render a report as a standalone HTML page
+ * @param {{totals: Object, images: Object<string, Object>}} report - Result of buildReport
+ * @return {string} - HTML document
+ */
+export function renderReportHtml({ totals, images }) {
+  const rows = Object.entries(images).map(([source, image]) => {
+    const formats = Object.entries(image.bytesByFormat)
+      .map(([format, bytes]) => `${format} ${formatBytes(bytes)}`)
+      .join(', ');
+    const cells = [
+      source,
+      formatBytes(image.originalBytes),
+      formatBytes(image.variantBytes),
+      formats,
+      image.savedPercent !== null ? `${image.savedPercent}%` : '',
+      formatDuration(image.encodeMs),
+      image.cache,
+      image.pages.join(', ')
+    ];
+    return `<tr>${cells.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`;
+  });
+
+  const headings = ['Source', 'Original', 'Variants', 'By format', 'Saved', 'Encoding', 'Cache', 'Pages'];
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Image build report</title>
+<style>body{font-family:system-ui,sans-serif;margin:2rem}table{border-collapse:collapse}td,th{border:1px solid #ccc;padding:.25rem .5rem;text-align:left}</style>
+</head>
+<body>
+<h1>Image build report</h1>
+<pre>${escapeHtml(formatReportSummary({ totals, images: {} }))}</pre>
+<table>
+<thead><tr>${headings.map((heading) => `<th>${heading}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Report file named by the reportFile option, relative to the project
+ * directory: build-report.json or build-report.html by default
+ * @param {Object} config - Plugin configuration, with report 'json' or 'html'
+ * @return {string} - Relative report path
+ */
+export function reportFileFor(config) {
+  return config.reportFile || `build-report.${config.report}`;
+}
+
+/**
+ * Print the report summary and, for 'json' or 'html', write the report file.
+ * It is written with fs rather than added to the Metalsmith files, so it
+ * never ships with the built site.
+ * @param {{totals: Object, images: Object<string, Object>}} report - Result of buildReport
+ * @param {Object} config - Plugin configuration
+ * @param {string} directory - Project directory the report path resolves against
+ * @return {string|null} - Absolute path of the written file, or null when only printed
+ */
+export function emitReport(report, config, directory) {
+  console.warn(`metalsmith-optimize-images: ${formatReportSummary(report)}`);
+
+  if (config.report !== 'json' && config.report !== 'html') {
+    return null;
+  }
+
+  const file = assertWithin(directory, reportFileFor(config), 'reportFile');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, config.report === 'json' ? JSON.stringify(report, null, 2) : renderReportHtml(report));
+  return file;
+}
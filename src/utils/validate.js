@@ -0,0 +1,630 @@
+/**
+ * Option validation
+ * Checks user options against every option the plugin reads, normalises
+ * accepted spellings and reports all problems in a single error, so a
+ * misconfigured build fails before any Sharp work starts
+ */
+import * as cheerio from 'cheerio';
+import { CROP_STRATEGIES, parseAspectRatio, parseFocalPoint } from './artDirection.js';
+import { FORMAT_ALIASES, KNOWN_FORMATS } from './imageOptions.js';
+import { METADATA_POLICIES } from './exif.js';
+import { COLOR_SPACES } from './colorSpace.js';
+import { ENCODING_MODES } from './encodingMode.js';
+import { TARGET_QUALITY_DEFAULTS } from './perceptual.js';
+import { OVERSIZED_ACTIONS } from './oversized.js';
+import { BUDGET_SEVERITIES } from './budgets.js';
+import { REPORT_OUTPUTS } from './report.js';
+
+/**
+ * Build a value check from a predicate and a description of what it expects
+ * @param {Function} test - Predicate on the value
+ * @param {string} expected - What a valid value looks like, e.g. 'a boolean'
+ * @return {Function} - Check returning the expectation when the value fails, otherwise null
+ */
+const expect = (test, expected) => (value) => (test(value) ? null : expected);
+
+const isPlainObject = (value) => value?.constructor === Object;
+
+const boolean = expect((v) => typeof v === 'boolean', 'a boolean');
+const string = expect((v) => typeof v === 'string', 'a string');
+
+/**
+ * Check for an integer within a range
+ * @param {number} min - Smallest allowed value
+ * @param {number} [max] - Largest allowed value
+ * @return {Function} - Value check
+ */
+const integer = (min, max = Number.POSITIVE_INFINITY) =>
+  expect(
+    (v) => Number.isInteger(v) && v >= min && v <= max,
+    max === Number.POSITIVE_INFINITY ? `an integer >= ${min}` : `an integer between ${min} and ${max}`
+  );
+
+/**
+ * Check for a finite number within a range
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @return {Function} - Value check
+ */
+const number = (min, max) =>
+  expect(
+    (v) => typeof v === 'number' && Number.isFinite(v) && v >= min && v <= max,
+    `a number between ${min} and ${max}`
+  );
+
+/**
+ * Check for one of a fixed set of values
+ * @param {Array} values - Allowed values
+ * @return {Function} - Value check
+ */
+const oneOf = (values) =>
+  expect((v) => values.includes(v), `one of ${values.map((value) => JSON.stringify(value)).join(', ')}`);
+
+const chromaSubsampling = oneOf(['4:2:0', '4:4:4']);
+const encodingMode = oneOf(ENCODING_MODES);
+
+/**
+ * Sharp encoder options accepted per output format
+ */
+const FORMAT_OPTIONS = {
+  avif: {
+    quality: integer(1, 100),
+    lossless: boolean,
+    effort: integer(0, 9),
+    speed: integer(0, 9),
+    chromaSubsampling,
+    bitdepth: oneOf([8, 10, 12])
+  },
+  webp: {
+    quality: integer(1, 100),
+    alphaQuality: integer(0, 100),
+    lossless: boolean,
+    nearLossless: boolean,
+    smartSubsample: boolean,
+    smartDeblock: boolean,
+    preset: oneOf(['default', 'photo', 'picture', 'drawing', 'icon', 'text']),
+    effort: integer(0, 6),
+    minSize: boolean,
+    mixed: boolean
+  },
+  jxl: {
+    quality: integer(1, 100),
+    distance: number(0, 15),
+    decodingTier: integer(0, 4),
+    lossless: boolean,
+    effort: integer(1, 9)
+  },
+  jpeg: {
+    quality: integer(1, 100),
+    progressive: boolean,
+    chromaSubsampling,
+    optimiseCoding: boolean,
+    optimizeCoding: boolean,
+    mozjpeg: boolean,
+    trellisQuantisation: boolean,
+    overshootDeringing: boolean,
+    optimiseScans: boolean,
+    optimizeScans: boolean,
+    quantisationTable: integer(0, 8),
+    quantizationTable: integer(0, 8)
+  },
+  png: {
+    progressive: boolean,
+    compressionLevel: integer(0, 9),
+    adaptiveFiltering: boolean,
+    palette: boolean,
+    quality: integer(0, 100),
+    effort: integer(1, 10),
+    colours: integer(2, 256),
+    colors: integer(2, 256),
+    dither: number(0, 1)
+  }
+};
+
+/**
+ * Placeholder options used for progressive loading
+ */
+const PLACEHOLDER_OPTIONS = {
+  width: integer(1),
+  quality: integer(1, 100),
+  blur: number(0, 1000)
+};
+
+/**
+ * Options of the perceptual quality search
+ */
+const TARGET_QUALITY_OPTIONS = {
+  ssim: number(0, 1),
+  min: integer(1, 100),
+  max: integer(1, 100)
+};
+
+/**
+ * Options of animated sources
+ */
+const ANIMATION_OPTIONS = {
+  maxFrames: integer(1),
+  maxSize: integer(0)
+};
+
+/**
+ * Options of the byte-size budgets. budgets.variant is checked per format by checkBudgets.
+ */
+const BUDGET_OPTIONS = {
+  variant: expect(isPlainObject, 'an object of format → bytes'),
+  page: integer(0),
+  severity: oneOf(BUDGET_SEVERITIES),
+  viewport: integer(1),
+  dpr: number(0.5, 4)
+};
+
+/**
+ * Formats variants are written in: the encoders, and GIF for animated sources kept in their own format
+ */
+const BUDGET_FORMATS = [...Object.keys(FORMAT_OPTIONS), 'gif'];
+
+/**
+ * Options a preset may set
+ */
+const PRESET_OPTIONS = ['widths', 'formats', 'formatOptions', 'sizes', 'lazy', 'isProgressive', 'placeholder', 'mode'];
+
+/**
+ * Levenshtein distance between two strings, used for "did you mean" hints
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @return {number} - Number of single-character edits between them
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Describe an unknown key, suggesting the closest known one when it is a likely typo
+ * @param {string} key - Unknown key
+ * @param {string[]} known - Keys accepted at this position
+ * @return {string} - Error text
+ */
+function unknownKey(key, known) {
+  const closest = known
+    .map((candidate) => ({ candidate, distance: editDistance(key, candidate) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+
+  if (closest && closest.distance <= Math.max(2, Math.floor(key.length / 3))) {
+    return `unknown option "${key}". Did you mean "${closest.candidate}"?`;
+  }
+  return `unknown option "${key}"`;
+}
+
+/**
+ * Format a value for an error message
+ * @param {*} value - Offending value
+ * @return {string} - Short representation
+ */
+const show = (value) => (typeof value === 'function' ? 'a function' : JSON.stringify(value));
+
+/**
+ * Check that a CSS selector parses, so a typo in a selector map fails
+ * validation instead of the build partway through
+ * @param {string} selector - CSS selector
+ * @return {string|null} - The parser's complaint, or null when the selector is valid
+ */
+function selectorError(selector) {
+  try {
+    cheerio.load('<img>')('img').is(selector);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/**
+ * Validate an object of options against a map of checks
+ * @param {Object} options - Options to validate
+ * @param {Object<string, Function>} checks - Check per allowed key
+ * @param {string} path - Option path used in messages, e.g. 'placeholder'
+ * @param {string[]} errors - Collected errors
+ */
+function checkObject(options, checks, path, errors) {
+  if (!isPlainObject(options)) {
+    errors.push(`${path} must be an object (got ${show(options)})`);
+    return;
+  }
+
+  for (const [key, value] of Object.entries(options)) {
+    if (!checks[key]) {
+      errors.push(`${path}: ${unknownKey(key, Object.keys(checks))}`);
+      continue;
+    }
+    const expected = checks[key](value);
+    if (expected) {
+      errors.push(`${path}.${key} must be ${expected} (got ${show(value)})`);
+    }
+  }
+}
+
+/**
+ * Validate an array of widths. Integer strings such as '640' are accepted
+ * and converted, so widths read from a config file work unchanged.
+ * @param {*} widths - Widths option
+ * @param {string} path - Option path used in messages
+ * @param {string[]} errors - Collected errors
+ * @return {number[]} - Normalised widths
+ */
+function checkWidths(widths, path, errors) {
+  if (!Array.isArray(widths) || widths.length === 0) {
+    errors.push(`${path} must be a non-empty array of positive integers (got ${show(widths)})`);
+    return widths;
+  }
+
+  return widths.map((width, index) => {
+    const value = typeof width === 'string' && /^\s*\d+\s*$/.test(width) ? Number(width) : width;
+    if (!Number.isInteger(value) || value <= 0) {
+      errors.push(`${path}[${index}] must be a positive integer (got ${show(width)})`);
+    }
+    return value;
+  });
+}
+
+/**
+ * Validate an array of output formats, normalising case and aliases (jpg → jpeg)
+ * @param {*} formats - Formats option
+ * @param {string} path - Option path used in messages
+ * @param {string[]} errors - Collected errors
+ * @return {string[]} - Normalised formats
+ */
+function checkFormats(formats, path, errors) {
+  if (!Array.isArray(formats) || formats.length === 0) {
+    errors.push(`${path} must be a non-empty array of formats (got ${show(formats)})`);
+    return formats;
+  }
+
+  return formats.map((format, index) => {
+    const name = typeof format === 'string' ? format.trim().toLowerCase() : format;
+    const value = FORMAT_ALIASES[name] || name;
+    if (!KNOWN_FORMATS.includes(value)) {
+      errors.push(`${path}[${index}] must be one of ${KNOWN_FORMATS.join(', ')} (got ${show(format)})`);
+    }
+    return value;
+  });
+}
+
+/**
+ * Validate per-format encoder options, normalising format aliases in the keys
+ * @param {*} formatOptions - formatOptions option
+ * @param {string} path - Option path used in messages
+ * @param {string[]} errors - Collected errors
+ * @return {Object} - formatOptions keyed by canonical format name
+ */
+function checkFormatOptions(formatOptions, path, errors) {
+  if (!isPlainObject(formatOptions)) {
+    errors.push(`${path} must be an object keyed by format (got ${show(formatOptions)})`);
+    return formatOptions;
+  }
+
+  const normalised = {};
+  for (const [key, options] of Object.entries(formatOptions)) {
+    const format = FORMAT_ALIASES[key] || key;
+    if (!FORMAT_OPTIONS[format]) {
+      errors.push(`${path}: ${unknownKey(key, Object.keys(FORMAT_OPTIONS))}`);
+      continue;
+    }
+    checkObject(options, FORMAT_OPTIONS[format], `${path}.${format}`, errors);
+    normalised[format] = { ...normalised[format], ...options };
+  }
+  return normalised;
+}
+
+/**
+ * Validate named presets so a misspelt option fails the build instead of
+ * being silently ignored on every image that uses the preset
+ * @param {*} presets - Named presets
+ * @param {string[]} errors - Collected errors
+ * @return {Object} - Presets with their widths, formats and formatOptions normalised
+ */
+function checkPresets(presets, errors) {
+  if (!isPlainObject(presets)) {
+    errors.push(`presets must be an object of named presets (got ${show(presets)})`);
+    return presets;
+  }
+
+  const normalised = {};
+  for (const [name, preset] of Object.entries(presets)) {
+    const at = `presets.${name}`;
+    if (!isPlainObject(preset)) {
+      errors.push(`${at} must be an object (got ${show(preset)})`);
+      continue;
+    }
+
+    const result = { ...preset };
+    for (const [key, value] of Object.entries(preset)) {
+      if (!PRESET_OPTIONS.includes(key)) {
+        errors.push(`${at}: ${unknownKey(key, PRESET_OPTIONS)} (allowed: ${PRESET_OPTIONS.join(', ')})`);
+      } else if (key === 'widths') {
+        result.widths = checkWidths(value, `${at}.widths`, errors);
+      } else if (key === 'formats') {
+        result.formats = checkFormats(value, `${at}.formats`, errors);
+      } else if (key === 'formatOptions') {
+        result.formatOptions = checkFormatOptions(value, `${at}.formatOptions`, errors);
+      } else if (key === 'placeholder') {
+        checkObject(value, PLACEHOLDER_OPTIONS, `${at}.placeholder`, errors);
+      } else {
+        const expected = (key === 'mode' ? encodingMode : key === 'sizes' ? string : boolean)(value);
+        if (expected) {
+          errors.push(`${at}.${key} must be ${expected} (got ${show(value)})`);
+        }
+      }
+    }
+
+    normalised[name] = result;
+  }
+  return normalised;
+}
+
+/**
+ * Breakpoint keys an art-direction set accepts
+ */
+const BREAKPOINT_OPTIONS = ['media', 'aspectRatio', 'widths', 'sizes'];
+
+/**
+ * Validate art-direction sets so a typo fails the build up front instead of
+ * silently emitting uncropped images
+ * @param {*} artDirection - Named sets of breakpoints
+ * @param {string[]} errors - Collected errors
+ * @return {Object} - Sets with their breakpoint widths normalised
+ */
+function checkArtDirection(artDirection, errors) {
+  if (!isPlainObject(artDirection)) {
+    errors.push(`artDirection must be an object of named breakpoint arrays (got ${show(artDirection)})`);
+    return artDirection;
+  }
+
+  const normalised = {};
+  for (const [name, breakpoints] of Object.entries(artDirection)) {
+    if (!Array.isArray(breakpoints) || breakpoints.length === 0) {
+      errors.push(`artDirection.${name} must be a non-empty array of breakpoints (got ${show(breakpoints)})`);
+      continue;
+    }
+
+    normalised[name] = breakpoints.map((breakpoint, index) => {
+      const at = `artDirection.${name}[${index}]`;
+      if (!isPlainObject(breakpoint)) {
+        errors.push(`${at} must be an object (got ${show(breakpoint)})`);
+        return breakpoint;
+      }
+
+      const result = { ...breakpoint };
+      for (const key of Object.keys(breakpoint)) {
+        if (!BREAKPOINT_OPTIONS.includes(key)) {
+          errors.push(`${at}: ${unknownKey(key, BREAKPOINT_OPTIONS)}`);
+        }
+      }
+      if (typeof breakpoint.media !== 'string' || breakpoint.media.trim() === '') {
+        errors.push(`${at}.media must be a non-empty media query (got ${show(breakpoint.media)})`);
+      }
+      if (breakpoint.aspectRatio !== undefined && !parseAspectRatio(breakpoint.aspectRatio)) {
+        errors.push(`${at}.aspectRatio must be a ratio such as "16:9" (got ${show(breakpoint.aspectRatio)})`);
+      }
+      if (breakpoint.widths !== undefined) {
+        result.widths = checkWidths(breakpoint.widths, `${at}.widths`, errors);
+      }
+      if (breakpoint.sizes !== undefined && typeof breakpoint.sizes !== 'string') {
+        errors.push(`${at}.sizes must be a string (got ${show(breakpoint.sizes)})`);
+      }
+      return result;
+    });
+  }
+  return normalised;
+}
+
+/**
+ * Validate the focal point map
+ * @param {*} focalPoints - Focal points keyed by image path
+ * @param {string[]} errors - Collected errors
+ */
+function checkFocalPoints(focalPoints, errors) {
+  if (!isPlainObject(focalPoints)) {
+    errors.push(`focalPoints must be an object keyed by image path (got ${show(focalPoints)})`);
+    return;
+  }
+
+  for (const [imagePath, focal] of Object.entries(focalPoints)) {
+    if (!parseFocalPoint(focal)) {
+      errors.push(`focalPoints["${imagePath}"] must be "x,y" with both values between 0 and 1 (got ${show(focal)})`);
+    }
+  }
+}
+
+/**
+ * Validate the byte-size budgets, normalising format aliases in budgets.variant
+ * @param {*} budgets - budgets option
+ * @param {string[]} errors - Collected errors
+ * @return {Object|false} - Budgets with budgets.variant keyed by canonical format name
+ */
+function checkBudgets(budgets, errors) {
+  if (budgets === false) {
+    return budgets;
+  }
+  checkObject(budgets, BUDGET_OPTIONS, 'budgets', errors);
+  if (!isPlainObject(budgets?.variant)) {
+    return budgets;
+  }
+
+  const variant = {};
+  for (const [key, bytes] of Object.entries(budgets.variant)) {
+    const format = FORMAT_ALIASES[key] || key;
+    if (!BUDGET_FORMATS.includes(format)) {
+      errors.push(`budgets.variant: ${unknownKey(key, BUDGET_FORMATS)}`);
+    } else if (!Number.isInteger(bytes) || bytes < 0) {
+      errors.push(`budgets.variant.${format} must be an integer >= 0 (got ${show(bytes)})`);
+    }
+    variant[format] = bytes;
+  }
+  return { ...budgets, variant };
+}
+
+/**
+ * Top-level options: each entry validates a value, pushing messages onto
+ * errors, and returns the normalised value
+ */
+const OPTIONS = {
+  widths: (value, errors) => checkWidths(value, 'widths', errors),
+  formats: (value, errors) => checkFormats(value, 'formats', errors),
+  formatOptions: (value, errors) => checkFormatOptions(value, 'formatOptions', errors),
+  htmlPattern: string,
+  imgSelector: string,
+  outputDir: string,
+  outputPattern: string,
+  skipLarger: boolean,
+  lazy: boolean,
+  dimensionAttributes: boolean,
+  sizes: string,
+  sizesBySelector: (value, errors) => {
+    if (!isPlainObject(value)) {
+      errors.push(`sizesBySelector must be an object of selector → sizes (got ${show(value)})`);
+      return value;
+    }
+    for (const [selector, sizes] of Object.entries(value)) {
+      const invalid = selectorError(selector);
+      if (invalid) {
+        errors.push(`sizesBySelector keys must be CSS selectors (got ${show(selector)}: ${invalid})`);
+      }
+      if (typeof sizes !== 'string') {
+        errors.push(`sizesBySelector["${selector}"] must be a string (got ${show(sizes)})`);
+      }
+    }
+    return value;
+  },
+  autoSizes: boolean,
+  densities: (value, errors) => {
+    const positive = (d) => typeof d === 'number' && Number.isFinite(d) && d > 0;
+    if (!Array.isArray(value) || value.length === 0 || !value.every(positive)) {
+      errors.push(`densities must be a non-empty array of positive numbers (got ${show(value)})`);
+    }
+    return value;
+  },
+  presets: checkPresets,
+  artDirection: checkArtDirection,
+  focalPoints: (value, errors) => {
+    checkFocalPoints(value, errors);
+    return value;
+  },
+  cropStrategy: oneOf(CROP_STRATEGIES),
+  concurrency: integer(1),
+  generateMetadata: boolean,
+  isProgressive: boolean,
+  placeholder: (value, errors) => {
+    checkObject(value, PLACEHOLDER_OPTIONS, 'placeholder', errors);
+    return value;
+  },
+  processUnusedImages: boolean,
+  imagePattern: string,
+  imageFolder: string,
+  cache: expect(
+    (v) => typeof v === 'boolean' || (typeof v === 'string' && v.trim() !== ''),
+    'a boolean or a directory path'
+  ),
+  prune: oneOf([false, true, 'dry-run']),
+  verifyCache: boolean,
+  metadata: oneOf(METADATA_POLICIES),
+  colorSpace: oneOf(COLOR_SPACES),
+  animation: (value, errors) => {
+    checkObject(value, ANIMATION_OPTIONS, 'animation', errors);
+    return value;
+  },
+  mode: encodingMode,
+  budgets: checkBudgets,
+  report: oneOf(REPORT_OUTPUTS),
+  reportFile: expect((v) => v === null || (typeof v === 'string' && v.trim() !== ''), 'a file path or null'),
+  minSavings: number(0, 1),
+  oversizedVariants: oneOf(OVERSIZED_ACTIONS),
+  targetQuality: (value, errors) => {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    checkObject(value, TARGET_QUALITY_OPTIONS, 'targetQuality', errors);
+    const { min, max } = { ...TARGET_QUALITY_DEFAULTS, ...value };
+    if (isPlainObject(value) && min > max) {
+      errors.push(`targetQuality.min must not exceed targetQuality.max (got ${min} > ${max})`);
+    }
+    return value;
+  },
+  modeBySelector: (value, errors) => {
+    if (!isPlainObject(value)) {
+      errors.push(`modeBySelector must be an object of selector → mode (got ${show(value)})`);
+      return value;
+    }
+    for (const [selector, mode] of Object.entries(value)) {
+      const invalid = selectorError(selector);
+      if (invalid) {
+        errors.push(`modeBySelector keys must be CSS selectors (got ${show(selector)}: ${invalid})`);
+      }
+      const expected = encodingMode(mode);
+      if (expected) {
+        errors.push(`modeBySelector["${selector}"] must be ${expected} (got ${show(mode)})`);
+      }
+    }
+    return value;
+  }
+};
+
+/**
+ * Validate user options and normalise accepted spellings (numeric-string
+ * widths, 'jpg' for 'jpeg'). Every problem is collected and reported in one
+ * error so a misconfigured build can be fixed in a single pass. Options set
+ * to undefined are dropped so the defaults apply.
+ * @param {Object} [options] - User provided plugin options
+ * @return {Object} - Normalised options
+ * @throws {Error} When any option is invalid; the message lists every problem and `error.errors` holds them
+ */
+export function validateOptions(options) {
+  if (options === undefined || options === null) {
+    return {};
+  }
+  if (!isPlainObject(options)) {
+    throw new Error(`Invalid metalsmith-optimize-images options: expected an object (got ${show(options)})`);
+  }
+
+  const errors = [];
+  const normalised = {};
+
+  for (const [key, value] of Object.entries(options)) {
+    if (value === undefined) {
+      continue;
+    }
+    const check = OPTIONS[key];
+    if (!check) {
+      errors.push(unknownKey(key, Object.keys(OPTIONS)));
+      continue;
+    }
+
+    // Simple checks return an expectation string; structured checks return the normalised value
+    if (check.length === 1) {
+      const expected = check(value);
+      if (expected) {
+        errors.push(`${key} must be ${expected} (got ${show(value)})`);
+      }
+      normalised[key] = value;
+    } else {
+      normalised[key] = check(value, errors);
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(
+      `Invalid metalsmith-optimize-images options:\n${errors.map((message) => `  - ${message}`).join('\n')}`
+    );
+    error.errors = errors;
+    throw error;
+  }
+
+  return normalised;
+}
@@ -6,6 +6,8 @@ import { fileURLToPath } from 'node:url';
 import Metalsmith from 'metalsmith';
 import optimizeImages from '../../src/index.js';
 import * as cheerio from 'cheerio';
+import sharp from 'sharp';
+import { CACHE_INDEX_FILE } from '../../src/utils/cacheIndex.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -187,6 +189,42 @@ describe('Persistent source-tree cache', () => {
     assert.ok(!srcset.includes(originalHash), 'HTML should reference the new hash, not the original');
   });
 
+  it('should emit the same dimensions on warm builds as on cold ones', async () => {
+    removeDir(buildDir);
+    removeDir(cacheDirAbs);
+
+    const dimensions = (html) => {
+      const $ = cheerio.load(html);
+      return $('picture img')
+        .map((_i, img) => `${$(img).attr('src')} ${$(img).attr('width')}x${$(img).attr('height')}`)
+        .get();
+    };
+
+    const cold = await runBuild(fixturesDir, buildDir, pluginOptions, true);
+    const indexPath = path.join(cacheDirAbs, CACHE_INDEX_FILE);
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    for (const file of cold.cacheFiles.filter((name) => name !== CACHE_INDEX_FILE)) {
+      assert.strictEqual(
+        index.variants[file]?.size,
+        fs.statSync(path.join(cacheDirAbs, file)).size,
+        `${file} should be recorded in the cache index`
+      );
+    }
+
+    const warm = await runBuild(fixturesDir, buildDir, pluginOptions, true);
+    assert.deepStrictEqual(dimensions(warm.html), dimensions(cold.html));
+
+    // Warm builds take dimensions from the index rather than the files
+    for (const [file, record] of Object.entries(index.variants)) {
+      if (file.startsWith('tree-')) {
+        record.height = 999;
+      }
+    }
+    fs.writeFileSync(indexPath, JSON.stringify(index));
+    const recorded = await runBuild(fixturesDir, buildDir, pluginOptions, true);
+    assert.strictEqual(cheerio.load(recorded.html)('img[alt="Tree"]').attr('height'), '999');
+  });
+
   it('should cache background image variants across builds', async () => {
     removeDir(buildDir);
     removeDir(cacheDirAbs);
@@ -215,6 +253,95 @@ describe('Persistent source-tree cache', () => {
     }
   });
 
+  it('should regenerate background variants when the source changes under the same name', async () => {
+    removeDir(buildDir);
+    removeDir(cacheDirAbs);
+
+    const bgOptions = { ...pluginOptions, formats: ['webp'], processUnusedImages: true };
+    const solid = (background) =>
+      sharp({ create: { width: 64, height: 32, channels: 3, background } })
+        .jpeg()
+        .toBuffer();
+    const addBackground = (contents) => (files, _metalsmith, done) => {
+      files['images/bg.jpg'] = { contents, mtime: Date.now() };
+      done();
+    };
+
+    await runBuild(fixturesDir, buildDir, bgOptions, true, addBackground(await solid('#ff0000')));
+
+    const cachedPath = path.join(cacheDirAbs, 'bg-64w.webp');
+    const red = fs.readFileSync(cachedPath);
+    const index = JSON.parse(fs.readFileSync(path.join(cacheDirAbs, CACHE_INDEX_FILE), 'utf8'));
+    assert.deepStrictEqual(index.entries['images/bg.jpg'].files, ['bg-32w.webp', 'bg-64w.webp']);
+
+    // Same filename, different pixels: the index notices and the variant is rebuilt
+    await runBuild(fixturesDir, buildDir, bgOptions, true, addBackground(await solid('#0000ff')));
+
+    assert.notDeepStrictEqual(fs.readFileSync(cachedPath), red, 'stale background variant should be replaced');
+    const { data } = await sharp(cachedPath).raw().toBuffer({ resolveWithObject: true });
+    assert.ok(data[2] > data[0], 'regenerated variant should be blue');
+  });
+
+  it('should regenerate damaged cached variants with verifyCache', async () => {
+    removeDir(buildDir);
+    removeDir(cacheDirAbs);
+
+    await runBuild(fixturesDir, buildDir, pluginOptions, true);
+    const webp = fs.readdirSync(cacheDirAbs).find((file) => file.endsWith('.webp'));
+    const cachedPath = path.join(cacheDirAbs, webp);
+    const intact = fs.readFileSync(cachedPath);
+
+    // A file replaced outside the build with a decodable image of the wrong size
+    const wrong = await sharp({ create: { width: 10, height: 10, channels: 3, background: '#000' } })
+      .webp()
+      .toBuffer();
+    fs.writeFileSync(cachedPath, wrong);
+
+    // Without verification the cache is trusted as it is
+    await runBuild(fixturesDir, buildDir, pluginOptions, true);
+    assert.deepStrictEqual(fs.readFileSync(cachedPath), wrong);
+
+    await runBuild(fixturesDir, buildDir, { ...pluginOptions, verifyCache: true }, true);
+    assert.deepStrictEqual(fs.readFileSync(cachedPath), intact, 'damaged variant should be rewritten');
+    assert.ok(
+      fs.readdirSync(cacheDirAbs).every((file) => !file.endsWith('.tmp')),
+      'no temporary files should be left in the cache'
+    );
+  });
+
+  it('should prune variants the build no longer references', async () => {
+    removeDir(buildDir);
+    removeDir(cacheDirAbs);
+
+    await runBuild(fixturesDir, buildDir, pluginOptions, true);
+    const before = fs.readdirSync(cacheDirAbs).filter((file) => file.endsWith('.webp'));
+
+    // New WebP settings rename the WebP variants; the old ones become orphans
+    const changed = { ...pluginOptions, formatOptions: { webp: { quality: 50 } } };
+    const dryRun = await runBuild(fixturesDir, buildDir, { ...changed, prune: 'dry-run' }, true);
+    assert.ok(
+      before.every((file) => dryRun.cacheFiles.includes(file)),
+      'a dry run should leave orphans in place'
+    );
+
+    const pruned = await runBuild(fixturesDir, buildDir, { ...changed, prune: true }, true);
+    assert.ok(
+      before.every((file) => !pruned.cacheFiles.includes(file)),
+      'orphaned variants should be removed'
+    );
+
+    const index = JSON.parse(fs.readFileSync(path.join(cacheDirAbs, CACHE_INDEX_FILE), 'utf8'));
+    assert.deepStrictEqual(
+      pruned.cacheFiles.filter((file) => file !== CACHE_INDEX_FILE),
+      index.live,
+      'the cache should hold exactly the files the build referenced'
+    );
+    assert.ok(
+      Object.keys(index.variants).every((file) => pruned.cacheFiles.includes(file)),
+      'removed files should be dropped from the cache index'
+    );
+  });
+
   it('should not add variant files to the Metalsmith files object when cache is enabled', async () => {
     removeDir(buildDir);
     removeDir(cacheDirAbs);
@@ -0,0 +1,162 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+import { CACHE_INDEX_FILE } from '../../src/utils/cacheIndex.js';
+import { canEncodeJxl } from '../../src/utils/jxl.js';
+
+const bin = fileURLToPath(new URL('../../src/bin.js', import.meta.url));
+
+/**
+ * Run the command line in a project directory
+ * @param {string} cwd - Working directory
+ * @param {string[]} args - Command line arguments
+ * @return {{status: number, stdout: string, stderr: string}} - Exit code and output
+ */
+function run(cwd, args) {
+  return spawnSync(process.execPath, [bin, ...args], { cwd, encoding: 'utf8', timeout: 60000 });
+}
+
+describe('Command line', () => {
+  let project;
+  const cacheDir = () => path.join(project, 'cache');
+
+  before(async () => {
+    project = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-images-cli-'));
+    fs.mkdirSync(path.join(project, 'src/images'), { recursive: true });
+    for (const [name, background] of [
+      ['hero.jpg', '#aa3300'],
+      ['bg.jpg', '#0033aa']
+    ]) {
+      await sharp({ create: { width: 64, height: 32, channels: 3, background } })
+        .jpeg()
+        .toFile(path.join(project, 'src/images', name));
+    }
+    fs.writeFileSync(
+      path.join(project, 'metalsmith.json'),
+      JSON.stringify({
+        source: 'src',
+        plugins: [{ 'metalsmith-optimize-images': { widths: [16, 32], formats: ['webp'], cache: 'cache' } }]
+      })
+    );
+  });
+
+  after(() => {
+    fs.rmSync(project, { recursive: true, force: true });
+  });
+
+  it('should show usage', () => {
+    const help = run(project, ['--help']);
+    assert.strictEqual(help.status, 0);
+    assert.match(help.stdout, /warm \[glob\.\.\.\]/);
+
+    const unknown = run(project, ['bake']);
+    assert.strictEqual(unknown.status, 2);
+    assert.match(unknown.stderr, /Unknown command "bake"/);
+  });
+
+  it('should report missing variants before the cache is warmed', () => {
+    const status = run(project, ['status']);
+
+    assert.strictEqual(status.status, 1, 'status should fail while variants are missing');
+    assert.match(status.stdout, /images\/hero\.jpg\n {2}html: 0 of 2 cached, 2 missing\n/);
+    assert.doesNotMatch(status.stdout, /background:/);
+    assert.match(status.stdout, /2 source image\(s\): 4 variant\(s\) missing or stale, 0 orphaned file\(s\)/);
+
+    const both = run(project, ['status', '--html', '--background']);
+    assert.match(
+      both.stdout,
+      /images\/hero\.jpg\n {2}html: 0 of 2 cached, 2 missing\n {2}background: 0 of 2 cached, 2 missing/
+    );
+    assert.match(both.stdout, /2 source image\(s\): 8 variant\(s\) missing or stale, 0 orphaned file\(s\)/);
+  });
+
+  it('should warm HTML variants of matching images with the options from metalsmith.json', () => {
+    const warm = run(project, ['warm', 'images/hero.jpg']);
+
+    assert.strictEqual(warm.status, 0, warm.stderr);
+    assert.match(warm.stdout, /Warmed 1 source image\(s\), encoding 2 variant\(s\)/);
+    assert.deepStrictEqual(
+      fs.readdirSync(cacheDir()).map((file) => file.replace(/-[a-f0-9]{8}\./, '-HASH.')),
+      [CACHE_INDEX_FILE, 'hero-16w-HASH.webp', 'hero-32w-HASH.webp']
+    );
+
+    const again = run(project, ['warm', 'images/hero.jpg']);
+    assert.match(again.stdout, /encoding 0 variant\(s\)/);
+  });
+
+  it('should pass status and verify once everything is warm', () => {
+    assert.strictEqual(run(project, ['warm', '--html', '--background']).status, 0);
+
+    const status = run(project, ['status', '--html', '--background']);
+    assert.strictEqual(status.status, 0, status.stdout);
+    assert.match(status.stdout, /0 variant\(s\) missing or stale/);
+    assert.ok(fs.existsSync(path.join(cacheDir(), CACHE_INDEX_FILE)), 'background entries are indexed');
+
+    // Files that are not variants are left alone; interrupted writes are reported
+    fs.writeFileSync(path.join(cacheDir(), '.gitkeep'), '');
+    fs.writeFileSync(path.join(cacheDir(), '.hero-16w.webp.4242.0badf00d.tmp'), 'partial');
+    const verify = run(project, ['verify']);
+    assert.strictEqual(verify.status, 0, verify.stderr);
+    assert.match(verify.stdout, /1 interrupted write\(s\) left behind: \.hero-16w\.webp\.4242\.0badf00d\.tmp/);
+    assert.match(verify.stdout, /Verified 8 cached file\(s\): all intact/);
+    fs.rmSync(path.join(cacheDir(), '.gitkeep'));
+    fs.rmSync(path.join(cacheDir(), '.hero-16w.webp.4242.0badf00d.tmp'));
+  });
+
+  it('should read options from a config module', () => {
+    fs.writeFileSync(
+      path.join(project, 'changed.config.mjs'),
+      "export default { widths: [16, 32], formats: ['webp'], formatOptions: { webp: { quality: 40 } }, cache: 'cache' };\n"
+    );
+
+    const status = run(project, ['status', '--config', 'changed.config.mjs', '--html']);
+    assert.strictEqual(status.status, 1);
+    assert.match(status.stdout, /html: 0 of 2 cached, 2 stale/);
+  });
+
+  it('should warn when the config asks for jxl that cannot be encoded', { skip: canEncodeJxl() }, () => {
+    fs.writeFileSync(
+      path.join(project, 'jxl.config.json'),
+      JSON.stringify({ widths: [16, 32], formats: ['jxl', 'webp'], cache: 'cache' })
+    );
+
+    const status = run(project, ['status', '--config', 'jxl.config.json']);
+    assert.match(status.stderr, /cannot encode JPEG XL; jxl variants are skipped/);
+    fs.rmSync(path.join(project, 'jxl.config.json'));
+  });
+
+  it('should explain a missing or unusable config', () => {
+    const empty = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-images-cli-empty-'));
+    try {
+      assert.match(run(empty, ['status']).stderr, /No config file found/);
+
+      fs.writeFileSync(path.join(empty, 'metalsmith-optimize-images.config.json'), '{ "widths": [16] }');
+      assert.match(run(empty, ['verify']).stderr, /does not enable the cache option/);
+    } finally {
+      fs.rmSync(empty, { recursive: true, force: true });
+    }
+  });
+
+  it('should prune using the files the last build recorded', () => {
+    const indexPath = path.join(cacheDir(), CACHE_INDEX_FILE);
+    const refused = run(project, ['prune']);
+    assert.strictEqual(refused.status, 1);
+    assert.match(refused.stderr, /Run a build with the cache enabled first/);
+
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    const keep = fs.readdirSync(cacheDir()).filter((file) => file.startsWith('bg-'));
+    fs.writeFileSync(indexPath, JSON.stringify({ ...index, live: keep }));
+
+    const dryRun = run(project, ['prune', '--dry-run']);
+    assert.match(dryRun.stdout, /Would remove 4 orphaned file\(s\)/);
+    assert.strictEqual(fs.readdirSync(cacheDir()).length, 9);
+
+    assert.strictEqual(run(project, ['prune', 'cache']).status, 0);
+    assert.deepStrictEqual(fs.readdirSync(cacheDir()).sort(), [CACHE_INDEX_FILE, ...keep].sort());
+  });
+});
@@ -283,38 +283,18 @@ describe('Coverage gap tests - targeting missing lines', () => {
   });
 
   describe('Configuration edge cases', () => {
-    it('should handle empty formats array', (_t, done) => {
-      const metalsmith = Metalsmith(fixturesDir).clean(true).source('src').destination(buildDir);
-
-      metalsmith
-        .use(
-          optimizeImages({
-            widths: [300],
-            formats: [], // Empty formats array
-            isProgressive: false
-          })
-        )
-        .build((err) => {
-          assert.strictEqual(err, null);
-          done();
-        });
+    it('should reject an empty formats array', () => {
+      assert.throws(
+        () => optimizeImages({ widths: [300], formats: [], isProgressive: false }),
+        /formats must be a non-empty array of formats/
+      );
     });
 
-    it('should handle empty widths array', (_t, done) => {
-      const metalsmith = Metalsmith(fixturesDir).clean(true).source('src').destination(buildDir);
-
-      metalsmith
-        .use(
-          optimizeImages({
-            widths: [], // Empty widths array
-            formats: ['webp'],
-            isProgressive: false
-          })
-        )
-        .build((err) => {
-          assert.strictEqual(err, null);
-          done();
-        });
+    it('should reject an empty widths array', () => {
+      assert.throws(
+        () => optimizeImages({ widths: [], formats: ['webp'], isProgressive: false }),
+        /widths must be a non-empty array of positive integers/
+      );
     });
   });
 });
@@ -52,11 +52,12 @@ describe('Edge Cases and Error Handling', () => {
   it('should handle mixed data types in arrays', () => {
     const config = buildConfig({
       widths: ['100', 200, '300'], // Mixed strings and numbers
-      formats: ['avif', '', 'webp'] // Including empty string
+      formats: ['avif', 'JPG', 'webp'] // Mixed case and aliases
     });
 
-    assert.deepStrictEqual(config.widths, ['100', 200, '300']);
-    assert.deepStrictEqual(config.formats, ['avif', '', 'webp']);
+    assert.deepStrictEqual(config.widths, [100, 200, 300]);
+    assert.deepStrictEqual(config.formats, ['avif', 'jpeg', 'webp']);
+    assert.throws(() => buildConfig({ formats: ['avif', '', 'webp'] }), /formats\[1\] must be one of/);
   });
 
   it('should preserve object references correctly', () => {
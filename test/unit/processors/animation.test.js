@@ -0,0 +1,175 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import * as cheerio from 'cheerio';
+import sharp from 'sharp';
+import { processImageToVariants } from '../../../src/processors/imageProcessor.js';
+import { generateMetadata, processHtmlFile } from '../../../src/processors/htmlProcessor.js';
+import { loadCacheIndex } from '../../../src/utils/cacheIndex.js';
+import { buildConfig } from '../../../src/utils/config.js';
+
+const debug = () => {};
+
+/**
+ * Build a three-frame 40x30 animated GIF
+ * @return {Promise<Buffer>} - GIF contents
+ */
+async function animatedGif() {
+  const frames = await Promise.all(
+    ['#ff0000', '#00ff00', '#0000ff'].map((background) =>
+      sharp({ create: { width: 40, height: 30, channels: 3, background } })
+        .png()
+        .toBuffer()
+    )
+  );
+  return sharp(frames, { join: { animated: true } })
+    .gif({ delay: 100 })
+    .toBuffer();
+}
+
+describe('animated sources', () => {
+  let gif;
+  let cacheDir;
+
+  before(async () => {
+    gif = await animatedGif();
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-images-animation-'));
+  });
+
+  after(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Run one HTML page with the GIF through processHtmlFile
+   * @param {string} imgAttributes - Extra attributes of the img tag
+   * @param {Object} [options] - Plugin options
+   * @return {Promise<{$: Object, manifest: Object}>} - Rewritten page and manifest
+   */
+  async function build(imgAttributes, options = {}) {
+    const html = `<html><head></head><body><img src="/images/spinner.gif" ${imgAttributes}></body></html>`;
+    const files = {
+      'index.html': { contents: Buffer.from(html) },
+      'images/spinner.gif': { contents: gif, mtime: 1 }
+    };
+    const config = buildConfig({ widths: [20], formats: ['avif', 'webp', 'original'], ...options });
+    const processedImages = new Map();
+    await processHtmlFile(
+      'index.html',
+      files['index.html'],
+      files,
+      { debug: () => () => {} },
+      processedImages,
+      debug,
+      config,
+      cacheDir,
+      null
+    );
+    generateMetadata(processedImages, files, config);
+    return {
+      $: cheerio.load(files['index.html'].contents.toString()),
+      manifest: JSON.parse(files['assets/images/responsive/responsive-images-manifest.json'].contents.toString())
+    };
+  }
+
+  it('should keep every frame in WebP variants', async () => {
+    const config = buildConfig({ widths: [20], formats: ['avif', 'webp', 'original'] });
+
+    const variants = await processImageToVariants(gif, 'images/spinner.gif', debug, config);
+
+    assert.deepStrictEqual(
+      variants.map((v) => v.format),
+      ['webp']
+    );
+    const [variant] = variants;
+    assert.strictEqual(variant.animated, true);
+    assert.strictEqual(variant.frames, 3);
+    // Height is one frame, not the whole strip
+    assert.strictEqual(variant.height, 15);
+    const metadata = await sharp(variant.buffer).metadata();
+    assert.strictEqual(metadata.pages, 3);
+  });
+
+  it('should fall back to the original GIF and record frames in the manifest', async () => {
+    // Twice: the second build is served from the cache
+    for (let run = 0; run < 2; run++) {
+      const { $, manifest } = await build('alt="Loading"');
+
+      assert.strictEqual($('picture source').length, 1);
+      assert.strictEqual($('picture source').attr('type'), 'image/webp');
+      assert.strictEqual($('picture img').attr('src'), '/images/spinner.gif');
+      assert.deepStrictEqual(
+        manifest['images/spinner.gif'].map(({ format, animated, frames }) => ({ format, animated, frames })),
+        [{ format: 'webp', animated: true, frames: 3 }]
+      );
+    }
+  });
+
+  it('should encode a still in every format with data-static', async () => {
+    const animated = await build('');
+    // Tiny stills are smaller as GIF, which would drop the other formats
+    const { $, manifest } = await build('data-static', { oversizedVariants: 'keep' });
+
+    assert.strictEqual($('picture img').attr('data-static'), undefined);
+    const entries = manifest['images/spinner.gif'];
+    assert.deepStrictEqual(
+      entries.map(({ format }) => format),
+      ['avif', 'webp', 'gif']
+    );
+    for (const entry of entries) {
+      assert.strictEqual(entry.animated, false);
+      assert.strictEqual(entry.frames, 1);
+    }
+    // The still WebP does not overwrite the animated one
+    const animatedWebp = animated.manifest['images/spinner.gif'][0].path;
+    assert.ok(!entries.some((entry) => entry.path === animatedWebp));
+  });
+
+  it('should leave sources with more frames than animation.maxFrames alone', async () => {
+    const { $ } = await build('', { animation: { maxFrames: 2 } });
+
+    assert.strictEqual($('picture').length, 0);
+    assert.strictEqual($('img').attr('src'), '/images/spinner.gif');
+  });
+
+  it('should drop animated variants over animation.maxSize', async () => {
+    const config = buildConfig({ widths: [20, 40], formats: ['webp'], animation: { maxSize: 1 } });
+
+    const variants = await processImageToVariants(gif, 'images/spinner.gif', debug, config);
+
+    assert.deepStrictEqual(variants, []);
+  });
+
+  it('should record capped variants in the cache index instead of writing them', async () => {
+    const options = { widths: [20, 40], formats: ['webp'] };
+    const uncapped = await processImageToVariants(gif, 'images/spinner.gif', debug, buildConfig(options));
+    const [small, large] = [...uncapped].sort((a, b) => a.size - b.size);
+    const config = buildConfig({ ...options, animation: { maxSize: Math.floor((small.size + large.size) / 2) } });
+    const capDir = fs.mkdtempSync(path.join(cacheDir, 'capped-'));
+    const cacheIndex = loadCacheIndex(capDir, debug);
+    const run = () => processImageToVariants(gif, 'images/spinner.gif', debug, config, capDir, undefined, cacheIndex);
+
+    const cold = await run();
+    const files = fs.readdirSync(capDir).sort();
+
+    assert.deepStrictEqual(
+      cold.map((v) => v.width),
+      [small.width]
+    );
+    assert.deepStrictEqual(files, [path.basename(cold[0].path)]);
+    const omitted = Object.entries(cacheIndex.variants).filter(([, record]) => record.omitted);
+    assert.deepStrictEqual(
+      omitted.map(([, record]) => record.width),
+      [large.width]
+    );
+
+    const warm = await run();
+    assert.deepStrictEqual(
+      warm.map((v) => [v.path, v.cached]),
+      [[cold[0].path, true]]
+    );
+    assert.deepStrictEqual(fs.readdirSync(capDir).sort(), files, 'a warm build writes nothing');
+  });
+});
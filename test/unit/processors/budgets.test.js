@@ -0,0 +1,92 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import Metalsmith from 'metalsmith';
+import optimizeImages from '../../../src/index.js';
+import { processHtmlFile } from '../../../src/processors/htmlProcessor.js';
+import { buildConfig } from '../../../src/utils/config.js';
+
+describe('byte-size budgets', () => {
+  const options = { widths: [32, 64], formats: ['webp', 'original'] };
+  let directory;
+  let files;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-images-budgets-'));
+    const photo = await sharp({
+      create: { width: 64, height: 48, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+    })
+      .jpeg()
+      .toBuffer();
+    files = {
+      'index.html': { contents: Buffer.from('<img src="/images/photo.jpg" alt="">') },
+      'about.html': { contents: Buffer.from('<img src="/images/photo.jpg" sizes="10px" alt="">') },
+      'images/photo.jpg': { contents: photo, mtime: 1 }
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Run the plugin over the in-memory files
+   * @param {Object} pluginOptions - Plugin options
+   * @return {Promise<Error|undefined>} - The error passed to done, if any
+   */
+  const run = (pluginOptions) =>
+    new Promise((resolve) => {
+      optimizeImages(pluginOptions)(files, Metalsmith(directory), resolve);
+    });
+
+  it('should record the images each page uses', async () => {
+    const config = buildConfig(options);
+    const stats = { resolved: new Set(), missed: new Set(), deduplicated: new Map(), pages: new Map() };
+    const metalsmith = Metalsmith(directory);
+
+    for (const page of ['index.html', 'about.html']) {
+      await processHtmlFile(page, files[page], files, metalsmith, new Map(), () => {}, config, null, null, stats);
+    }
+
+    const [image] = stats.pages.get('about.html');
+    assert.strictEqual(image.src, 'images/photo.jpg');
+    assert.strictEqual(image.sizes, '10px');
+    assert.deepStrictEqual(image.formats, ['webp', 'original']);
+    assert.strictEqual(image.variants.length, 4);
+  });
+
+  it('should fail the build through done with severity error', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const err = await run({ ...options, budgets: { variant: { jpeg: 1 }, severity: 'error' } });
+
+    assert.ok(err instanceof Error);
+    assert.match(err.message, /2 image budget\(s\) exceeded/);
+    assert.match(
+      err.message,
+      /photo-32w-[0-9a-f]+\.jpg \(images\/photo\.jpg, jpeg\) .* used on about\.html, index\.html/
+    );
+  });
+
+  it('should only warn by default, naming the page over budget', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    const err = await run({ ...options, budgets: { page: 1 } });
+    assert.strictEqual(err, undefined);
+
+    const messages = warn.mock.calls.map((call) => call.arguments[0]).join('\n');
+    assert.match(messages, /index\.html loads .* of images, over the 1 B page budget: images\/photo\.jpg/);
+    assert.match(messages, /about\.html loads/);
+  });
+
+  it('should leave builds within budget alone', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    const err = await run({ ...options, budgets: { variant: { webp: 1024 * 1024 }, page: 1024 * 1024 } });
+
+    assert.strictEqual(err, undefined);
+    assert.strictEqual(warn.mock.callCount(), 0);
+  });
+});
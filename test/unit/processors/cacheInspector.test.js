@@ -0,0 +1,151 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import {
+  inspectSources,
+  listCacheFiles,
+  listInterruptedWrites,
+  verifyCacheFiles
+} from '../../../src/processors/cacheInspector.js';
+import { processImageToVariants } from '../../../src/processors/imageProcessor.js';
+import { processBackgroundImageVariants } from '../../../src/processors/backgroundProcessor.js';
+import { CACHE_INDEX_FILE, loadCacheIndex } from '../../../src/utils/cacheIndex.js';
+import { buildConfig } from '../../../src/utils/config.js';
+import { createTaskQueue } from '../../../src/utils/queue.js';
+
+describe('Cache inspector', () => {
+  const debug = () => {};
+  const options = { widths: [16, 32], formats: ['webp', 'original'], cache: 'cache' };
+  let cacheDir;
+  let source;
+
+  beforeEach(async () => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-images-inspect-'));
+    const buffer = await sharp({ create: { width: 64, height: 32, channels: 3, background: '#336699' } })
+      .jpeg()
+      .toBuffer();
+    source = { path: 'images/hero.jpg', backgroundKey: 'hero.jpg', buffer };
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should report every variant missing for an empty cache', async () => {
+    const config = buildConfig(options);
+    const report = await inspectSources(
+      [source],
+      { config, cacheDir, cacheIndex: loadCacheIndex(cacheDir, debug) },
+      {
+        html: true,
+        background: true
+      }
+    );
+
+    assert.strictEqual(report.sources[0].html.missing.length, 4);
+    assert.strictEqual(report.sources[0].background.missing.length, 4);
+    assert.deepStrictEqual(report.unattributed, []);
+  });
+
+  it('should report stale and orphaned variants after a settings change', async () => {
+    const config = buildConfig(options);
+    const cacheIndex = loadCacheIndex(cacheDir, debug);
+    await processImageToVariants(source.buffer, source.path, debug, config, cacheDir);
+    await processBackgroundImageVariants(
+      source.buffer,
+      source.backgroundKey,
+      debug,
+      config,
+      cacheDir,
+      undefined,
+      cacheIndex
+    );
+    fs.writeFileSync(path.join(cacheDir, 'unrelated-16w-abcdef12.webp'), '');
+
+    const current = await inspectSources([source], { config, cacheDir, cacheIndex }, { html: true, background: true });
+    assert.deepStrictEqual(current.sources[0].html.missing.concat(current.sources[0].html.stale), []);
+    assert.deepStrictEqual(current.sources[0].background.stale, []);
+    assert.deepStrictEqual(current.unattributed, ['unrelated-16w-abcdef12.webp']);
+
+    const changed = buildConfig({ ...options, formatOptions: { webp: { quality: 40 } } });
+    const report = await inspectSources(
+      [source],
+      { config: changed, cacheDir, cacheIndex },
+      { html: true, background: true }
+    );
+    const [hero] = report.sources;
+
+    assert.strictEqual(hero.html.stale.length, 2, 'WebP variants under the old hash are stale');
+    assert.strictEqual(hero.html.missing.length, 0);
+    assert.strictEqual(hero.background.reason, 'settings changed');
+    assert.strictEqual(hero.background.stale.length, 4);
+    assert.strictEqual(hero.orphaned.length, 2, 'the old WebP files are orphans');
+    assert.ok(hero.orphaned.every((file) => file.endsWith('.webp')));
+  });
+
+  it('should not count files the last build used as orphans', async () => {
+    const config = buildConfig(options);
+    fs.writeFileSync(path.join(cacheDir, 'hero-wide-16w-abcdef12.webp'), '');
+    const cacheIndex = { entries: {}, live: ['hero-wide-16w-abcdef12.webp'], dirty: false };
+
+    const report = await inspectSources([source], { config, cacheDir, cacheIndex }, { html: true, background: false });
+    assert.deepStrictEqual(report.sources[0].orphaned, []);
+    assert.deepStrictEqual(report.unattributed, []);
+    assert.strictEqual(report.sources[0].background, undefined);
+  });
+
+  it('should verify cached files decode and match their names', async () => {
+    const config = buildConfig(options);
+    const cacheIndex = loadCacheIndex(cacheDir, debug);
+    await processBackgroundImageVariants(
+      source.buffer,
+      source.backgroundKey,
+      debug,
+      config,
+      cacheDir,
+      undefined,
+      cacheIndex
+    );
+    const queue = createTaskQueue(1);
+
+    fs.writeFileSync(path.join(cacheDir, '.gitkeep'), '');
+    fs.writeFileSync(path.join(cacheDir, 'README.md'), 'Generated variants');
+    fs.writeFileSync(path.join(cacheDir, '.hero-64w.webp.4242.0badf00d.tmp'), 'partial');
+    assert.deepStrictEqual(await verifyCacheFiles({ config, cacheDir, cacheIndex }, queue), {
+      checked: 4,
+      problems: [],
+      interrupted: ['.hero-64w.webp.4242.0badf00d.tmp']
+    });
+
+    const webp = fs.readFileSync(path.join(cacheDir, 'hero-64w.webp'));
+    fs.writeFileSync(path.join(cacheDir, 'hero-64w.webp'), webp.subarray(0, 40));
+    fs.renameSync(path.join(cacheDir, 'hero-32w.jpeg'), path.join(cacheDir, 'hero-32w.png'));
+    fs.writeFileSync(path.join(cacheDir, 'hero-48w.webp'), fs.readFileSync(path.join(cacheDir, 'hero-32w.webp')));
+
+    const { problems } = await verifyCacheFiles({ config, cacheDir, cacheIndex }, queue);
+    assert.deepStrictEqual(
+      problems.map(({ file }) => file),
+      ['hero-32w.jpeg', 'hero-32w.png', 'hero-48w.webp', 'hero-64w.webp']
+    );
+    assert.match(problems[0].problem, /listed in the cache index for hero.jpg but missing/);
+    assert.match(problems[1].problem, /contains jpeg, not png/);
+    assert.match(problems[2].problem, /is 32px wide, not 48px/);
+    assert.match(problems[3].problem, /does not decode/);
+  });
+
+  it('should list variant files without the index or other files', () => {
+    const config = buildConfig(options);
+    fs.writeFileSync(path.join(cacheDir, CACHE_INDEX_FILE), '{}');
+    fs.writeFileSync(path.join(cacheDir, 'b-16w.webp'), '');
+    fs.writeFileSync(path.join(cacheDir, 'a-16w-abcdef12.webp'), '');
+    fs.writeFileSync(path.join(cacheDir, '.gitkeep'), '');
+    fs.writeFileSync(path.join(cacheDir, '.a-16w-abcdef12.webp.4242.0badf00d.tmp'), '');
+
+    assert.deepStrictEqual(listCacheFiles(cacheDir, config), ['a-16w-abcdef12.webp', 'b-16w.webp']);
+    assert.deepStrictEqual(listInterruptedWrites(cacheDir), ['.a-16w-abcdef12.webp.4242.0badf00d.tmp']);
+    assert.deepStrictEqual(listCacheFiles(path.join(cacheDir, 'absent'), config), []);
+  });
+});
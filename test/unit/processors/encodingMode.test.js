@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import sharp from 'sharp';
+import { processImageToVariants } from '../../../src/processors/imageProcessor.js';
+import { buildConfig } from '../../../src/utils/config.js';
+
+const debug = () => {};
+
+/**
+ * A two-colour diagram: a bar chart on white
+ * @return {Promise<Buffer>} - PNG contents
+ */
+function diagram() {
+  const bars = [40, 90, 60, 120]
+    .map((h, i) => `<rect x="${20 + i * 50}" y="${140 - h}" width="30" height="${h}" fill="#e53935"/>`)
+    .join('');
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="240" height="160"><rect width="240" height="160" fill="#ffffff"/>${bars}</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+describe('processImageToVariants encoding modes', () => {
+  it('should encode lossless WebP that decodes to the resized source', async () => {
+    const source = await diagram();
+    const config = buildConfig({ widths: [120], formats: ['webp', 'original'], mode: 'lossless' });
+
+    const variants = await processImageToVariants(source, 'images/chart.png', debug, config);
+
+    assert.deepStrictEqual(
+      variants.map((v) => [v.format, v.mode]),
+      [
+        ['webp', 'lossless'],
+        ['png', 'lossless']
+      ]
+    );
+    const webp = variants.find((v) => v.format === 'webp');
+    const expected = await sharp(source).resize(120).removeAlpha().raw().toBuffer();
+    const actual = await sharp(webp.buffer).removeAlpha().raw().toBuffer();
+    assert.ok(expected.equals(actual), 'lossless WebP should match pixel for pixel');
+  });
+
+  it('should pick lossless for graphics and photo for photos in auto mode', async () => {
+    const photo = await sharp({
+      create: { width: 160, height: 120, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+    })
+      .jpeg()
+      .toBuffer();
+    const config = buildConfig({ widths: [80], formats: ['webp'], mode: 'auto' });
+
+    const [graphic] = await processImageToVariants(await diagram(), 'images/chart.png', debug, config);
+    const [picture] = await processImageToVariants(photo, 'images/photo.jpg', debug, config);
+    const [lossy] = await processImageToVariants(
+      photo,
+      'images/photo.jpg',
+      debug,
+      buildConfig({ widths: [80], formats: ['webp'] })
+    );
+
+    assert.strictEqual(graphic.mode, 'lossless');
+    assert.strictEqual(picture.mode, 'photo');
+    // Photos classified automatically share the files of the photo mode
+    assert.strictEqual(picture.path, lossy.path);
+  });
+
+  it('should name variants of different modes apart', async () => {
+    const source = await diagram();
+    const paths = await Promise.all(
+      ['photo', 'lossless', 'near-lossless'].map(async (mode) => {
+        const [variant] = await processImageToVariants(
+          source,
+          'images/chart.png',
+          debug,
+          buildConfig({ widths: [120], formats: ['webp'], mode })
+        );
+        return variant.path;
+      })
+    );
+
+    assert.strictEqual(new Set(paths).size, 3);
+  });
+});
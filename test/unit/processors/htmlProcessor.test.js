@@ -1,7 +1,16 @@
 import { describe, it, beforeEach } from 'node:test';
 import assert from 'node:assert';
 import * as cheerio from 'cheerio';
-import { replacePictureElement, generateMetadata } from '../../../src/processors/htmlProcessor.js';
+import path from 'node:path';
+import fs from 'node:fs';
+import os from 'node:os';
+import sharp from 'sharp';
+import { fileURLToPath } from 'node:url';
+import { replacePictureElement, generateMetadata, processHtmlFile } from '../../../src/processors/htmlProcessor.js';
+import { buildConfig } from '../../../src/utils/config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const workImage = path.join(__dirname, '../../fixtures/src/images/work.jpg');
 
 describe('HTML processing utilities', () => {
   describe('replacePictureElement', () => {
@@ -87,6 +96,22 @@ describe('HTML processing utilities', () => {
       assert.strictEqual($newImg.attr('height'), '400');
     });
 
+    it('should order JPEG XL sources by config.formats with the image/jxl type', () => {
+      const variants = ['webp', 'jxl', 'jpeg', 'avif'].map((format) => ({
+        format,
+        width: 300,
+        height: 200,
+        path: `assets/responsive/test-300.${format}`
+      }));
+
+      replacePictureElement($, $img, variants, { ...config, formats: ['jxl', 'avif', 'webp', 'original'] });
+
+      const types = $('picture source')
+        .map((_, source) => $(source).attr('type'))
+        .get();
+      assert.deepStrictEqual(types, ['image/jxl', 'image/avif', 'image/webp', 'image/jpeg']);
+    });
+
     it('should handle empty variants array', () => {
       // This should not throw and should not modify the img
       replacePictureElement($, $img, [], config);
@@ -185,6 +210,175 @@ describe('HTML processing utilities', () => {
       const $source = $('picture source');
       assert.strictEqual($source.attr('sizes'), '(max-width: 600px) 90vw, 60vw');
     });
+
+    it('should prepend auto to sizes for lazy images when autoSizes is on', () => {
+      config.autoSizes = true;
+
+      replacePictureElement($, $img, [{ format: 'webp', width: 300, height: 200, path: 'r/t-300.webp' }], config);
+
+      assert.strictEqual($('picture source').attr('sizes'), `auto, ${config.sizes}`);
+      assert.strictEqual($('picture img').attr('loading'), 'lazy');
+    });
+
+    it('should write density descriptors without sizes for fixed-size images', () => {
+      $ = cheerio.load('<img src="logo.png" width="120" data-density alt="Logo">');
+      $img = $('img');
+
+      const variants = [
+        { format: 'webp', width: 240, height: 80, path: 'r/logo-240.webp', density: '2x' },
+        { format: 'webp', width: 120, height: 40, path: 'r/logo-120.webp', density: '1x' },
+        { format: 'png', width: 120, height: 40, path: 'r/logo-120.png', density: '1x' },
+        { format: 'png', width: 240, height: 80, path: 'r/logo-240.png', density: '2x' }
+      ];
+
+      replacePictureElement($, $img, variants, config);
+
+      const $webp = $('picture source[type="image/webp"]');
+      assert.strictEqual($webp.attr('srcset'), '/r/logo-120.webp 1x, /r/logo-240.webp 2x');
+      assert.strictEqual($webp.attr('sizes'), undefined);
+      assert.strictEqual(
+        $('picture source[type="image/png"]').attr('srcset'),
+        '/r/logo-120.png 1x, /r/logo-240.png 2x'
+      );
+
+      // The displayed width is kept, not replaced by the largest variant
+      const $newImg = $('picture img');
+      assert.strictEqual($newImg.attr('width'), '120');
+      assert.strictEqual($newImg.attr('height'), '40');
+      assert.strictEqual($newImg.attr('data-density'), undefined);
+    });
+
+    it('should emit art-directed sources with media ahead of the defaults', () => {
+      $img.attr('data-art-direction', 'hero');
+
+      const variants = [
+        { format: 'webp', width: 600, height: 400, path: 'assets/responsive/test-600.webp' },
+        { format: 'jpeg', width: 600, height: 400, path: 'assets/responsive/test-600.jpg' },
+        {
+          format: 'webp',
+          width: 300,
+          height: 300,
+          path: 'assets/responsive/test-1x1-300.webp',
+          media: '(max-width: 600px)',
+          sizes: '100vw'
+        },
+        {
+          format: 'jpeg',
+          width: 300,
+          height: 300,
+          path: 'assets/responsive/test-1x1-300.jpg',
+          media: '(max-width: 600px)',
+          sizes: '100vw'
+        }
+      ];
+
+      replacePictureElement($, $img, variants, config);
+
+      const $sources = $('picture source');
+      assert.strictEqual($sources.length, 4);
+
+      // Breakpoint sources come first, webp before the original format
+      assert.strictEqual($sources.eq(0).attr('media'), '(max-width: 600px)');
+      assert.strictEqual($sources.eq(0).attr('type'), 'image/webp');
+      assert.strictEqual($sources.eq(0).attr('sizes'), '100vw');
+      assert.strictEqual($sources.eq(1).attr('media'), '(max-width: 600px)');
+      assert.strictEqual($sources.eq(1).attr('type'), 'image/jpeg');
+      assert.ok($sources.eq(1).attr('srcset').includes('test-1x1-300.jpg 300w'));
+
+      // Default sources have no media and use the default sizes
+      assert.strictEqual($sources.eq(2).attr('media'), undefined);
+      assert.strictEqual($sources.eq(2).attr('sizes'), config.sizes);
+
+      // Fallback img keeps uncropped dimensions and drops the selector attribute
+      const $newImg = $('picture img');
+      assert.strictEqual($newImg.attr('width'), '600');
+      assert.strictEqual($newImg.attr('height'), '400');
+      assert.strictEqual($newImg.attr('data-art-direction'), undefined);
+    });
+  });
+
+  describe('processHtmlFile presets', () => {
+    it('should apply preset options and record the preset in the manifest', async () => {
+      const html = '<html><head></head><body><img src="/images/work.jpg" data-preset="gallery"></body></html>';
+      const files = {
+        'index.html': { contents: Buffer.from(html) },
+        'images/work.jpg': { contents: fs.readFileSync(workImage), mtime: 1 }
+      };
+      const config = buildConfig({
+        formats: ['webp', 'original'],
+        presets: { gallery: { widths: [120], isProgressive: true, placeholder: { width: 20 } } }
+      });
+      const processedImages = new Map();
+      const metalsmith = { debug: () => () => {} };
+
+      await processHtmlFile(
+        'index.html',
+        files['index.html'],
+        files,
+        metalsmith,
+        processedImages,
+        () => {},
+        config,
+        null,
+        null
+      );
+
+      // The preset switched this image to progressive loading
+      const $ = cheerio.load(files['index.html'].contents.toString());
+      assert.strictEqual($('.js-progressive-image-wrapper').length, 1);
+      assert.strictEqual($('#progressive-image-loader').length, 1);
+
+      generateMetadata(processedImages, files, config);
+      const manifest = JSON.parse(
+        files['assets/images/responsive/responsive-images-manifest.json'].contents.toString()
+      );
+      assert.ok(manifest['images/work.jpg'].every((entry) => entry.preset === 'gallery' && entry.width === 120));
+    });
+  });
+
+  describe('processHtmlFile colour spaces', () => {
+    it('should record the output colour space in the manifest on cold and warm builds', async () => {
+      const p3Source = await sharp({ create: { width: 64, height: 48, channels: 3, background: '#ff0000' } })
+        .withIccProfile('p3')
+        .jpeg()
+        .toBuffer();
+      const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-images-colour-'));
+      const build = async (options) => {
+        const html = '<html><head></head><body><img src="/images/wide.jpg"></body></html>';
+        const files = {
+          'index.html': { contents: Buffer.from(html) },
+          'images/wide.jpg': { contents: p3Source, mtime: 1 }
+        };
+        const config = buildConfig({ widths: [32], formats: ['webp', 'original'], ...options });
+        const processedImages = new Map();
+        await processHtmlFile(
+          'index.html',
+          files['index.html'],
+          files,
+          { debug: () => () => {} },
+          processedImages,
+          () => {},
+          config,
+          cacheDir,
+          null
+        );
+        generateMetadata(processedImages, files, config);
+        const manifest = JSON.parse(
+          files['assets/images/responsive/responsive-images-manifest.json'].contents.toString()
+        );
+        return manifest['images/wide.jpg'].map((entry) => entry.colorSpace);
+      };
+
+      try {
+        assert.deepStrictEqual(await build({}), ['srgb', 'srgb']);
+        assert.deepStrictEqual(await build({ colorSpace: 'p3' }), ['p3', 'p3']);
+        // The second build is served from the cache
+        assert.deepStrictEqual(await build({ colorSpace: 'preserve' }), ['sP3C', 'sP3C']);
+        assert.deepStrictEqual(await build({ colorSpace: 'preserve' }), ['sP3C', 'sP3C']);
+      } finally {
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+      }
+    });
   });
 
   describe('generateMetadata', () => {
@@ -257,6 +451,35 @@ describe('HTML processing utilities', () => {
       assert.strictEqual(metadata['image2.png'][0].path, 'assets/responsive/image2-400.webp');
     });
 
+    it('should merge entries for the same source and record media', () => {
+      const processedImages = new Map();
+      const defaultVariant = { path: 'r/hero-300.webp', width: 300, height: 200, format: 'webp', size: 100 };
+
+      processedImages.set('hero.jpg:1', [defaultVariant]);
+      processedImages.set('hero.jpg:1:hero', [
+        defaultVariant,
+        { path: 'r/hero-1x1-300.webp', width: 300, height: 300, format: 'webp', size: 90, media: 'print' }
+      ]);
+
+      const files = {};
+      generateMetadata(processedImages, files, { outputDir: 'r' });
+
+      const metadata = JSON.parse(files['r/responsive-images-manifest.json'].contents.toString());
+      assert.strictEqual(metadata['hero.jpg'].length, 2);
+      assert.strictEqual(metadata['hero.jpg'][0].media, undefined);
+      assert.strictEqual(metadata['hero.jpg'][1].media, 'print');
+    });
+
+    it('should only map image paths to variant arrays', () => {
+      const processedImages = new Map([['hero.jpg:1', []]]);
+
+      const files = {};
+      generateMetadata(processedImages, files, { outputDir: 'r' });
+
+      const metadata = JSON.parse(files['r/responsive-images-manifest.json'].contents.toString());
+      assert.deepStrictEqual(metadata, { 'hero.jpg': [] });
+    });
+
     it('should handle empty processedImages map', () => {
       const processedImages = new Map();
       const files = {};
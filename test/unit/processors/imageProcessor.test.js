@@ -1,6 +1,23 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { processImageToVariants } from '../../../src/processors/imageProcessor.js';
+import path from 'node:path';
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+import * as cheerio from 'cheerio';
+import {
+  processImageToVariants,
+  processArtDirectedVariants,
+  processDensityVariants,
+  processImage,
+  processOnce
+} from '../../../src/processors/imageProcessor.js';
+import { replacePictureElement } from '../../../src/processors/htmlProcessor.js';
+import { buildConfig } from '../../../src/utils/config.js';
+import { createTaskQueue } from '../../../src/utils/queue.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const workImage = path.join(__dirname, '../../fixtures/src/images/work.jpg');
 
 describe('Image Processor', () => {
   describe('processImageToVariants', () => {
@@ -110,5 +127,252 @@ describe('Image Processor', () => {
         assert.strictEqual(typeof error, 'object');
       }
     });
+
+    it('should rename only the variants whose encode settings changed', async () => {
+      const buffer = fs.readFileSync(workImage);
+      const base = {
+        widths: [100],
+        formats: ['webp', 'original'],
+        outputDir: 'r',
+        outputPattern: '[filename]-[width]w-[hash].[format]'
+      };
+      const pathsFor = async (formatOptions) => {
+        const variants = await processImageToVariants(buffer, 'images/work.jpg', () => {}, { ...base, formatOptions });
+        return Object.fromEntries(variants.map((variant) => [variant.format, variant.path]));
+      };
+
+      const before = await pathsFor({ webp: { quality: 80 }, jpeg: { quality: 85 } });
+      const after = await pathsFor({ webp: { quality: 60 }, jpeg: { quality: 85 } });
+
+      assert.notStrictEqual(after.webp, before.webp);
+      assert.strictEqual(after.jpeg, before.jpeg);
+    });
+  });
+
+  describe('processArtDirectedVariants', () => {
+    it('should add cropped variants tagged with their breakpoint', async () => {
+      // work.jpg is 700x467
+      const buffer = fs.readFileSync(workImage);
+      const config = {
+        widths: [200],
+        formats: ['webp'],
+        skipLarger: true,
+        formatOptions: {},
+        outputDir: 'assets/responsive',
+        outputPattern: '[filename]-[width]w-[hash].[format]'
+      };
+      const breakpoints = [
+        {
+          media: '(max-width: 600px)',
+          sizes: '100vw',
+          config: { ...config, widths: [100, 600], crop: { ratio: 1, label: '1x1' } }
+        }
+      ];
+
+      const variants = await processArtDirectedVariants(buffer, 'images/work.jpg', () => {}, config, null, breakpoints);
+
+      const defaults = variants.filter((v) => !v.media);
+      const cropped = variants.filter((v) => v.media);
+
+      assert.strictEqual(defaults.length, 1);
+      assert.strictEqual(defaults[0].height, 133);
+
+      // 600w would need a 600px-tall square crop from a 467px-tall source
+      assert.strictEqual(cropped.length, 1);
+      assert.strictEqual(cropped[0].width, 100);
+      assert.strictEqual(cropped[0].height, 100);
+      assert.strictEqual(cropped[0].sizes, '100vw');
+      assert.ok(cropped[0].path.includes('work-1x1-100w-'));
+    });
+  });
+
+  describe('processDensityVariants', () => {
+    it('should generate one variant per density of the displayed width', async () => {
+      // work.jpg is 700x467, too small for the 3x variant of a 240px display width
+      const config = {
+        formats: ['webp'],
+        skipLarger: true,
+        formatOptions: {},
+        outputDir: 'assets/responsive',
+        outputPattern: '[filename]-[width]w-[hash].[format]'
+      };
+
+      const variants = await processDensityVariants(
+        fs.readFileSync(workImage),
+        'images/work.jpg',
+        () => {},
+        config,
+        null,
+        {
+          width: 240,
+          densities: [1, 2, 3]
+        }
+      );
+
+      assert.deepStrictEqual(
+        variants.map((v) => [v.width, v.density]),
+        [
+          [240, '1x'],
+          [480, '2x']
+        ]
+      );
+    });
+  });
+
+  describe('processImage per-image overrides', () => {
+    it('should process the same source once per effective settings', async () => {
+      const $ = cheerio.load(`
+        <img id="a" src="/images/work.jpg" data-widths="100">
+        <img id="b" src="/images/work.jpg" data-widths="150" data-quality="50">
+        <img id="c" src="/images/work.jpg" data-widths="100" data-sizes="100px">
+      `);
+      const files = { 'images/work.jpg': { contents: fs.readFileSync(workImage), mtime: 1 } };
+      const processedImages = new Map();
+      const config = buildConfig({ formats: ['webp'] });
+      const context = {
+        $,
+        files,
+        metalsmith: {},
+        processedImages,
+        debug: () => {},
+        config,
+        replacePictureElement,
+        cacheDir: null,
+        sourcePrefix: null
+      };
+
+      for (const img of $('img').toArray()) {
+        await processImage({ ...context, img });
+      }
+
+      // a and c share variants (sizes only changes markup), b gets its own
+      assert.strictEqual(processedImages.size, 2);
+
+      const $sources = $('picture source');
+      assert.match($sources.eq(0).attr('srcset'), /work-100w-[a-f0-9]{8}\.webp 100w$/);
+      assert.match($sources.eq(1).attr('srcset'), /work-150w-[a-f0-9]{8}\.webp 150w$/);
+      assert.strictEqual($sources.eq(2).attr('sizes'), '100px');
+
+      // The quality override lands in its own file, not the default-quality one
+      const hashOf = (srcset) => srcset.match(/-([a-f0-9]{8})\.webp/)[1];
+      assert.notStrictEqual(hashOf($sources.eq(0).attr('srcset')), hashOf($sources.eq(1).attr('srcset')));
+      assert.strictEqual($('picture img').eq(1).attr('data-quality'), undefined);
+    });
+
+    it('should drop a failed run from processedImages', async () => {
+      const processedImages = new Map();
+      const run = processOnce(processedImages, 'a.jpg:1', async () => {
+        throw new Error('decode failed');
+      });
+
+      assert.ok(processedImages.get('a.jpg:1') instanceof Promise);
+      await assert.rejects(run, /decode failed/);
+      assert.strictEqual(processedImages.has('a.jpg:1'), false);
+    });
+
+    it('should share in-flight work for concurrent references to the same image', async () => {
+      const $ = cheerio.load(`
+        <img src="/images/work.jpg" data-widths="100">
+        <img src="/images/work.jpg" data-widths="100">
+        <img src="/images/work.jpg" data-widths="100">
+      `);
+      const files = { 'images/work.jpg': { contents: fs.readFileSync(workImage), mtime: 1 } };
+      const processedImages = new Map();
+      const stats = { resolved: new Set(), missed: new Set(), deduplicated: new Map() };
+      const queue = createTaskQueue(1);
+      const context = {
+        $,
+        files,
+        metalsmith: {},
+        processedImages,
+        debug: () => {},
+        config: buildConfig({ formats: ['webp'] }),
+        replacePictureElement,
+        cacheDir: null,
+        sourcePrefix: null,
+        stats,
+        queue
+      };
+
+      await Promise.all(
+        $('img')
+          .toArray()
+          .map((img) => processImage({ ...context, img }))
+      );
+
+      assert.strictEqual(queue.stats().completed, 1);
+      assert.strictEqual(stats.deduplicated.get('images/work.jpg'), 2);
+      assert.strictEqual($('picture').length, 3);
+
+      // Once settled the entry holds the variants, not the promise
+      const [entry] = processedImages.values();
+      assert.ok(Array.isArray(entry));
+    });
+  });
+
+  describe('focal-point cropping', () => {
+    // 200x100: left half red, right half blue
+    const splitImage = () =>
+      sharp({ create: { width: 200, height: 100, channels: 3, background: '#ff0000' } })
+        .composite([
+          {
+            input: { create: { width: 100, height: 100, channels: 3, background: '#0000ff' } },
+            left: 100,
+            top: 0
+          }
+        ])
+        .png()
+        .toBuffer();
+
+    const cropConfig = (crop) => ({
+      widths: [50],
+      formats: ['original'],
+      skipLarger: true,
+      formatOptions: {},
+      outputDir: 'assets/responsive',
+      outputPattern: '[filename]-[width]w-[hash].[format]',
+      crop
+    });
+
+    const dominantChannel = async (buffer) => {
+      const { channels } = await sharp(buffer).stats();
+      return channels[0].mean > channels[2].mean ? 'red' : 'blue';
+    };
+
+    it('should cut the crop around the focal point', async () => {
+      const buffer = await splitImage();
+
+      const [left] = await processImageToVariants(
+        buffer,
+        'split.png',
+        () => {},
+        cropConfig({ ratio: 1, label: '1x1-f0-50', focal: { x: 0, y: 0.5 }, strategy: null })
+      );
+      const [right] = await processImageToVariants(
+        buffer,
+        'split.png',
+        () => {},
+        cropConfig({ ratio: 1, label: '1x1-f100-50', focal: { x: 1, y: 0.5 }, strategy: null })
+      );
+
+      assert.strictEqual(left.width, 50);
+      assert.strictEqual(left.height, 50);
+      assert.deepStrictEqual(left.focal, { x: 0, y: 0.5 });
+      assert.strictEqual(await dominantChannel(left.buffer), 'red');
+      assert.strictEqual(await dominantChannel(right.buffer), 'blue');
+    });
+
+    it('should record the strategy when no focal point is set', async () => {
+      const [variant] = await processImageToVariants(
+        await splitImage(),
+        'split.png',
+        () => {},
+        cropConfig({ ratio: 1, label: '1x1-entropy', focal: null, strategy: 'entropy' })
+      );
+
+      assert.strictEqual(variant.height, 50);
+      assert.strictEqual(variant.focal, 'entropy');
+      assert.ok(variant.path.includes('split-1x1-entropy-50w-'));
+    });
   });
 });
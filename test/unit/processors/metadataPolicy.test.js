@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import sharp from 'sharp';
+import Metalsmith from 'metalsmith';
+import { processImageToVariants } from '../../../src/processors/imageProcessor.js';
+import { processBackgroundImageVariants } from '../../../src/processors/backgroundProcessor.js';
+import { generatePlaceholder } from '../../../src/processors/progressiveProcessor.js';
+import { buildConfig } from '../../../src/utils/config.js';
+import { hasGpsExif, readExifTags } from '../../../src/utils/exif.js';
+
+const debug = () => {};
+
+/**
+ * Collect the EXIF of every image each encode path emits
+ * @param {Buffer} source - Source image
+ * @param {string} policy - metadata option
+ * @return {Promise<Array<{path: string, exif: Buffer|undefined}>>} - EXIF per emitted image
+ */
+async function emittedExif(source, policy) {
+  const config = buildConfig({ widths: [16], formats: ['webp', 'original'], metadata: policy });
+  const variants = [
+    ...(await processImageToVariants(source, 'images/photo.jpg', debug, config)),
+    ...(await processBackgroundImageVariants(source, 'images/photo.jpg', debug, config))
+  ];
+  const placeholder = await generatePlaceholder(
+    'images/photo.jpg',
+    source,
+    config.placeholder,
+    Metalsmith(process.cwd()),
+    config
+  );
+
+  return Promise.all(
+    [...variants.map((variant) => [variant.path, variant.buffer]), [placeholder.path, placeholder.contents]].map(
+      async ([path, buffer]) => ({ path, exif: (await sharp(buffer).metadata()).exif })
+    )
+  );
+}
+
+describe('metadata option', () => {
+  const photo = () =>
+    sharp({ create: { width: 32, height: 24, channels: 3, background: '#4a7' } })
+      .jpeg()
+      .withExif({
+        IFD0: { Copyright: '(c) Jane Doe' },
+        IFD2: { BodySerialNumber: 'SN-123456' },
+        IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '52/1 31/1 0/1' }
+      })
+      .toBuffer();
+
+  it('should strip all EXIF on every encode path by default', async () => {
+    const emitted = await emittedExif(await photo(), 'strip');
+
+    assert.strictEqual(emitted.length, 7);
+    for (const { path, exif } of emitted) {
+      assert.strictEqual(exif, undefined, `${path} should carry no EXIF`);
+    }
+  });
+
+  it('should keep only the copyright on every encode path', async () => {
+    for (const { path, exif } of await emittedExif(await photo(), 'copyright')) {
+      assert.strictEqual(readExifTags(exif).get(0x8298), '(c) Jane Doe', path);
+      assert.strictEqual(hasGpsExif(exif), false, `${path} should carry no GPS`);
+      assert.ok(!exif.includes('SN-123456'), `${path} should carry no camera serial`);
+    }
+  });
+
+  it('should keep everything with all', async () => {
+    for (const { path, exif } of await emittedExif(await photo(), 'all')) {
+      assert.strictEqual(hasGpsExif(exif), true, path);
+    }
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+import * as cheerio from 'cheerio';
+import Metalsmith from 'metalsmith';
+import { processImageToVariants } from '../../../src/processors/imageProcessor.js';
+import { processBackgroundImageVariants } from '../../../src/processors/backgroundProcessor.js';
+import { generatePlaceholder } from '../../../src/processors/progressiveProcessor.js';
+import { replacePictureElement } from '../../../src/processors/htmlProcessor.js';
+import { buildConfig } from '../../../src/utils/config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, '../../fixtures/orientation');
+const orientations = [1, 2, 3, 4, 5, 6, 7, 8];
+const debug = () => {};
+
+/**
+ * Sample the corners of an encoded image
+ * @param {Buffer} buffer - Encoded image
+ * @return {Promise<{width: number, height: number, topLeft: string, topRight: string, bottom: string}>}
+ */
+async function describeOutput(buffer) {
+  const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+  const colour = (x, y) => {
+    const i = (y * info.width + x) * info.channels;
+    return ['red', 'green', 'blue'][
+      [data[i], data[i + 1], data[i + 2]].indexOf(Math.max(data[i], data[i + 1], data[i + 2]))
+    ];
+  };
+  return {
+    width: info.width,
+    height: info.height,
+    topLeft: colour(1, 1),
+    topRight: colour(info.width - 2, 1),
+    bottom: colour(1, info.height - 2)
+  };
+}
+
+describe('EXIF orientation handling', () => {
+  const config = buildConfig({ widths: [24, 48], formats: ['webp', 'original'] });
+  const upright = (width, height) => ({ width, height, topLeft: 'red', topRight: 'green', bottom: 'blue' });
+
+  for (const orientation of orientations) {
+    const file = `orientation-${orientation}.jpg`;
+    const buffer = fs.readFileSync(path.join(fixturesDir, file));
+
+    it(`should turn HTML variants of orientation ${orientation} upright`, async () => {
+      const variants = await processImageToVariants(buffer, `images/${file}`, debug, config);
+
+      assert.strictEqual(variants.length, 4);
+      for (const variant of variants) {
+        assert.deepStrictEqual(await describeOutput(variant.buffer), upright(variant.width, variant.height));
+        assert.strictEqual(variant.height, (variant.width * 2) / 3);
+      }
+
+      const $ = cheerio.load(`<img src="images/${file}" alt="">`);
+      replacePictureElement($, $('img'), variants, config);
+      assert.strictEqual($('img').attr('width'), '48');
+      assert.strictEqual($('img').attr('height'), '32');
+    });
+
+    it(`should turn background variants of orientation ${orientation} upright`, async () => {
+      const variants = await processBackgroundImageVariants(buffer, `images/${file}`, debug, {
+        ...config,
+        formats: ['webp']
+      });
+
+      assert.deepStrictEqual(
+        variants.map((variant) => [variant.density, variant.width, variant.height]),
+        [
+          ['1x', 48, 32],
+          ['2x', 24, 16]
+        ]
+      );
+      assert.deepStrictEqual(await describeOutput(variants[0].buffer), upright(48, 32));
+    });
+
+    it(`should size the placeholder of orientation ${orientation} as displayed`, async () => {
+      const metalsmith = Metalsmith(fixturesDir);
+      const placeholder = await generatePlaceholder(
+        `images/${file}`,
+        buffer,
+        { width: 12, quality: 80, blur: 0.3 },
+        metalsmith
+      );
+
+      assert.strictEqual(placeholder.originalWidth, 48);
+      assert.strictEqual(placeholder.originalHeight, 32);
+      const output = await describeOutput(placeholder.contents);
+      assert.deepStrictEqual([output.width, output.height], [12, 8]);
+    });
+  }
+});
@@ -0,0 +1,167 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import * as cheerio from 'cheerio';
+import sharp from 'sharp';
+import { processImageToVariants } from '../../../src/processors/imageProcessor.js';
+import { processHtmlFile } from '../../../src/processors/htmlProcessor.js';
+import { inspectSources } from '../../../src/processors/cacheInspector.js';
+import { loadCacheIndex } from '../../../src/utils/cacheIndex.js';
+import { buildConfig } from '../../../src/utils/config.js';
+
+const debug = () => {};
+
+describe('variants larger than the fallback', () => {
+  const options = { widths: [40, 80], formats: ['avif', 'webp', 'original'] };
+  let cacheDir;
+  let graphic;
+
+  beforeEach(async () => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-images-oversized-'));
+    // A two-colour palette PNG: smaller as PNG than as AVIF at both widths
+    const svg =
+      '<svg xmlns="http://www.w3.org/2000/svg" width="80" height="60"><rect width="80" height="60" fill="#ffffff"/>' +
+      '<rect x="10" y="10" width="30" height="40" fill="#1e88e5"/></svg>';
+    graphic = await sharp(Buffer.from(svg)).png({ palette: true }).toBuffer();
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Summarise variants as "format width" strings
+   * @param {Array<Object>} variants - Variants
+   * @return {string[]} - Summary in variant order
+   */
+  const summary = (variants) => variants.map((v) => `${v.format} ${v.width}`);
+
+  it('should only emit modern formats that beat the fallback', async () => {
+    const variants = await processImageToVariants(graphic, 'images/chart.png', debug, buildConfig(options));
+
+    assert.ok(!summary(variants).includes('avif 40'));
+    assert.ok(summary(variants).includes('png 40'));
+    for (const variant of variants.filter((v) => v.format !== 'png')) {
+      const fallback = variants.find((v) => v.format === 'png' && v.width === variant.width);
+      assert.ok(variant.size < fallback.size, `${variant.format} ${variant.width}w should be smaller`);
+    }
+  });
+
+  it('should keep the cache, its index and warm builds in line with what was emitted', async () => {
+    const config = buildConfig(options);
+    const cacheIndex = loadCacheIndex(cacheDir, debug);
+
+    const cold = await processImageToVariants(
+      graphic,
+      'images/chart.png',
+      debug,
+      config,
+      cacheDir,
+      undefined,
+      cacheIndex
+    );
+    const files = fs.readdirSync(cacheDir).sort();
+    const omitted = Object.entries(cacheIndex.variants).filter(([, record]) => record.omitted);
+
+    assert.deepStrictEqual(files, cold.map((v) => path.basename(v.path)).sort());
+    assert.ok(omitted.length > 0);
+    for (const [name] of omitted) {
+      assert.ok(!files.includes(name), `${name} should not be written`);
+    }
+
+    const warm = await processImageToVariants(
+      graphic,
+      'images/chart.png',
+      debug,
+      config,
+      cacheDir,
+      undefined,
+      cacheIndex
+    );
+    assert.deepStrictEqual(summary(warm), summary(cold));
+    assert.deepStrictEqual(fs.readdirSync(cacheDir).sort(), files, 'a warm build writes nothing');
+
+    const report = await inspectSources(
+      [{ path: 'images/chart.png', backgroundKey: 'chart.png', buffer: graphic }],
+      { config, cacheDir, cacheIndex },
+      { html: true, background: false }
+    );
+    assert.deepStrictEqual(report.sources[0].html.missing, []);
+  });
+
+  it('should regenerate dropped variants that the current settings keep', async () => {
+    const cacheIndex = loadCacheIndex(cacheDir, debug);
+    await processImageToVariants(
+      graphic,
+      'images/chart.png',
+      debug,
+      buildConfig(options),
+      cacheDir,
+      undefined,
+      cacheIndex
+    );
+
+    const kept = await processImageToVariants(
+      graphic,
+      'images/chart.png',
+      debug,
+      buildConfig({ ...options, oversizedVariants: 'keep' }),
+      cacheDir,
+      undefined,
+      cacheIndex
+    );
+
+    assert.strictEqual(kept.length, 6);
+    assert.strictEqual(fs.readdirSync(cacheDir).length, 6);
+  });
+
+  it('should drop every width of a format that loses at one, leaving no srcset gaps', async () => {
+    const photo = await sharp({
+      create: { width: 80, height: 60, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+    })
+      .jpeg()
+      .toBuffer();
+    const photoOptions = { widths: [40, 80], formats: ['webp', 'original'] };
+    const all = await processImageToVariants(
+      photo,
+      'images/photo.jpg',
+      debug,
+      buildConfig({ ...photoOptions, oversizedVariants: 'keep' })
+    );
+    // A margin between the WebP savings at the two widths fails exactly one of them
+    const savings = photoOptions.widths.map((width) => {
+      const [webp, jpeg] = ['webp', 'jpeg'].map((format) => all.find((v) => v.format === format && v.width === width));
+      return 1 - webp.size / jpeg.size;
+    });
+    assert.notStrictEqual(savings[0], savings[1]);
+    const config = buildConfig({ ...photoOptions, minSavings: (savings[0] + savings[1]) / 2 });
+
+    const files = {
+      'index.html': { contents: Buffer.from('<img src="/images/photo.jpg" alt="">') },
+      'images/photo.jpg': { contents: photo, mtime: 1 }
+    };
+    await processHtmlFile(
+      'index.html',
+      files['index.html'],
+      files,
+      { debug: () => () => {} },
+      new Map(),
+      debug,
+      config
+    );
+
+    const $ = cheerio.load(files['index.html'].contents.toString());
+    const sources = $('picture source')
+      .toArray()
+      .map((source) => ({
+        type: $(source).attr('type'),
+        widths: $(source)
+          .attr('srcset')
+          .split(', ')
+          .map((candidate) => candidate.split(' ')[1])
+      }));
+    assert.deepStrictEqual(sources, [{ type: 'image/jpeg', widths: ['40w', '80w'] }]);
+  });
+});
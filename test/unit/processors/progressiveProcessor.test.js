@@ -1,9 +1,13 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
 import path from 'node:path';
+import vm from 'node:vm';
 import { fileURLToPath } from 'node:url';
 import Metalsmith from 'metalsmith';
 import * as cheerio from 'cheerio';
+import sharp from 'sharp';
+import { processHtmlFile } from '../../../src/processors/htmlProcessor.js';
+import { buildConfig } from '../../../src/utils/config.js';
 import {
   generatePlaceholder,
   createProgressiveWrapper,
@@ -170,4 +174,83 @@ describe('Progressive Processor', () => {
       assert.strictEqual(progressiveImageLoader.includes('createImageBitmap'), true);
     });
   });
+
+  describe('progressive loader', () => {
+    /**
+     * Run the loader over a page without IntersectionObserver, so it loads every image at once
+     * @param {Object} $ - Cheerio instance of the built page
+     * @param {string[]} supported - Formats the fake browser decodes, besides the original
+     * @return {Promise<string[]>} - The src the loader set on each high-res image
+     */
+    async function loadedSources($, supported) {
+      const images = $('.high-res')
+        .toArray()
+        .map((element) => {
+          const dataset = {};
+          for (const [name, value] of Object.entries(element.attribs)) {
+            if (name.startsWith('data-')) {
+              dataset[name.slice(5).replace(/-([a-z])/g, (_, c) => c.toUpperCase())] = value;
+            }
+          }
+          return { dataset, src: '' };
+        });
+      const window = {
+        // The loader probes data:image/<format> URLs
+        createImageBitmap: async (blob) => {
+          if (!supported.includes(blob.slice('data:image/'.length, 'data:image/'.length + 4))) {
+            throw new Error('unsupported');
+          }
+        }
+      };
+      const document = {
+        readyState: 'complete',
+        querySelectorAll: () => images.map((image) => ({ querySelector: () => image, classList: { add() {} } }))
+      };
+
+      vm.runInNewContext(progressiveImageLoader, {
+        window,
+        document,
+        console,
+        createImageBitmap: window.createImageBitmap,
+        fetch: async (url) => ({ blob: async () => url })
+      });
+      await new Promise((resolve) => setImmediate(resolve));
+      return images.map((image) => image.src);
+    }
+
+    it('should only request files the build emitted, in the best supported format', async () => {
+      const photo = await sharp({
+        create: { width: 80, height: 60, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+      })
+        .jpeg()
+        .toBuffer();
+      const files = {
+        'index.html': { contents: Buffer.from('<img src="/images/photo.jpg" alt="">') },
+        'images/photo.jpg': { contents: photo, mtime: 1 }
+      };
+      const config = buildConfig({ widths: [40, 80], formats: ['avif', 'webp', 'original'], isProgressive: true });
+      await processHtmlFile(
+        'index.html',
+        files['index.html'],
+        files,
+        { debug: () => () => {} },
+        new Map(),
+        () => {},
+        config
+      );
+      const $ = cheerio.load(files['index.html'].contents.toString());
+      const $highRes = $('.high-res');
+      assert.strictEqual($highRes.length, 1);
+
+      for (const supported of [['avif', 'webp'], ['webp'], []]) {
+        const [src] = await loadedSources($, supported);
+        assert.ok(files[src.slice(1)], `${src} (${supported.join(', ') || 'original'}) should be emitted`);
+
+        // The first supported format the image was emitted in, else the original
+        const expected = supported.find((format) => $highRes.attr(`data-source-${format}`));
+        assert.strictEqual(src, expected ? $highRes.attr(`data-source-${expected}`) : $highRes.attr('data-source'));
+      }
+      assert.match($highRes.attr('data-source-webp'), /-80w-[0-9a-f]+\.webp$/);
+    });
+  });
 });
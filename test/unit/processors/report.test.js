@@ -0,0 +1,77 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import Metalsmith from 'metalsmith';
+import optimizeImages from '../../../src/index.js';
+
+describe('build report', () => {
+  const options = {
+    widths: [32, 64],
+    formats: ['webp', 'original'],
+    cache: 'lib/assets/images/responsive',
+    processUnusedImages: false,
+    report: 'json'
+  };
+  let directory;
+  let photo;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-images-report-'));
+    photo = await sharp({ create: { width: 64, height: 48, channels: 3, background: '#3a6ea5' } })
+      .jpeg()
+      .toBuffer();
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Run the plugin over two pages sharing one photo and return the JSON report
+   * @return {Promise<Object>} - Parsed build-report.json from the project directory
+   */
+  const build = () =>
+    new Promise((resolve, reject) => {
+      const files = {
+        'index.html': { contents: Buffer.from('<img src="/images/photo.jpg" alt="">') },
+        'about.html': { contents: Buffer.from('<img src="/images/photo.jpg" alt="">') },
+        'images/photo.jpg': { contents: photo, mtime: 1 }
+      };
+      optimizeImages(options)(files, Metalsmith(directory), (err) => {
+        if (err) {
+          return reject(err);
+        }
+        assert.ok(
+          Object.keys(files).every((file) => !file.endsWith('build-report.json')),
+          'the report should not ship with the site'
+        );
+        resolve(JSON.parse(fs.readFileSync(path.join(directory, 'build-report.json'), 'utf8')));
+      });
+    });
+
+  it('should report encodes on a cold build and cache hits on a warm one', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    const cold = await build();
+    const photoReport = cold.images['images/photo.jpg'];
+    assert.strictEqual(photoReport.originalBytes, photo.length);
+    assert.strictEqual(photoReport.cache, 'miss');
+    assert.deepStrictEqual(photoReport.pages, ['about.html', 'index.html']);
+    assert.deepStrictEqual(Object.keys(photoReport.bytesByFormat).sort(), ['jpeg', 'webp']);
+    assert.ok(photoReport.variants.every((variant) => typeof variant.encodeMs === 'number'));
+    assert.deepStrictEqual(cold.totals.cache, { hits: 0, misses: 1, hitRate: 0 });
+
+    const warm = await build();
+    assert.strictEqual(warm.images['images/photo.jpg'].cache, 'hit');
+    assert.strictEqual(warm.images['images/photo.jpg'].encodeMs, 0);
+    assert.deepStrictEqual(warm.totals.cache, { hits: 1, misses: 0, hitRate: 1 });
+
+    assert.match(
+      warn.mock.calls.at(-1).arguments[0],
+      /build report: 1 source image\(s\).*\n.*cache hits 1\/1 \(100%\)/
+    );
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import { processImageToVariants } from '../../../src/processors/imageProcessor.js';
+import { generateMetadata } from '../../../src/processors/htmlProcessor.js';
+import { buildConfig } from '../../../src/utils/config.js';
+import { loadCacheIndex } from '../../../src/utils/cacheIndex.js';
+
+const debug = () => {};
+
+describe('processImageToVariants with targetQuality', () => {
+  let source;
+  let cacheDir;
+
+  before(async () => {
+    source = await sharp({
+      create: { width: 96, height: 64, channels: 3, noise: { type: 'gaussian', mean: 120, sigma: 25 } }
+    })
+      .jpeg({ quality: 95 })
+      .toBuffer();
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-images-target-'));
+  });
+
+  after(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should record the searched quality and score on lossy variants', async () => {
+    const config = buildConfig({
+      widths: [48],
+      formats: ['webp', 'original'],
+      targetQuality: { ssim: 0.95, min: 20, max: 95 }
+    });
+
+    const variants = await processImageToVariants(source, 'images/noise.jpg', debug, config);
+
+    assert.strictEqual(variants.length, 2);
+    for (const variant of variants) {
+      assert.ok(Number.isInteger(variant.quality), `${variant.format} quality ${variant.quality}`);
+      assert.ok(variant.ssim >= 0.95, `${variant.format} ssim ${variant.ssim}`);
+    }
+  });
+
+  it('should reuse the search results of cached variants and write them to the manifest', async () => {
+    const config = buildConfig({
+      widths: [48],
+      formats: ['webp', 'png'],
+      targetQuality: { ssim: 0.95 },
+      generateMetadata: true
+    });
+    const cacheIndex = loadCacheIndex(cacheDir, debug);
+
+    const cold = await processImageToVariants(
+      source,
+      'images/noise.jpg',
+      debug,
+      config,
+      cacheDir,
+      undefined,
+      cacheIndex
+    );
+    const warm = await processImageToVariants(
+      source,
+      'images/noise.jpg',
+      debug,
+      config,
+      cacheDir,
+      undefined,
+      cacheIndex
+    );
+
+    const webp = cold.find((v) => v.format === 'webp');
+    const record = cacheIndex.variants[path.basename(webp.path)];
+    assert.deepStrictEqual([record.quality, record.ssim], [webp.quality, webp.ssim]);
+    assert.deepStrictEqual(
+      warm.map(({ format, quality, ssim }) => ({ format, quality, ssim })),
+      cold.map(({ format, quality, ssim }) => ({ format, quality, ssim }))
+    );
+    // PNG quality is palette quantisation, not a fidelity setting
+    assert.strictEqual(warm.find((v) => v.format === 'png').quality, undefined);
+
+    const files = {};
+    generateMetadata(new Map([['images/noise.jpg:1', warm]]), files, config);
+    const manifest = JSON.parse(files[`${config.outputDir}/responsive-images-manifest.json`].contents.toString());
+    const entry = manifest['images/noise.jpg'].find((e) => e.format === 'webp');
+    assert.deepStrictEqual([entry.quality, entry.ssim], [webp.quality, webp.ssim]);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { describeAnimation, encodedFormats, isAnimated, withinSizeCap } from '../../../src/utils/animation.js';
+
+const formats = ['avif', 'webp', 'original'];
+
+describe('animation utilities', () => {
+  it('should treat multi-frame sources as animated unless a still is requested', () => {
+    assert.strictEqual(isAnimated({ pages: 3 }, {}), true);
+    assert.strictEqual(isAnimated({ pages: 3 }, { still: true }), false);
+    assert.strictEqual(isAnimated({ pages: 1 }, {}), false);
+    assert.strictEqual(isAnimated({}, {}), false);
+  });
+
+  it('should describe frames only for multi-frame sources', () => {
+    assert.strictEqual(describeAnimation({ pages: 1 }, {}), null);
+    assert.deepStrictEqual(describeAnimation({ pages: 12 }, {}), { animated: true, frames: 12 });
+    assert.deepStrictEqual(describeAnimation({ pages: 12 }, { still: true }), { animated: false, frames: 1 });
+  });
+
+  it('should encode animated sources in animated formats only', () => {
+    assert.deepStrictEqual(encodedFormats({ format: 'gif', pages: 4 }, { formats }), ['webp']);
+    assert.deepStrictEqual(encodedFormats({ format: 'gif', pages: 4 }, { formats, still: true }), formats);
+    assert.deepStrictEqual(encodedFormats({ format: 'jpeg' }, { formats }), formats);
+  });
+
+  it('should not re-encode WebP sources as original', () => {
+    assert.deepStrictEqual(encodedFormats({ format: 'webp' }, { formats }), ['avif', 'webp']);
+    assert.deepStrictEqual(encodedFormats({ format: 'webp', pages: 2 }, { formats }), ['webp']);
+  });
+
+  it('should drop animated variants over animation.maxSize', () => {
+    const variants = [
+      { path: 'a-320w.webp', size: 900, animated: true },
+      { path: 'a-640w.webp', size: 2000, animated: true },
+      { path: 'b-640w.webp', size: 2000 }
+    ];
+    const notes = [];
+
+    const kept = withinSizeCap(variants, { animation: { maxSize: 1000 } }, (msg) => notes.push(msg));
+
+    assert.deepStrictEqual(
+      kept.map((v) => v.path),
+      ['a-320w.webp', 'b-640w.webp']
+    );
+    assert.strictEqual(notes.length, 1);
+    assert.strictEqual(
+      withinSizeCap(variants, { animation: { maxSize: 0 } }, () => {}),
+      variants
+    );
+  });
+});
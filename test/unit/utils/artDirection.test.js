@@ -0,0 +1,154 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import * as cheerio from 'cheerio';
+import {
+  anchorCrop,
+  parseAspectRatio,
+  parseFocalPoint,
+  resolveArtDirection,
+  resolveFocalPoint
+} from '../../../src/utils/artDirection.js';
+
+describe('Art-direction utilities', () => {
+  describe('parseAspectRatio', () => {
+    it('should parse W:H strings into a ratio and filename label', () => {
+      assert.deepStrictEqual(parseAspectRatio('16:9'), { ratio: 16 / 9, label: '16x9' });
+      assert.deepStrictEqual(parseAspectRatio('1:1'), { ratio: 1, label: '1x1' });
+      assert.deepStrictEqual(parseAspectRatio('4/3'), { ratio: 4 / 3, label: '4x3' });
+    });
+
+    it('should accept a positive number as width divided by height', () => {
+      assert.deepStrictEqual(parseAspectRatio(1.5), { ratio: 1.5, label: '1.5x1' });
+    });
+
+    it('should reject malformed ratios', () => {
+      assert.strictEqual(parseAspectRatio('wide'), null);
+      assert.strictEqual(parseAspectRatio('0:9'), null);
+      assert.strictEqual(parseAspectRatio(-2), null);
+      assert.strictEqual(parseAspectRatio(null), null);
+    });
+  });
+
+  describe('parseFocalPoint', () => {
+    it('should accept strings, arrays and objects', () => {
+      assert.deepStrictEqual(parseFocalPoint('0.3,0.2'), { x: 0.3, y: 0.2 });
+      assert.deepStrictEqual(parseFocalPoint([0, 1]), { x: 0, y: 1 });
+      assert.deepStrictEqual(parseFocalPoint({ x: 0.5, y: 0.25 }), { x: 0.5, y: 0.25 });
+    });
+
+    it('should reject out-of-range or malformed values', () => {
+      assert.strictEqual(parseFocalPoint('1.2,0.5'), null);
+      assert.strictEqual(parseFocalPoint('0.5'), null);
+      assert.strictEqual(parseFocalPoint(',0.5'), null);
+      assert.strictEqual(parseFocalPoint('left,top'), null);
+    });
+  });
+
+  describe('resolveFocalPoint', () => {
+    const config = { focalPoints: { 'images/team.jpg': '0.9,0.9' } };
+
+    it('should prefer data-focal over file metadata and config', () => {
+      const $ = cheerio.load('<img src="/images/team.jpg" data-focal="0.1,0.2">');
+      const focal = resolveFocalPoint($('img'), 'images/team.jpg', { focal: [0.5, 0.5] }, config, () => {});
+      assert.deepStrictEqual(focal, { x: 0.1, y: 0.2 });
+    });
+
+    it('should fall back to file metadata, then config.focalPoints', () => {
+      const $ = cheerio.load('<img src="/images/team.jpg">');
+      assert.deepStrictEqual(
+        resolveFocalPoint($('img'), 'images/team.jpg', { focal: [0.5, 0.4] }, config, () => {}),
+        {
+          x: 0.5,
+          y: 0.4
+        }
+      );
+      assert.deepStrictEqual(
+        resolveFocalPoint($('img'), 'images/team.jpg', {}, config, () => {}),
+        { x: 0.9, y: 0.9 }
+      );
+      assert.strictEqual(
+        resolveFocalPoint($('img'), 'images/other.jpg', {}, config, () => {}),
+        null
+      );
+    });
+
+    it('should skip an invalid attribute and log it', () => {
+      const $ = cheerio.load('<img src="/images/team.jpg" data-focal="middle">');
+      const messages = [];
+      const focal = resolveFocalPoint($('img'), 'images/team.jpg', {}, config, (msg) => messages.push(msg));
+
+      assert.deepStrictEqual(focal, { x: 0.9, y: 0.9 });
+      assert.ok(messages[0].includes('Ignoring invalid focal point from data-focal'));
+    });
+  });
+
+  describe('anchorCrop', () => {
+    const crop = { ratio: 1, label: '1x1' };
+
+    it('should fold the focal point into the label', () => {
+      assert.deepStrictEqual(anchorCrop(crop, { x: 0.3, y: 0.2 }), {
+        ratio: 1,
+        label: '1x1-f30-20',
+        focal: { x: 0.3, y: 0.2 },
+        strategy: null
+      });
+    });
+
+    it('should keep centre crops unlabelled and label other strategies', () => {
+      assert.strictEqual(anchorCrop(crop, null).label, '1x1');
+      assert.strictEqual(anchorCrop(crop, null, 'attention').label, '1x1-attention');
+      assert.strictEqual(anchorCrop(crop, null, 'entropy').strategy, 'entropy');
+    });
+  });
+
+  describe('resolveArtDirection', () => {
+    const config = {
+      widths: [320, 640, 960],
+      artDirection: {
+        hero: [{ media: '(max-width: 600px)', aspectRatio: '1:1', widths: [320], sizes: '100vw' }, { media: 'print' }]
+      }
+    };
+
+    it('should return null for images without data-art-direction', () => {
+      const $ = cheerio.load('<img src="hero.jpg">');
+      assert.strictEqual(
+        resolveArtDirection($('img'), config, () => {}),
+        null
+      );
+    });
+
+    it('should return null and log for an unknown set', () => {
+      const $ = cheerio.load('<img src="hero.jpg" data-art-direction="missing">');
+      const messages = [];
+
+      assert.strictEqual(
+        resolveArtDirection($('img'), config, (msg) => messages.push(msg)),
+        null
+      );
+      assert.ok(messages[0].includes('Unknown art direction "missing"'));
+    });
+
+    it('should derive a per-breakpoint config with widths and crop', () => {
+      const $ = cheerio.load('<img src="hero.jpg" data-art-direction="hero">');
+      const breakpoints = resolveArtDirection($('img'), config, () => {});
+
+      assert.strictEqual(breakpoints.length, 2);
+      assert.strictEqual(breakpoints[0].media, '(max-width: 600px)');
+      assert.strictEqual(breakpoints[0].sizes, '100vw');
+      assert.deepStrictEqual(breakpoints[0].config.widths, [320]);
+      assert.deepStrictEqual(breakpoints[0].config.crop, { ratio: 1, label: '1x1', focal: null, strategy: 'centre' });
+
+      // A breakpoint without aspectRatio or widths inherits the default ladder, uncropped
+      assert.deepStrictEqual(breakpoints[1].config.widths, [320, 640, 960]);
+      assert.strictEqual(breakpoints[1].config.crop, null);
+    });
+
+    it('should anchor crops on the given focal point', () => {
+      const $ = cheerio.load('<img src="hero.jpg" data-art-direction="hero">');
+      const breakpoints = resolveArtDirection($('img'), config, () => {}, { x: 0.3, y: 0.2 });
+
+      assert.deepStrictEqual(breakpoints[0].config.crop.focal, { x: 0.3, y: 0.2 });
+      assert.strictEqual(breakpoints[0].config.crop.label, '1x1-f30-20');
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  BUDGET_DEFAULTS,
+  checkBudgets,
+  enforceBudgets,
+  likelyVariant,
+  matchesViewport,
+  slotWidth
+} from '../../../src/utils/budgets.js';
+
+/**
+ * Build a variant ladder in the given formats
+ * @param {string} name - Image name used in the paths
+ * @param {string[]} formats - Formats to emit
+ * @param {number[]} widths - Widths to emit
+ * @param {Object} [extra] - Fields added to every variant
+ * @return {Array<Object>} - Variants of width bytes in the first format, twice that in the second, and so on
+ */
+const ladder = (name, formats, widths, extra = {}) =>
+  formats.flatMap((format, rank) =>
+    widths.map((width) => ({ path: `${name}-${width}w.${format}`, format, width, size: width * (rank + 1), ...extra }))
+  );
+
+const budgets = (overrides) => ({ ...BUDGET_DEFAULTS, ...overrides });
+
+describe('budgets', () => {
+  describe('viewport matching', () => {
+    it('should evaluate min-width and max-width conditions', () => {
+      assert.strictEqual(matchesViewport('(max-width: 768px)', 1280), false);
+      assert.strictEqual(matchesViewport('(min-width: 1024px)', 1280), true);
+      assert.strictEqual(matchesViewport('(min-width: 600px) and (max-width: 1300px)', 1280), true);
+      assert.strictEqual(matchesViewport('(orientation: portrait)', 1280), false);
+    });
+
+    it('should size the slot from the first matching sizes entry', () => {
+      assert.strictEqual(slotWidth('(max-width: 768px) 100vw, 75vw', 1280), 960);
+      assert.strictEqual(slotWidth('(min-width: 1024px) 400px, 100vw', 1280), 400);
+      assert.strictEqual(slotWidth('auto, 50vw', 1280), 640);
+      assert.strictEqual(slotWidth('calc(100vw - 2rem)', 1280), 1280);
+      assert.strictEqual(slotWidth(undefined, 1280), 1280);
+    });
+  });
+
+  describe('likely-downloaded variant', () => {
+    const image = {
+      src: 'images/hero.jpg',
+      variants: ladder('hero', ['avif', 'webp', 'jpeg'], [320, 640, 960, 1920]),
+      formats: ['avif', 'webp', 'original'],
+      sizes: '(max-width: 768px) 100vw, 75vw'
+    };
+
+    it('should pick the preferred format at the narrowest width covering the slot', () => {
+      const { variant, bytes } = likelyVariant(image, budgets({}));
+      assert.strictEqual(variant.path, 'hero-960w.avif');
+      assert.strictEqual(bytes, 960);
+    });
+
+    it('should account for the device pixel ratio and fall back to the widest variant', () => {
+      assert.strictEqual(likelyVariant(image, budgets({ dpr: 2 })).variant.path, 'hero-1920w.avif');
+      assert.strictEqual(likelyVariant(image, budgets({ viewport: 3000, dpr: 2 })).variant.path, 'hero-1920w.avif');
+    });
+
+    it('should skip formats that were not emitted', () => {
+      const withoutAvif = { ...image, variants: image.variants.filter((v) => v.format !== 'avif') };
+      assert.strictEqual(likelyVariant(withoutAvif, budgets({})).variant.path, 'hero-960w.webp');
+    });
+
+    it('should use the art-directed group matching the viewport', () => {
+      const artDirected = {
+        ...image,
+        variants: [
+          ...ladder('hero-mobile', ['avif', 'jpeg'], [320, 640], { media: '(max-width: 768px)', sizes: '100vw' }),
+          ...ladder('hero', ['avif', 'jpeg'], [640, 1280])
+        ]
+      };
+      assert.strictEqual(likelyVariant(artDirected, budgets({})).variant.path, 'hero-1280w.avif');
+      assert.strictEqual(likelyVariant(artDirected, budgets({ viewport: 375 })).variant.path, 'hero-mobile-640w.avif');
+    });
+
+    it('should pick the density matching the dpr for fixed-size images', () => {
+      const fixed = {
+        ...image,
+        variants: [
+          { path: 'logo-1x.webp', format: 'webp', width: 100, density: '1x', size: 100 },
+          { path: 'logo-2x.webp', format: 'webp', width: 200, density: '2x', size: 300 }
+        ]
+      };
+      assert.strictEqual(likelyVariant(fixed, budgets({})).variant.path, 'logo-1x.webp');
+      assert.strictEqual(likelyVariant(fixed, budgets({ dpr: 1.5 })).variant.path, 'logo-2x.webp');
+    });
+
+    it('should charge progressive images their placeholder and middle width', () => {
+      const progressive = { ...image, progressive: true, placeholderSize: 50 };
+      const { variant, bytes } = likelyVariant(progressive, budgets({}));
+      assert.strictEqual(variant.path, 'hero-960w.avif');
+      assert.strictEqual(bytes, 1010);
+    });
+  });
+
+  describe('evaluation', () => {
+    const hero = { src: 'images/hero.jpg', variants: ladder('hero', ['webp', 'jpeg'], [320, 640]), formats: ['webp'] };
+    const logo = { src: 'images/logo.png', variants: ladder('logo', ['webp', 'png'], [320]), formats: ['webp'] };
+    const pages = new Map([
+      ['index.html', [hero, logo, hero]],
+      ['about.html', [hero]],
+      ['contact.html', []]
+    ]);
+
+    it('should report each oversized variant once with every page using it', () => {
+      const { variants } = checkBudgets(pages, budgets({ variant: { jpeg: 1000 } }));
+
+      assert.deepStrictEqual(
+        variants.map(({ variant, image, pages: usedOn }) => [variant.path, image, usedOn]),
+        [['hero-640w.jpeg', 'images/hero.jpg', ['about.html', 'index.html']]]
+      );
+    });
+
+    it('should total the likely downloads of each page, counting repeated images once', () => {
+      const { pages: over } = checkBudgets(pages, budgets({ page: 500, viewport: 320 }));
+
+      assert.strictEqual(over.length, 1);
+      assert.strictEqual(over[0].page, 'index.html');
+      assert.strictEqual(over[0].total, 640);
+      assert.deepStrictEqual(
+        over[0].images.map((entry) => entry.image),
+        ['images/hero.jpg', 'images/logo.png']
+      );
+    });
+
+    it('should not check limits left at 0', () => {
+      assert.deepStrictEqual(checkBudgets(pages, budgets({})), { variants: [], pages: [] });
+    });
+
+    it('should warn about offenders by default', (t) => {
+      const warn = t.mock.method(console, 'warn', () => {});
+
+      enforceBudgets(pages, budgets({ page: 100 }));
+
+      assert.strictEqual(warn.mock.callCount(), 1);
+      const [message] = warn.mock.calls[0].arguments;
+      assert.match(message, /^metalsmith-optimize-images: 2 image budget\(s\) exceeded/);
+      assert.match(message, /index\.html loads .* over the 100 B page budget: images\/hero\.jpg/);
+    });
+
+    it('should throw with severity error', () => {
+      assert.throws(
+        () => enforceBudgets(pages, budgets({ variant: { webp: 400 }, severity: 'error' })),
+        /hero-640w\.webp \(images\/hero\.jpg, webp\) is 640 B, over the 400 B webp budget; used on about\.html, index\.html/
+      );
+    });
+
+    it('should do nothing when budgets are off', (t) => {
+      const warn = t.mock.method(console, 'warn', () => {});
+      enforceBudgets(pages, false);
+      assert.strictEqual(warn.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import { checkCachedVariant, findDamagedVariant, writeCacheFile } from '../../../src/utils/cacheFiles.js';
+
+describe('Cache files', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-images-files-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should replace files without leaving temporary files behind', () => {
+    const target = path.join(dir, 'hero-320w-a1b2c3d4.webp');
+    writeCacheFile(target, Buffer.from('first'));
+    writeCacheFile(target, Buffer.from('second'));
+
+    assert.strictEqual(fs.readFileSync(target, 'utf8'), 'second');
+    assert.deepStrictEqual(fs.readdirSync(dir), ['hero-320w-a1b2c3d4.webp']);
+  });
+
+  it('should clean up the temporary file when the write fails', () => {
+    fs.mkdirSync(path.join(dir, 'taken'));
+
+    assert.throws(() => writeCacheFile(path.join(dir, 'taken'), 'data'));
+    assert.deepStrictEqual(fs.readdirSync(dir), ['taken']);
+  });
+
+  it('should check format and width against the file header', async () => {
+    const webp = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#000' } })
+      .webp()
+      .toBuffer();
+
+    assert.strictEqual(await checkCachedVariant(webp, { width: 40, format: 'webp' }), null);
+    assert.strictEqual(await checkCachedVariant(webp, { width: 80, format: 'webp' }), 'is 40px wide, not 80px');
+    assert.strictEqual(await checkCachedVariant(webp, { width: 40, format: 'jpg' }), 'contains webp, not jpeg');
+    assert.match(await checkCachedVariant(Buffer.from('garbage'), { width: 40, format: 'webp' }), /^does not decode/);
+  });
+
+  it('should name the first damaged variant', async () => {
+    const jpeg = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#000' } })
+      .jpeg()
+      .toBuffer();
+    const variants = [
+      { path: 'out/a-40w.jpeg', buffer: jpeg, width: 40, format: 'jpeg' },
+      { path: 'out/a-20w.jpeg', buffer: jpeg.subarray(0, 10), width: 20, format: 'jpeg' }
+    ];
+
+    assert.strictEqual(await findDamagedVariant(variants.slice(0, 1)), null);
+    assert.match(await findDamagedVariant(variants), /^a-20w\.jpeg does not decode/);
+  });
+});
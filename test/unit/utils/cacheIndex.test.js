@@ -0,0 +1,168 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import {
+  CACHE_INDEX_FILE,
+  backgroundFingerprint,
+  cachedAnalysis,
+  describeCachedVariant,
+  forgetCacheFiles,
+  loadCacheIndex,
+  recordAnalysis,
+  recordCacheEntry,
+  recordLiveFiles,
+  recordVariantFile,
+  saveCacheIndex,
+  staleReason
+} from '../../../src/utils/cacheIndex.js';
+import { buildConfig } from '../../../src/utils/config.js';
+
+describe('Cache index', () => {
+  let cacheDir;
+  const debug = () => {};
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-images-index-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should start empty when there is no index file', () => {
+    assert.deepStrictEqual(loadCacheIndex(cacheDir, debug), {
+      entries: {},
+      variants: {},
+      analyses: {},
+      live: null,
+      dirty: false
+    });
+  });
+
+  it('should round-trip entries with sorted keys and files', () => {
+    const index = loadCacheIndex(cacheDir, debug);
+    recordCacheEntry(index, 'images/z.jpg', {
+      hash: 'aaaa',
+      fingerprint: 'ffff',
+      files: ['z-640w.webp', 'z-320w.webp']
+    });
+    recordCacheEntry(index, 'images/a.jpg', { hash: 'bbbb', fingerprint: 'ffff', files: ['a-100w.webp'] });
+    saveCacheIndex(cacheDir, index, debug);
+
+    const raw = fs.readFileSync(path.join(cacheDir, CACHE_INDEX_FILE), 'utf8');
+    assert.deepStrictEqual(Object.keys(JSON.parse(raw).entries), ['images/a.jpg', 'images/z.jpg']);
+
+    const reloaded = loadCacheIndex(cacheDir, debug);
+    assert.deepStrictEqual(reloaded.entries['images/z.jpg'].files, ['z-320w.webp', 'z-640w.webp']);
+    assert.strictEqual(reloaded.dirty, false);
+  });
+
+  it('should persist the files the last build referenced', () => {
+    const index = loadCacheIndex(cacheDir, debug);
+    recordLiveFiles(index, new Set(['b.webp', 'a.webp']));
+    saveCacheIndex(cacheDir, index, debug);
+
+    const reloaded = loadCacheIndex(cacheDir, debug);
+    assert.deepStrictEqual(reloaded.live, ['a.webp', 'b.webp']);
+
+    recordLiveFiles(reloaded, ['a.webp', 'b.webp']);
+    assert.strictEqual(reloaded.dirty, false);
+  });
+
+  it('should describe cached variants from their records', async () => {
+    const buffer = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#369' } })
+      .webp()
+      .toBuffer();
+    const index = loadCacheIndex(cacheDir, debug);
+
+    // A record is trusted as long as the file size matches it
+    recordVariantFile(index, 'a-40w.webp', { width: 40, height: 31, format: 'webp', size: buffer.length });
+    assert.deepStrictEqual(await describeCachedVariant(index, 'a-40w.webp', buffer), {
+      width: 40,
+      height: 31,
+      format: 'webp',
+      size: buffer.length
+    });
+
+    // Without a record, or with one for a different file, the header is read and recorded
+    recordVariantFile(index, 'b-40w.webp', { width: 40, height: 99, format: 'webp', size: 1 });
+    index.dirty = false;
+    for (const name of ['b-40w.webp', 'c-40w.webp']) {
+      const described = await describeCachedVariant(index, name, buffer);
+      assert.deepStrictEqual(described, { width: 40, height: 30, format: 'webp', size: buffer.length });
+      assert.deepStrictEqual(index.variants[name], described);
+    }
+    assert.strictEqual(index.dirty, true);
+
+    await assert.rejects(describeCachedVariant(index, 'd-40w.webp', Buffer.from('not an image')));
+  });
+
+  it('should persist variant records and forget removed files', () => {
+    const index = loadCacheIndex(cacheDir, debug);
+    recordVariantFile(index, 'bg-100w.webp', { width: 100, height: 50, format: 'webp', size: 10 });
+    recordVariantFile(index, 'bg-50w.webp', { width: 50, height: 25, format: 'webp', size: 5 });
+    recordCacheEntry(index, 'bg.jpg', { hash: 'aaaa', fingerprint: 'ffff', files: ['bg-100w.webp', 'bg-50w.webp'] });
+    saveCacheIndex(cacheDir, index, debug);
+
+    const reloaded = loadCacheIndex(cacheDir, debug);
+    assert.deepStrictEqual(reloaded.variants['bg-50w.webp'], { width: 50, height: 25, format: 'webp', size: 5 });
+
+    forgetCacheFiles(reloaded, ['unrelated.webp']);
+    assert.ok(reloaded.entries['bg.jpg'], 'entry kept while all of its files remain');
+
+    forgetCacheFiles(reloaded, ['bg-100w.webp']);
+    assert.deepStrictEqual(Object.keys(reloaded.variants), ['bg-50w.webp']);
+    assert.deepStrictEqual(reloaded.entries, {}, 'an incomplete entry cannot vouch for its source');
+  });
+
+  it('should persist source analyses until the source changes', () => {
+    const index = loadCacheIndex(cacheDir, debug);
+    recordAnalysis(index, 'images/ui.png', 'aaaa', 'mode', 'lossless');
+    saveCacheIndex(cacheDir, index, debug);
+
+    const reloaded = loadCacheIndex(cacheDir, debug);
+    assert.strictEqual(cachedAnalysis(reloaded, 'images/ui.png', 'aaaa', 'mode'), 'lossless');
+    assert.strictEqual(cachedAnalysis(reloaded, 'images/ui.png', 'bbbb', 'mode'), undefined);
+    assert.strictEqual(cachedAnalysis(null, 'images/ui.png', 'aaaa', 'mode'), undefined);
+
+    recordAnalysis(reloaded, 'images/ui.png', 'bbbb', 'mode', 'photo');
+    assert.deepStrictEqual(reloaded.analyses['images/ui.png'], { hash: 'bbbb', mode: 'photo' });
+  });
+
+  it('should not write an unchanged index', () => {
+    saveCacheIndex(cacheDir, loadCacheIndex(cacheDir, debug), debug);
+    assert.strictEqual(fs.existsSync(path.join(cacheDir, CACHE_INDEX_FILE)), false);
+  });
+
+  it('should ignore a corrupt or foreign index', () => {
+    fs.writeFileSync(path.join(cacheDir, CACHE_INDEX_FILE), '{ not json');
+    assert.deepStrictEqual(loadCacheIndex(cacheDir, debug).entries, {});
+
+    fs.writeFileSync(path.join(cacheDir, CACHE_INDEX_FILE), JSON.stringify({ version: 99, entries: { a: {} } }));
+    assert.deepStrictEqual(loadCacheIndex(cacheDir, debug).entries, {});
+  });
+
+  it('should explain why cached variants are stale', () => {
+    const index = { entries: {}, dirty: false };
+    recordCacheEntry(index, 'bg.jpg', { hash: 'aaaa', fingerprint: 'ffff', files: [] });
+
+    assert.strictEqual(staleReason(index, 'other.jpg', 'aaaa', 'ffff'), 'not in cache index');
+    assert.strictEqual(staleReason(index, 'bg.jpg', 'bbbb', 'ffff'), 'source content changed');
+    assert.strictEqual(staleReason(index, 'bg.jpg', 'aaaa', 'eeee'), 'settings changed');
+    assert.strictEqual(staleReason(index, 'bg.jpg', 'aaaa', 'ffff'), null);
+  });
+
+  it('should fingerprint the settings background variants depend on', () => {
+    const config = buildConfig();
+
+    assert.strictEqual(backgroundFingerprint(config), backgroundFingerprint(buildConfig()));
+    assert.notStrictEqual(
+      backgroundFingerprint(config),
+      backgroundFingerprint(buildConfig({ formatOptions: { webp: { quality: 60 } } }))
+    );
+    assert.strictEqual(backgroundFingerprint(config), backgroundFingerprint(buildConfig({ widths: [100] })));
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import sharp from 'sharp';
+import { applyColorSpace, iccDescription, outputColorSpace } from '../../../src/utils/colorSpace.js';
+
+/**
+ * An 8×8 image of pure P3 red, tagged with the Display P3 profile
+ * @return {Promise<Buffer>} - PNG
+ */
+function p3Red() {
+  return sharp({ create: { width: 8, height: 8, channels: 3, background: '#ff0000' } })
+    .withIccProfile('p3')
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Encode through applyColorSpace and read back the stored pixel and profile
+ * @param {Buffer} source - Source image
+ * @param {string} colorSpace - colorSpace option
+ * @param {string} [metadataPolicy] - metadata option
+ * @return {Promise<{pixel: number[], profile: string|null}>} - First stored pixel and embedded profile description
+ */
+async function encode(source, colorSpace, metadataPolicy) {
+  const output = await applyColorSpace(sharp(source), colorSpace, metadataPolicy).webp({ lossless: true }).toBuffer();
+  const { data } = await sharp(output).keepIccProfile().raw().toBuffer({ resolveWithObject: true });
+  const { icc } = await sharp(output).metadata();
+  return { pixel: [...data.subarray(0, 3)], profile: icc ? iccDescription(icc) : null };
+}
+
+describe('Colour management', () => {
+  it('should read ICC v2 and v4 profile descriptions', async () => {
+    const { icc } = await sharp(await p3Red()).metadata();
+    assert.strictEqual(iccDescription(icc), 'sP3C');
+
+    // A minimal v2 profile: header, one tag entry, a 'desc' tag
+    const v2 = Buffer.alloc(180);
+    v2.writeUInt32BE(1, 128);
+    v2.write('desc', 132, 'latin1');
+    v2.writeUInt32BE(144, 136);
+    v2.writeUInt32BE(36, 140);
+    v2.write('desc', 144, 'latin1');
+    v2.writeUInt32BE(17, 152);
+    v2.write('Adobe RGB (1998)\0', 156, 'latin1');
+    assert.strictEqual(iccDescription(v2), 'Adobe RGB (1998)');
+
+    assert.strictEqual(iccDescription(Buffer.alloc(16)), null);
+  });
+
+  it('should name the colour space variants end up in', async () => {
+    const metadata = await sharp(await p3Red()).metadata();
+
+    assert.strictEqual(outputColorSpace('srgb', metadata), 'srgb');
+    assert.strictEqual(outputColorSpace('p3', {}), 'p3');
+    assert.strictEqual(outputColorSpace('preserve', metadata), 'sP3C');
+    assert.strictEqual(outputColorSpace('preserve', { format: 'jpeg' }), 'srgb');
+    assert.strictEqual(outputColorSpace(undefined, metadata), 'srgb');
+  });
+
+  it('should convert, keep or embed profiles', async () => {
+    const source = await p3Red();
+    // P3 red lies outside sRGB: converted to sRGB it is stored as (255, 0, 0),
+    // while in P3 sRGB red is stored as roughly (234, 51, 35)
+    const isSRgbRed = ({ pixel }) => pixel[0] > 250 && pixel[1] < 8;
+    const isP3OfSRgbRed = ({ pixel }) => Math.abs(pixel[0] - 234) < 4 && Math.abs(pixel[1] - 51) < 4;
+
+    const converted = await encode(source, 'srgb');
+    assert.ok(isSRgbRed(converted), `converted pixel ${converted.pixel}`);
+    assert.strictEqual(converted.profile, null);
+    assert.strictEqual((await encode(source, 'srgb', 'copyright')).profile, 'sRGB');
+
+    const preserved = await encode(source, 'preserve');
+    assert.ok(isP3OfSRgbRed(preserved), `preserved pixel ${preserved.pixel}`);
+    assert.strictEqual(preserved.profile, 'sP3C');
+
+    const sRgbSource = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#ff0000' } })
+      .png()
+      .toBuffer();
+    const widened = await encode(sRgbSource, 'p3');
+    assert.ok(isP3OfSRgbRed(widened), `P3 pixel ${widened.pixel}`);
+    assert.strictEqual(widened.profile, 'sP3C');
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
+import os from 'node:os';
 import { buildConfig } from '../../../src/utils/config.js';
 
 describe('Config utilities', () => {
@@ -17,7 +18,7 @@ describe('Config utilities', () => {
       assert.strictEqual(config.lazy, true);
       assert.strictEqual(config.dimensionAttributes, true);
       assert.strictEqual(config.sizes, '(max-width: 768px) 100vw, 75vw');
-      assert.strictEqual(config.concurrency, 5);
+      assert.strictEqual(config.concurrency, os.availableParallelism());
       assert.strictEqual(config.generateMetadata, false);
     });
 
@@ -66,17 +67,12 @@ describe('Config utilities', () => {
       assert.ok(config.formatOptions.png);
     });
 
-    it('should handle empty arrays correctly', () => {
-      const options = {
-        widths: [],
-        formats: []
-      };
-
-      const config = buildConfig(options);
-
-      // Empty arrays should override defaults
-      assert.deepStrictEqual(config.widths, []);
-      assert.deepStrictEqual(config.formats, []);
+    it('should reject empty widths and formats', () => {
+      // Empty arrays would produce no variants at all
+      assert.throws(
+        () => buildConfig({ widths: [], formats: [] }),
+        (error) => error.errors.length === 2 && /widths must be a non-empty array/.test(error.message)
+      );
     });
 
     it('should handle deep merging of placeholder options', () => {
@@ -142,5 +138,96 @@ describe('Config utilities', () => {
       assert.strictEqual(config.placeholder.quality, 40);
       assert.strictEqual(config.placeholder.blur, 5);
     });
+
+    it('should accept valid art-direction sets', () => {
+      const artDirection = {
+        hero: [{ media: '(max-width: 600px)', aspectRatio: '1:1', widths: [320, 640] }]
+      };
+
+      const config = buildConfig({ artDirection });
+
+      assert.deepStrictEqual(config.artDirection, artDirection);
+      assert.deepStrictEqual(buildConfig().artDirection, {});
+    });
+
+    it('should validate focal points and crop strategy', () => {
+      const config = buildConfig({ focalPoints: { 'images/a.jpg': '0.3,0.2' }, cropStrategy: 'entropy' });
+      assert.strictEqual(config.cropStrategy, 'entropy');
+      assert.strictEqual(buildConfig().cropStrategy, 'centre');
+
+      assert.throws(
+        () => buildConfig({ focalPoints: { 'images/a.jpg': '2,0' } }),
+        /focalPoints\["images\/a.jpg"\] must be "x,y" .* \(got "2,0"\)/
+      );
+      assert.throws(
+        () => buildConfig({ cropStrategy: 'smart' }),
+        /cropStrategy must be one of "centre", .* \(got "smart"\)/
+      );
+    });
+
+    it('should merge preset formatOptions over the global ones', () => {
+      const config = buildConfig({
+        formatOptions: { webp: { quality: 70 } },
+        presets: { hero: { widths: [960], formatOptions: { avif: { quality: 50 } } } }
+      });
+
+      assert.deepStrictEqual(config.presets.hero.widths, [960]);
+      assert.strictEqual(config.presets.hero.formatOptions.avif.quality, 50);
+      assert.strictEqual(config.presets.hero.formatOptions.avif.speed, 5);
+      assert.strictEqual(config.presets.hero.formatOptions.webp.quality, 70);
+      assert.strictEqual(config.presets.hero.placeholder.width, 50);
+    });
+
+    it('should reject invalid presets', () => {
+      assert.throws(() => buildConfig({ presets: { hero: { widht: [960] } } }), /unknown option "widht"/);
+      assert.throws(
+        () => buildConfig({ presets: { hero: { widths: [960, -5] } } }),
+        /presets\.hero\.widths\[1\] must be a positive integer \(got -5\)/
+      );
+      assert.throws(
+        () => buildConfig({ presets: { hero: { sizes: 100 } } }),
+        /presets\.hero\.sizes must be a string \(got 100\)/
+      );
+      assert.throws(() => buildConfig({ presets: { hero: true } }), /presets\.hero must be an object \(got true\)/);
+    });
+
+    it('should normalise preset widths given as strings', () => {
+      const config = buildConfig({ presets: { hero: { widths: ['960', 1920] } } });
+
+      assert.deepStrictEqual(config.presets.hero.widths, [960, 1920]);
+    });
+
+    it('should reject malformed art-direction sets', () => {
+      assert.throws(
+        () => buildConfig({ artDirection: { hero: [] } }),
+        /artDirection\.hero must be a non-empty array of breakpoints \(got \[\]\)/
+      );
+      assert.throws(
+        () => buildConfig({ artDirection: { hero: [{ aspectRatio: '1:1' }] } }),
+        /artDirection\.hero\[0\]\.media must be a non-empty media query/
+      );
+      assert.throws(
+        () => buildConfig({ artDirection: { hero: [{ media: 'all', aspectRatio: 'square' }] } }),
+        /artDirection\.hero\[0\]\.aspectRatio must be a ratio such as "16:9" \(got "square"\)/
+      );
+      assert.throws(
+        () => buildConfig({ artDirection: { hero: [{ media: 'all', aspect: '1:1' }] } }),
+        /artDirection\.hero\[0\]: unknown option "aspect"/
+      );
+      assert.throws(
+        () => buildConfig({ artDirection: { hero: [{ media: 'all', widths: ['640', -5] }] } }),
+        /artDirection\.hero\[0\]\.widths\[1\] must be a positive integer \(got -5\)/
+      );
+      assert.throws(
+        () => buildConfig({ artDirection: { hero: [{ media: 'all', sizes: ['100vw'] }] } }),
+        /artDirection\.hero\[0\]\.sizes must be a string/
+      );
+    });
+
+    it('should normalise art-direction widths given as strings', () => {
+      const config = buildConfig({ artDirection: { hero: [{ media: 'all', widths: ['640', 1280] }] } });
+
+      assert.deepStrictEqual(config.artDirection.hero[0].widths, [640, 1280]);
+    });
   });
 });
@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import * as cheerio from 'cheerio';
+import { parseDensities, resolveDensity } from '../../../src/utils/density.js';
+
+describe('Density utilities', () => {
+  describe('parseDensities', () => {
+    it('should parse lists with or without the x suffix', () => {
+      assert.deepStrictEqual(parseDensities('1,2,3'), [1, 2, 3]);
+      assert.deepStrictEqual(parseDensities('2x, 1x, 1.5x'), [1, 1.5, 2]);
+    });
+
+    it('should reject malformed lists', () => {
+      assert.strictEqual(parseDensities('retina'), null);
+      assert.strictEqual(parseDensities('1,0'), null);
+      assert.strictEqual(parseDensities(' , '), null);
+    });
+  });
+
+  describe('resolveDensity', () => {
+    const config = { densities: [1, 2] };
+
+    it('should return null without data-density', () => {
+      const $ = cheerio.load('<img src="logo.png" width="120">');
+      assert.strictEqual(
+        resolveDensity($('img'), config, () => {}),
+        null
+      );
+    });
+
+    it('should use config.densities for an empty attribute', () => {
+      const $ = cheerio.load('<img src="logo.png" width="120" data-density>');
+      assert.deepStrictEqual(
+        resolveDensity($('img'), config, () => {}),
+        { width: 120, densities: [1, 2] }
+      );
+    });
+
+    it('should let the attribute override the densities', () => {
+      const $ = cheerio.load('<img src="logo.png" width="64" data-density="1,2,3">');
+      assert.deepStrictEqual(
+        resolveDensity($('img'), config, () => {}),
+        { width: 64, densities: [1, 2, 3] }
+      );
+    });
+
+    it('should require a numeric width attribute', () => {
+      const $ = cheerio.load('<img src="logo.png" width="50%" data-density>');
+      const messages = [];
+
+      assert.strictEqual(
+        resolveDensity($('img'), config, (msg) => messages.push(msg)),
+        null
+      );
+      assert.ok(messages[0].includes('a numeric width attribute is required'));
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+import {
+  analyseContent,
+  classifyContent,
+  resolveEncodingMode,
+  withEncodingMode
+} from '../../../src/utils/encodingMode.js';
+import { createTaskQueue } from '../../../src/utils/queue.js';
+import { buildConfig } from '../../../src/utils/config.js';
+import { generateHash } from '../../../src/utils/hash.js';
+import { recordAnalysis } from '../../../src/utils/cacheIndex.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const photo = fs.readFileSync(path.join(__dirname, '../../fixtures/src/images/work.jpg'));
+
+/**
+ * Render a small UI screenshot: flat fills, a few colours and text
+ * @return {Promise<Buffer>} - PNG contents
+ */
+function screenshot() {
+  const rows = Array.from(
+    { length: 8 },
+    (_, i) =>
+      `<text x="20" y="${70 + i * 24}" font-size="13" font-family="sans-serif" fill="#333">Option ${i}</text>` +
+      `<rect x="220" y="${58 + i * 24}" width="40" height="16" rx="3" fill="${i % 2 ? '#4caf50' : '#cccccc'}"/>`
+  ).join('');
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="320" height="260">
+    <rect width="320" height="260" fill="#f4f4f4"/><rect width="320" height="36" fill="#2b5797"/>${rows}</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+describe('encoding modes', () => {
+  it('should measure few colours and flat areas in graphics', async () => {
+    const graphic = await analyseContent(await screenshot());
+    const picture = await analyseContent(photo);
+
+    assert.ok(graphic.colours < 1024, `${graphic.colours} colours`);
+    assert.ok(graphic.flatRatio > 0.5);
+    assert.ok(picture.colours > 4096, `${picture.colours} colours`);
+    assert.ok(picture.flatRatio < 0.5);
+  });
+
+  it('should classify by flat areas, then colour count', () => {
+    assert.strictEqual(classifyContent({ colours: 300, flatRatio: 0.8 }), 'lossless');
+    assert.strictEqual(classifyContent({ colours: 9000, flatRatio: 0.8 }), 'near-lossless');
+    assert.strictEqual(classifyContent({ colours: 9000, flatRatio: 0.1 }), 'photo');
+    // Few colours without flat areas: a greyscale photo or a small thumbnail
+    assert.strictEqual(classifyContent({ colours: 256, flatRatio: 0.1 }), 'photo');
+  });
+
+  it('should classify greyscale photos as photos', async () => {
+    const greyscale = await sharp(photo).greyscale().jpeg().toBuffer();
+    const content = await analyseContent(greyscale);
+
+    assert.ok(content.colours <= 256, `${content.colours} colours`);
+    assert.strictEqual(classifyContent(content), 'photo');
+    assert.strictEqual(await resolveEncodingMode(greyscale, 'images/grey.jpg', buildConfig({ mode: 'auto' })), 'photo');
+  });
+
+  it('should layer mode settings over formatOptions', () => {
+    const config = buildConfig();
+
+    assert.strictEqual(withEncodingMode(config, 'photo'), config);
+    const lossless = withEncodingMode(config, 'lossless');
+    assert.strictEqual(lossless.mode, 'lossless');
+    assert.deepStrictEqual(lossless.formatOptions.webp, { quality: 80, lossless: true });
+    assert.strictEqual(lossless.formatOptions.avif.lossless, true);
+    assert.strictEqual(lossless.formatOptions.png.palette, false);
+    const nearLossless = withEncodingMode(config, 'near-lossless');
+    assert.strictEqual(nearLossless.formatOptions.webp.nearLossless, true);
+    assert.strictEqual(nearLossless.formatOptions.avif.chromaSubsampling, '4:4:4');
+    // The plugin config is left alone
+    assert.strictEqual(config.formatOptions.webp.lossless, false);
+  });
+
+  it('should classify auto images once and reuse the cache index record', async () => {
+    const shot = await screenshot();
+    const config = buildConfig({ mode: 'auto' });
+    const cacheIndex = { entries: {}, variants: {}, analyses: {}, dirty: false };
+    const queue = createTaskQueue(1);
+    const resolve = (buffer, sourcePath) =>
+      resolveEncodingMode(buffer, sourcePath, config, cacheIndex, undefined, queue);
+
+    assert.strictEqual(await resolve(shot, 'images/ui.png'), 'lossless');
+    assert.strictEqual(await resolve(photo, 'images/work.jpg'), 'photo');
+    assert.strictEqual(cacheIndex.analyses['images/ui.png'].mode, 'lossless');
+    assert.strictEqual(cacheIndex.dirty, true);
+
+    // A recorded result is used as is; a changed source is classified again
+    recordAnalysis(cacheIndex, 'images/ui.png', generateHash(shot), 'mode', 'near-lossless');
+    assert.strictEqual(await resolve(shot, 'images/ui.png'), 'near-lossless');
+    assert.strictEqual(await resolve(photo, 'images/ui.png'), 'photo');
+    // Each analysis decode took a queue slot
+    assert.strictEqual(queue.stats().completed, 3);
+  });
+
+  it('should use fixed modes without analysing the image', async () => {
+    const notAnImage = Buffer.from('not an image');
+
+    assert.strictEqual(await resolveEncodingMode(notAnImage, 'a.png', buildConfig()), 'photo');
+    assert.strictEqual(await resolveEncodingMode(notAnImage, 'a.png', buildConfig({ mode: 'lossless' })), 'lossless');
+  });
+});
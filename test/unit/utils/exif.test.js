@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import sharp from 'sharp';
+import { applyMetadataPolicy, findGpsVariants, hasGpsExif, readExifTags } from '../../../src/utils/exif.js';
+import { createTaskQueue } from '../../../src/utils/queue.js';
+
+/**
+ * A small JPEG carrying the EXIF a phone photo might have
+ * @return {Promise<Buffer>} - Image with copyright, camera serial and GPS EXIF plus an ICC profile
+ */
+function phonePhoto() {
+  return sharp({ create: { width: 32, height: 24, channels: 3, background: '#4a7' } })
+    .jpeg()
+    .withIccProfile('p3')
+    .withExif({
+      IFD0: { Copyright: '(c) Jane Doe', Artist: 'Jane Doe', Make: 'Phone' },
+      IFD2: { BodySerialNumber: 'SN-123456' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '52/1 31/1 0/1' }
+    })
+    .toBuffer();
+}
+
+describe('Source metadata policy', () => {
+  it('should read IFD0 tags and spot a GPS IFD', async () => {
+    const { exif } = await sharp(await phonePhoto()).metadata();
+    const tags = readExifTags(exif);
+
+    assert.strictEqual(tags.get(0x8298), '(c) Jane Doe');
+    assert.strictEqual(tags.get(0x013b), 'Jane Doe');
+    assert.strictEqual(hasGpsExif(exif), true);
+
+    assert.strictEqual(hasGpsExif(undefined), false);
+    assert.strictEqual(readExifTags(Buffer.from('Exif\0\0XX')), null);
+    // A block that cannot be read might hide coordinates
+    assert.strictEqual(hasGpsExif(Buffer.from('Exif\0\0II*\0\xff\xff\xff\x7f', 'latin1')), true);
+  });
+
+  it('should keep only what each policy allows', async () => {
+    const source = await phonePhoto();
+    const sourceMetadata = await sharp(source).metadata();
+    const encode = async (policy) =>
+      sharp(await applyMetadataPolicy(sharp(source), policy, sourceMetadata).webp().toBuffer()).metadata();
+
+    const stripped = await encode('strip');
+    assert.strictEqual(stripped.exif, undefined);
+    assert.strictEqual(stripped.icc, undefined);
+
+    const copyright = await encode('copyright');
+    const tags = readExifTags(copyright.exif);
+    assert.strictEqual(tags.get(0x8298), '(c) Jane Doe');
+    assert.strictEqual(tags.get(0x013b), 'Jane Doe');
+    assert.strictEqual(hasGpsExif(copyright.exif), false);
+    assert.ok(!copyright.exif.includes('SN-123456'), 'camera serial should be dropped');
+    assert.ok(copyright.icc, 'ICC profile should be kept');
+
+    const all = await encode('all');
+    assert.strictEqual(hasGpsExif(all.exif), true);
+    assert.ok(all.exif.includes('SN-123456'));
+  });
+
+  it('should find emitted variants and placeholders with GPS EXIF', async () => {
+    const located = await phonePhoto();
+    const clean = await sharp(located).webp().toBuffer();
+    const processedImages = new Map([
+      ['a.jpg', [{ path: 'out/a-32w.webp', buffer: clean }]],
+      [
+        'b.jpg',
+        {
+          variants: [{ path: 'out/b-32w.jpg', buffer: located }],
+          placeholderData: { path: 'out/b-placeholder.jpg', contents: located }
+        }
+      ]
+    ]);
+
+    assert.deepStrictEqual(await findGpsVariants(processedImages), ['out/b-32w.jpg', 'out/b-placeholder.jpg']);
+  });
+
+  it('should only read variants encoded by this build, through the queue', async () => {
+    const located = await phonePhoto();
+    const processedImages = new Map([
+      [
+        'a.jpg',
+        [
+          { path: 'out/a-32w.jpg', buffer: located, cached: true },
+          { path: 'out/a-64w.jpg', buffer: located }
+        ]
+      ]
+    ]);
+    const queue = createTaskQueue(1);
+
+    assert.deepStrictEqual(await findGpsVariants(processedImages, queue), ['out/a-64w.jpg']);
+    assert.strictEqual(queue.stats().completed, 1);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { encodeFingerprint, encodeSettings, variantHash } from '../../../src/utils/fingerprint.js';
+import { buildConfig } from '../../../src/utils/config.js';
+
+describe('Encode fingerprints', () => {
+  const config = buildConfig();
+
+  it('should describe the settings that shape a variant', () => {
+    const settings = encodeSettings(config, 'avif');
+
+    assert.deepStrictEqual(settings.options, { quality: 65, speed: 5 });
+    assert.strictEqual(settings.kernel, 'lanczos3');
+    assert.strictEqual(settings.metadata, 'strip');
+    assert.strictEqual(settings.orientation, 'auto-orient');
+    assert.match(settings.plugin, /^\d+$/);
+  });
+
+  it('should change only for the format whose settings changed', () => {
+    const changed = buildConfig({ formatOptions: { avif: { quality: 50 } } });
+
+    assert.notStrictEqual(encodeFingerprint(changed, 'avif'), encodeFingerprint(config, 'avif'));
+    assert.strictEqual(encodeFingerprint(changed, 'webp'), encodeFingerprint(config, 'webp'));
+    assert.notStrictEqual(
+      encodeFingerprint(buildConfig({ metadata: 'copyright' }), 'webp'),
+      encodeFingerprint(config, 'webp')
+    );
+  });
+
+  it('should cover a perceptual target only for formats that search it', () => {
+    const targeted = buildConfig({ targetQuality: { ssim: 0.99 } });
+
+    assert.deepStrictEqual(encodeSettings(targeted, 'webp').targetQuality, { ssim: 0.99, min: 30, max: 95 });
+    assert.notStrictEqual(encodeFingerprint(targeted, 'webp'), encodeFingerprint(config, 'webp'));
+    assert.strictEqual(encodeFingerprint(targeted, 'png'), encodeFingerprint(config, 'png'));
+    assert.strictEqual(encodeSettings(config, 'webp').targetQuality, undefined);
+  });
+
+  it('should derive a filename hash from source and settings', () => {
+    const hash = variantHash('a1b2c3d4', config, 'webp');
+
+    assert.match(hash, /^[a-f0-9]{8}$/);
+    assert.strictEqual(variantHash('a1b2c3d4', config, 'webp'), hash);
+    assert.notStrictEqual(variantHash('ffffffff', config, 'webp'), hash);
+    assert.notStrictEqual(variantHash('a1b2c3d4', config, 'avif'), hash);
+  });
+});
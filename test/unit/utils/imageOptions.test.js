@@ -0,0 +1,201 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import * as cheerio from 'cheerio';
+import {
+  parseFormats,
+  parseWidths,
+  resolveImageConfig,
+  resolvePreset,
+  variantKeySuffix,
+  withAutoSizes
+} from '../../../src/utils/imageOptions.js';
+import { buildConfig } from '../../../src/utils/config.js';
+
+describe('Per-image option overrides', () => {
+  const config = buildConfig();
+  const load = (attrs) => cheerio.load(`<img src="/images/a.jpg" ${attrs}>`)('img');
+
+  describe('parseWidths', () => {
+    it('should parse, dedupe and sort widths', () => {
+      assert.deepStrictEqual(parseWidths('400, 200,400'), [200, 400]);
+    });
+
+    it('should reject non-integer widths', () => {
+      assert.strictEqual(parseWidths('200,wide'), null);
+      assert.strictEqual(parseWidths('200.5'), null);
+      assert.strictEqual(parseWidths(''), null);
+    });
+  });
+
+  describe('parseFormats', () => {
+    it('should normalise aliases and keep order', () => {
+      assert.deepStrictEqual(parseFormats('WebP, jpg'), ['webp', 'jpeg']);
+    });
+
+    it('should reject unknown formats', () => {
+      assert.strictEqual(parseFormats('webp,bmp'), null);
+    });
+  });
+
+  describe('resolvePreset', () => {
+    const presetConfig = buildConfig({
+      presets: { thumb: { widths: [160], lazy: false, formatOptions: { webp: { quality: 60 } } } }
+    });
+
+    it('should apply the selected preset and record its name', () => {
+      const imageConfig = resolvePreset(load('data-preset="thumb"'), presetConfig, () => {});
+
+      assert.deepStrictEqual(imageConfig.widths, [160]);
+      assert.strictEqual(imageConfig.lazy, false);
+      assert.strictEqual(imageConfig.preset, 'thumb');
+      assert.strictEqual(imageConfig.formatOptions.webp.quality, 60);
+      assert.strictEqual(imageConfig.formatOptions.avif.quality, 65);
+    });
+
+    it('should ignore unknown presets', () => {
+      const messages = [];
+      assert.strictEqual(
+        resolvePreset(load('data-preset="nope"'), presetConfig, (msg) => messages.push(msg)),
+        presetConfig
+      );
+      assert.ok(messages[0].includes('Unknown preset "nope"'));
+    });
+
+    it('should let data attributes override the preset and key its variants apart', () => {
+      const imageConfig = resolveImageConfig(load('data-preset="thumb" data-widths="100"'), presetConfig, () => {});
+
+      assert.deepStrictEqual(imageConfig.widths, [100]);
+      assert.strictEqual(imageConfig.preset, 'thumb');
+      assert.notStrictEqual(variantKeySuffix(imageConfig, presetConfig), '');
+    });
+  });
+
+  describe('resolveImageConfig', () => {
+    it('should return the plugin config itself when nothing is overridden', () => {
+      assert.strictEqual(
+        resolveImageConfig(load(''), config, () => {}),
+        config
+      );
+    });
+
+    it('should apply width, format, quality and sizes overrides', () => {
+      const imageConfig = resolveImageConfig(
+        load('data-widths="200,400" data-formats="webp" data-quality="70" data-sizes="200px"'),
+        config,
+        () => {}
+      );
+
+      assert.deepStrictEqual(imageConfig.widths, [200, 400]);
+      assert.deepStrictEqual(imageConfig.formats, ['webp']);
+      assert.strictEqual(imageConfig.formatOptions.webp.quality, 70);
+      assert.strictEqual(imageConfig.formatOptions.avif.quality, 70);
+      assert.strictEqual(imageConfig.formatOptions.avif.speed, 5);
+      assert.strictEqual(imageConfig.sizes, '200px');
+      assert.notStrictEqual(variantKeySuffix(imageConfig, config), '');
+
+      // The plugin config is left untouched
+      assert.strictEqual(config.formatOptions.webp.quality, 80);
+    });
+
+    it('should let data-quality pin the quality instead of a perceptual target', () => {
+      const targeted = buildConfig({ targetQuality: true });
+
+      assert.strictEqual(resolveImageConfig(load(''), targeted, () => {}).targetQuality.ssim, 0.98);
+      assert.strictEqual(resolveImageConfig(load('data-quality="70"'), targeted, () => {}).targetQuality, false);
+    });
+
+    it('should ignore invalid values and log them', () => {
+      const messages = [];
+      const imageConfig = resolveImageConfig(load('data-quality="150" data-widths="x"'), config, (msg) =>
+        messages.push(msg)
+      );
+
+      assert.strictEqual(imageConfig, config);
+      assert.strictEqual(messages.length, 2);
+    });
+  });
+
+  describe('sizes selection', () => {
+    const layoutConfig = buildConfig({
+      sizesBySelector: { '.sidebar img': '300px', '.gallery img': '33vw' },
+      presets: { thumb: { sizes: '160px' }, plain: { lazy: false } }
+    });
+    const $ = cheerio.load(`
+      <aside class="sidebar"><img id="side" src="a.jpg"><img id="own" src="a.jpg" data-sizes="10vw"></aside>
+      <div class="gallery"><img id="thumb" src="a.jpg" data-preset="thumb"><img id="plain" src="a.jpg" data-preset="plain"></div>
+      <img id="body" src="a.jpg">
+    `);
+    const sizesOf = (id) => resolveImageConfig($(`#${id}`), layoutConfig, () => {}).sizes;
+
+    it('should pick sizes from the first matching selector', () => {
+      assert.strictEqual(sizesOf('side'), '300px');
+      assert.strictEqual(sizesOf('plain'), '33vw');
+      assert.strictEqual(sizesOf('body'), layoutConfig.sizes);
+    });
+
+    it('should prefer data-sizes and preset sizes over the selector map', () => {
+      assert.strictEqual(sizesOf('own'), '10vw');
+      assert.strictEqual(sizesOf('thumb'), '160px');
+    });
+
+    it('should prepend auto only for lazy images with autoSizes on', () => {
+      assert.strictEqual(withAutoSizes('50vw', { autoSizes: true, lazy: true }), 'auto, 50vw');
+      assert.strictEqual(withAutoSizes('auto, 50vw', { autoSizes: true, lazy: true }), 'auto, 50vw');
+      assert.strictEqual(withAutoSizes('50vw', { autoSizes: true, lazy: false }), '50vw');
+      assert.strictEqual(withAutoSizes('50vw', { autoSizes: false, lazy: true }), '50vw');
+    });
+  });
+
+  describe('encoding mode selection', () => {
+    const modeConfig = buildConfig({
+      modeBySelector: { '.docs img': 'lossless', 'img[src*="/charts/"]': 'near-lossless' },
+      presets: { hero: { mode: 'photo' } }
+    });
+    const $ = cheerio.load(`
+      <main class="docs"><img id="shot" src="/images/ui.png"><img id="hero" src="/images/ui.png" data-preset="hero">
+      <img id="own" src="/images/ui.png" data-mode="auto"></main>
+      <img id="chart" src="/images/charts/sales.png"><img id="photo" src="/images/beach.jpg">
+      <img id="bad" src="/images/beach.jpg" data-mode="vector">
+    `);
+    const modeOf = (id, debug = () => {}) => resolveImageConfig($(`#${id}`), modeConfig, debug).mode;
+
+    it('should pick the mode from the first matching selector', () => {
+      assert.strictEqual(modeOf('shot'), 'lossless');
+      assert.strictEqual(modeOf('chart'), 'near-lossless');
+      assert.strictEqual(modeOf('photo'), 'photo');
+    });
+
+    it('should prefer data-mode and preset modes over the selector map', () => {
+      assert.strictEqual(modeOf('own'), 'auto');
+      assert.strictEqual(modeOf('hero'), 'photo');
+    });
+
+    it('should ignore an invalid data-mode and key modes apart', () => {
+      const messages = [];
+
+      assert.strictEqual(
+        modeOf('bad', (msg) => messages.push(msg)),
+        'photo'
+      );
+      assert.match(messages[0], /Ignoring invalid data-mode "vector"/);
+      assert.notStrictEqual(variantKeySuffix({ ...modeConfig, mode: 'lossless' }, modeConfig), '');
+    });
+  });
+
+  describe('variantKeySuffix', () => {
+    it('should be empty for default settings and sizes-only overrides', () => {
+      assert.strictEqual(variantKeySuffix(config, config), '');
+      assert.strictEqual(variantKeySuffix({ ...config, sizes: '200px' }, config), '');
+    });
+
+    it('should differ per effective variant settings', () => {
+      const small = variantKeySuffix({ ...config, widths: [200] }, config);
+      const large = variantKeySuffix({ ...config, widths: [800] }, config);
+      const density = variantKeySuffix(config, config, { density: { width: 100, densities: [1, 2] } });
+
+      assert.match(small, /^:[a-f0-9]{8}$/);
+      assert.notStrictEqual(small, large);
+      assert.notStrictEqual(density, '');
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import sharp from 'sharp';
+import { processImageToVariants } from '../../../src/processors/imageProcessor.js';
+import { processBackgroundImageVariants } from '../../../src/processors/backgroundProcessor.js';
+import { buildConfig } from '../../../src/utils/config.js';
+import { canEncodeJxl, encodableFormats, warnUnsupportedJxl } from '../../../src/utils/jxl.js';
+
+const debug = () => {};
+
+describe('JPEG XL output', () => {
+  it('should follow the encoder support libvips reports', () => {
+    assert.strictEqual(canEncodeJxl(), sharp.format.jxl.output.buffer);
+  });
+
+  it('should keep jxl in the format list only when it can be encoded', () => {
+    const formats = ['jxl', 'avif', 'webp', 'original'];
+
+    assert.deepStrictEqual(encodableFormats(formats), canEncodeJxl() ? formats : ['avif', 'webp', 'original']);
+  });
+
+  it('should accept jxl in formats and formatOptions', () => {
+    const config = buildConfig({ formats: ['jxl', 'webp'], formatOptions: { jxl: { quality: 70, effort: 4 } } });
+
+    assert.deepStrictEqual(config.formats, ['jxl', 'webp']);
+    assert.deepStrictEqual(config.formatOptions.jxl, { quality: 70, effort: 4 });
+    assert.throws(() => buildConfig({ formatOptions: { jxl: { effort: 0 } } }), /formatOptions.jxl.effort/);
+  });
+
+  it('should warn once per configuration that asks for jxl without an encoder', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    const jxl = buildConfig({ formats: ['jxl', 'webp'] });
+    const presetJxl = buildConfig({ presets: { hero: { formats: ['jxl', 'original'] } } });
+    const webp = buildConfig({ formats: ['webp'] });
+
+    assert.strictEqual(warnUnsupportedJxl(jxl), !canEncodeJxl());
+    assert.strictEqual(warnUnsupportedJxl(presetJxl), !canEncodeJxl());
+    assert.strictEqual(warnUnsupportedJxl(webp), false);
+    assert.strictEqual(warn.mock.callCount(), canEncodeJxl() ? 0 : 2);
+    if (!canEncodeJxl()) {
+      assert.match(warn.mock.calls[0].arguments[0], /cannot encode JPEG XL/);
+    }
+  });
+
+  it('should encode jxl variants when supported and skip them otherwise', async () => {
+    const source = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#369' } })
+      .jpeg()
+      .toBuffer();
+    const config = buildConfig({ widths: [20], formats: ['jxl', 'webp'] });
+    mock.method(console, 'warn', () => {});
+
+    const variants = await processImageToVariants(source, 'images/photo.jpg', debug, config);
+    const backgrounds = await processBackgroundImageVariants(source, 'images/photo.jpg', debug, config);
+
+    mock.restoreAll();
+    const expected = canEncodeJxl() ? ['jxl', 'webp'] : ['webp'];
+    assert.deepStrictEqual(
+      variants.map((v) => v.format),
+      expected
+    );
+    assert.deepStrictEqual([...new Set(backgrounds.map((v) => v.format))], expected);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { openSourceImage, orientedMetadata } from '../../../src/utils/orientation.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixture = (orientation) =>
+  fs.readFileSync(path.join(__dirname, `../../fixtures/orientation/orientation-${orientation}.jpg`));
+
+describe('EXIF orientation', () => {
+  it('should swap dimensions only for orientations with a quarter turn', () => {
+    for (let orientation = 1; orientation <= 8; orientation++) {
+      const metadata = orientedMetadata({ width: 32, height: 48, orientation, format: 'jpeg' });
+      const expected = orientation >= 5 ? [48, 32] : [32, 48];
+      assert.deepStrictEqual([metadata.width, metadata.height], expected, `orientation ${orientation}`);
+      assert.strictEqual(metadata.format, 'jpeg');
+    }
+
+    assert.deepStrictEqual(orientedMetadata({ width: 10, height: 20 }), { width: 10, height: 20 });
+  });
+
+  it('should open every fixture upright', async () => {
+    for (let orientation = 1; orientation <= 8; orientation++) {
+      const { image, metadata } = await openSourceImage(fixture(orientation));
+      assert.deepStrictEqual([metadata.width, metadata.height], [48, 32], `orientation ${orientation}`);
+      assert.strictEqual(metadata.orientation, orientation);
+
+      const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+      assert.deepStrictEqual([info.width, info.height], [48, 32]);
+      assert.ok(data[0] > 200 && data[1] < 60, `orientation ${orientation} should have red in the top-left corner`);
+    }
+  });
+});
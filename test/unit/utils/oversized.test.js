@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { findOversizedVariants, omitOversizedVariants } from '../../../src/utils/oversized.js';
+
+const variants = [
+  { path: 'a-320w.avif', format: 'avif', width: 320, size: 1200 },
+  { path: 'a-320w.webp', format: 'webp', width: 320, size: 900 },
+  { path: 'a-320w.png', format: 'png', width: 320, size: 1000 },
+  { path: 'a-640w.webp', format: 'webp', width: 640, size: 3000 }
+];
+const paths = (list) => list.map((v) => v.path);
+const debug = () => {};
+
+describe('oversized variants', () => {
+  it('should find modern variants not smaller than the fallback of their width', () => {
+    assert.deepStrictEqual(paths(findOversizedVariants(variants, { minSavings: 0 })), ['a-320w.avif']);
+    // Without a fallback at 640w there is nothing to compare with
+    assert.deepStrictEqual(paths(findOversizedVariants(variants, {})), ['a-320w.avif']);
+  });
+
+  it('should require the configured margin', () => {
+    assert.deepStrictEqual(paths(findOversizedVariants(variants, { minSavings: 0.2 })), ['a-320w.avif', 'a-320w.webp']);
+  });
+
+  it('should not compare sizes with oversizedVariants keep', () => {
+    assert.deepStrictEqual(findOversizedVariants(variants, { oversizedVariants: 'keep' }), []);
+  });
+
+  it('should drop oversized variants by default', () => {
+    const messages = [];
+
+    const { kept, omitted } = omitOversizedVariants(variants, { oversizedVariants: 'drop' }, 'images/a.png', (msg) =>
+      messages.push(msg)
+    );
+
+    assert.deepStrictEqual(paths(kept), ['a-320w.webp', 'a-320w.png', 'a-640w.webp']);
+    assert.deepStrictEqual(paths(omitted), ['a-320w.avif']);
+    assert.match(messages[0], /Dropping avif of images\/a.png: avif 320w not smaller/);
+  });
+
+  it('should drop every width of a format that loses at one', () => {
+    const ladder = [...variants, { path: 'a-640w.png', format: 'png', width: 640, size: 4000 }];
+
+    const { kept, omitted } = omitOversizedVariants(ladder, { minSavings: 0.2, oversizedVariants: 'drop' }, 'a', debug);
+
+    assert.deepStrictEqual(paths(kept), ['a-320w.png', 'a-640w.png']);
+    assert.deepStrictEqual(paths(omitted), ['a-320w.avif', 'a-320w.webp', 'a-640w.webp']);
+  });
+
+  it('should keep oversized variants with a warning', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    const { kept, omitted } = omitOversizedVariants(variants, { oversizedVariants: 'warn' }, 'images/a.png', () => {});
+
+    assert.strictEqual(kept, variants);
+    assert.deepStrictEqual(omitted, []);
+    assert.strictEqual(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /images\/a.png: avif 320w not smaller than the fallback format/);
+  });
+});
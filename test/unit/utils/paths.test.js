@@ -1,7 +1,7 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
 import path from 'node:path';
-import { generateVariantPath } from '../../../src/utils/paths.js';
+import { generateVariantPath, parseVariantName } from '../../../src/utils/paths.js';
 
 describe('Path utilities', () => {
   describe('generateVariantPath', () => {
@@ -37,6 +37,18 @@ describe('Path utilities', () => {
       assert.strictEqual(result, path.join('assets/responsive', 'test-image-300w-abcd1234.jpg'));
     });
 
+    it('should append the crop label for art-directed variants', () => {
+      const config = {
+        outputDir: 'assets/responsive',
+        outputPattern: '[filename]-[width]w-[hash].[format]',
+        crop: { ratio: 16 / 9, label: '16x9' }
+      };
+
+      const result = generateVariantPath('images/hero.jpg', 640, 'webp', 'abcd1234', config);
+
+      assert.strictEqual(result, path.join('assets/responsive', 'hero-16x9-640w-abcd1234.webp'));
+    });
+
     it('should handle different file extensions', () => {
       // Test with PNG
       const pngPath = 'images/test-image.png';
@@ -96,4 +108,33 @@ describe('Path utilities', () => {
       );
     });
   });
+
+  describe('parseVariantName', () => {
+    const config = { outputDir: 'assets/responsive', outputPattern: '[filename]-[width]w-[hash].[format]' };
+
+    it('should read the tokens back from a hashed variant name', () => {
+      assert.deepStrictEqual(parseVariantName('my-hero-640w-a1b2c3d4.webp', config), {
+        filename: 'my-hero',
+        width: 640,
+        hash: 'a1b2c3d4',
+        format: 'webp'
+      });
+    });
+
+    it('should read background names, which drop the hash', () => {
+      assert.deepStrictEqual(parseVariantName('bg-1920w.jpg', config), {
+        filename: 'bg',
+        width: 1920,
+        hash: null,
+        format: 'jpg'
+      });
+    });
+
+    it('should follow custom patterns and reject other files', () => {
+      const custom = { outputPattern: 'w[width]-[hash]-[filename].[format]' };
+
+      assert.strictEqual(parseVariantName('w800-abc123-test-image.avif', custom).filename, 'test-image');
+      assert.strictEqual(parseVariantName('notes.txt', config), null);
+    });
+  });
 });
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import sharp from 'sharp';
+import { lumaPixels, qualitySearch, searchQuality, ssim } from '../../../src/utils/perceptual.js';
+import { buildConfig } from '../../../src/utils/config.js';
+
+/**
+ * A noisy 64x48 test image, hard to compress without visible loss
+ * @return {Promise<Buffer>} - PNG contents
+ */
+function noisyImage() {
+  return sharp({ create: { width: 64, height: 48, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 30 } } })
+    .png()
+    .toBuffer();
+}
+
+describe('perceptual quality targeting', () => {
+  it('should score identical images 1 and degraded ones lower', async () => {
+    const source = await noisyImage();
+    const reference = await lumaPixels(source);
+    const blurred = await lumaPixels(await sharp(source).blur(2).png().toBuffer());
+
+    assert.strictEqual(ssim(reference, reference), 1);
+    assert.ok(ssim(reference, blurred) < 0.9);
+    assert.throws(() => ssim(reference, { data: Buffer.alloc(4), width: 2, height: 2 }), /Cannot compare a 64x48/);
+  });
+
+  it('should score images smaller than one window', async () => {
+    const tiny = await lumaPixels(
+      await sharp({ create: { width: 3, height: 2, channels: 3, background: '#808080' } })
+        .png()
+        .toBuffer()
+    );
+
+    assert.strictEqual(ssim(tiny, tiny), 1);
+  });
+
+  it('should search lossy encoders only', () => {
+    const config = buildConfig({ targetQuality: true });
+
+    assert.deepStrictEqual(qualitySearch(config, 'avif'), { ssim: 0.98, min: 30, max: 95 });
+    assert.strictEqual(qualitySearch(config, 'png'), null);
+    assert.strictEqual(qualitySearch(config, 'webp', true), null, 'animated variants keep their quality');
+    assert.strictEqual(qualitySearch(buildConfig({ targetQuality: true, mode: 'lossless' }), 'webp'), null);
+    assert.strictEqual(
+      qualitySearch({ ...config, formatOptions: { webp: { lossless: true } } }, 'webp'),
+      null,
+      'lossless formatOptions keep their settings'
+    );
+    assert.strictEqual(qualitySearch(buildConfig(), 'avif'), null);
+  });
+
+  it('should pick the lowest quality that meets the target', async () => {
+    const source = await noisyImage();
+    const reference = await lumaPixels(source);
+    const tried = [];
+    const encode = (quality) => {
+      tried.push(quality);
+      return sharp(source).jpeg({ quality }).toBuffer({ resolveWithObject: true });
+    };
+
+    const chosen = await searchQuality(encode, reference, { ssim: 0.95, min: 10, max: 95 });
+
+    assert.ok(chosen.ssim >= 0.95, `ssim ${chosen.ssim}`);
+    assert.ok(tried.length <= 8, `${tried.length} encodes`);
+    const below = ssim(reference, await lumaPixels((await encode(chosen.quality - 1)).data));
+    assert.ok(below < 0.95, `quality ${chosen.quality - 1} scores ${below}`);
+  });
+
+  it('should fall back to the highest quality when the target is out of reach', async () => {
+    const source = await noisyImage();
+    const encode = (quality) => sharp(source).jpeg({ quality }).toBuffer({ resolveWithObject: true });
+
+    const chosen = await searchQuality(encode, await lumaPixels(source), { ssim: 1, min: 40, max: 60 });
+
+    assert.strictEqual(chosen.quality, 60);
+    assert.ok(chosen.ssim < 1);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { CACHE_INDEX_FILE } from '../../../src/utils/cacheIndex.js';
+import { buildConfig } from '../../../src/utils/config.js';
+import { collectReferencedFiles, formatBytes, formatPruneReport, pruneCache } from '../../../src/utils/prune.js';
+
+describe('Cache pruning', () => {
+  const config = buildConfig({});
+  let cacheDir;
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-images-prune-'));
+    fs.writeFileSync(path.join(cacheDir, 'hero-320w-aaaa1111.webp'), Buffer.alloc(100));
+    fs.writeFileSync(path.join(cacheDir, 'hero-320w-bbbb2222.webp'), Buffer.alloc(250));
+    fs.writeFileSync(path.join(cacheDir, 'bg-64w.avif'), Buffer.alloc(50));
+    fs.writeFileSync(path.join(cacheDir, CACHE_INDEX_FILE), '{}');
+    fs.mkdirSync(path.join(cacheDir, 'nested'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should collect HTML, background and placeholder files', () => {
+    const processedImages = new Map([
+      ['images/hero.jpg:1', [{ path: 'assets/images/responsive/hero-320w-aaaa1111.webp' }]],
+      [
+        'images/photo.jpg:1',
+        {
+          variants: [{ path: 'assets/images/responsive/photo-320w-cccc3333.avif' }],
+          placeholderData: { path: 'assets/images/responsive/photo-placeholder.jpg' }
+        }
+      ],
+      ['bg:images/bg.jpg', [{ path: 'assets/images/responsive/bg-64w.avif' }]]
+    ]);
+
+    assert.deepStrictEqual([...collectReferencedFiles(processedImages)].sort(), [
+      'bg-64w.avif',
+      'hero-320w-aaaa1111.webp',
+      'photo-320w-cccc3333.avif',
+      'photo-placeholder.jpg'
+    ]);
+  });
+
+  it('should only list orphans in a dry run', () => {
+    const report = pruneCache(cacheDir, ['hero-320w-aaaa1111.webp', 'bg-64w.avif'], config, { dryRun: true });
+
+    assert.deepStrictEqual(report, {
+      dryRun: true,
+      files: [{ name: 'hero-320w-bbbb2222.webp', size: 250 }],
+      bytes: 250
+    });
+    assert.ok(fs.existsSync(path.join(cacheDir, 'hero-320w-bbbb2222.webp')));
+    assert.match(
+      formatPruneReport(report),
+      /^Would remove 1 orphaned file\(s\), reclaiming 250 B:\n {2}hero-320w-bbbb2222/
+    );
+  });
+
+  it('should delete orphans and keep the index and subdirectories', () => {
+    const report = pruneCache(cacheDir, new Set(['bg-64w.avif']), config);
+
+    assert.strictEqual(report.bytes, 350);
+    assert.deepStrictEqual(fs.readdirSync(cacheDir).sort(), [CACHE_INDEX_FILE, 'bg-64w.avif', 'nested']);
+    assert.strictEqual(
+      formatPruneReport(pruneCache(cacheDir, ['bg-64w.avif'], config)),
+      'No orphaned variants in the cache directory'
+    );
+  });
+
+  it('should only consider variant names and interrupted writes', () => {
+    fs.writeFileSync(path.join(cacheDir, '.gitkeep'), '');
+    fs.writeFileSync(path.join(cacheDir, 'README.md'), 'Generated variants');
+    fs.writeFileSync(path.join(cacheDir, '.hero-320w-cccc3333.webp.4242.0badf00d.tmp'), Buffer.alloc(10));
+
+    const report = pruneCache(cacheDir, ['hero-320w-aaaa1111.webp', 'hero-320w-bbbb2222.webp', 'bg-64w.avif'], config);
+
+    assert.deepStrictEqual(
+      report.files.map((file) => file.name),
+      ['.hero-320w-cccc3333.webp.4242.0badf00d.tmp']
+    );
+    assert.ok(fs.existsSync(path.join(cacheDir, '.gitkeep')));
+    assert.ok(fs.existsSync(path.join(cacheDir, 'README.md')));
+  });
+
+  it('should match variants against a custom outputPattern', () => {
+    fs.writeFileSync(path.join(cacheDir, 'hero_320.webp'), Buffer.alloc(10));
+
+    const custom = buildConfig({ outputPattern: '[filename]_[width].[format]' });
+    const report = pruneCache(cacheDir, [], custom, { dryRun: true });
+
+    assert.deepStrictEqual(
+      report.files.map((file) => file.name),
+      ['hero_320.webp']
+    );
+  });
+
+  it('should format byte counts', () => {
+    assert.strictEqual(formatBytes(512), '512 B');
+    assert.strictEqual(formatBytes(1536), '1.5 KB');
+    assert.strictEqual(formatBytes(3 * 1024 * 1024), '3.0 MB');
+  });
+});
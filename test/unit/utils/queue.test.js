@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createTaskQueue, directQueue } from '../../../src/utils/queue.js';
+
+describe('Task queue', () => {
+  describe('createTaskQueue', () => {
+    it('should never run more tasks than its concurrency', async () => {
+      const queue = createTaskQueue(2);
+      let running = 0;
+      let peak = 0;
+
+      const task = async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        running--;
+      };
+
+      await Promise.all(Array.from({ length: 6 }, () => queue.run(task)));
+
+      assert.strictEqual(peak, 2);
+      assert.strictEqual(queue.stats().completed, 6);
+      assert.strictEqual(queue.stats().peakRunning, 2);
+      assert.strictEqual(queue.stats().peakQueued, 4);
+    });
+
+    it('should start tasks in the order they were queued', async () => {
+      const queue = createTaskQueue(1);
+      const order = [];
+
+      await Promise.all([1, 2, 3].map((n) => queue.run(() => order.push(n))));
+
+      assert.deepStrictEqual(order, [1, 2, 3]);
+    });
+
+    it('should reject with the task error and keep going', async () => {
+      const queue = createTaskQueue(1);
+
+      await assert.rejects(
+        queue.run(() => {
+          throw new Error('encode failed');
+        }),
+        /encode failed/
+      );
+      assert.strictEqual(await queue.run(() => 'next'), 'next');
+      assert.strictEqual(queue.stats().failed, 1);
+      assert.strictEqual(queue.stats().running, 0);
+    });
+  });
+
+  describe('directQueue', () => {
+    it('should run tasks immediately', async () => {
+      assert.strictEqual(await directQueue.run(() => 'done'), 'done');
+      assert.strictEqual(directQueue.stats(), null);
+    });
+  });
+});
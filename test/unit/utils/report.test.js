@@ -0,0 +1,152 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  buildReport,
+  emitReport,
+  formatDuration,
+  formatReportSummary,
+  renderReportHtml
+} from '../../../src/utils/report.js';
+
+const processedImages = new Map([
+  [
+    'images/hero.jpg:1',
+    [
+      { path: 'out/hero-320w.webp', format: 'webp', width: 320, size: 100, encodeMs: 30 },
+      { path: 'out/hero-320w.jpg', format: 'jpeg', width: 320, size: 200, encodeMs: 20 },
+      { path: 'out/hero-640w.webp', format: 'webp', width: 640, size: 250, encodeMs: 50 },
+      { path: 'out/hero-640w.jpg', format: 'jpeg', width: 640, size: 450, encodeMs: 40 }
+    ]
+  ],
+  // A second reference with other settings shares one variant with the first
+  [
+    'images/hero.jpg:1:ab12',
+    [
+      { path: 'out/hero-640w.webp', format: 'webp', width: 640, size: 250, encodeMs: 50 },
+      { path: 'out/hero-crop-640w.webp', format: 'webp', width: 640, size: 150, encodeMs: 10 }
+    ]
+  ],
+  [
+    'images/logo.png:1',
+    {
+      variants: [{ path: 'out/logo-320w.webp', format: 'webp', width: 320, size: 80, cached: true }],
+      placeholderData: {}
+    }
+  ],
+  ['images/bg.jpg:1700000000000', [{ path: 'out/bg-640w.webp', format: 'webp', width: 640, size: 300, cached: true }]]
+]);
+const files = {
+  'images/hero.jpg': { contents: Buffer.alloc(1000) },
+  'images/logo.png': { contents: Buffer.alloc(400) }
+};
+const stats = {
+  missed: new Set(['images/missing.jpg']),
+  deduplicated: new Map([['images/hero.jpg', 2]]),
+  pages: new Map([
+    ['index.html', [{ src: 'images/hero.jpg' }, { src: 'images/logo.png' }, { src: 'images/hero.jpg' }]],
+    ['about.html', [{ src: 'images/hero.jpg' }]]
+  ]),
+  sourceBytes: new Map([['images/bg.jpg', 600]])
+};
+
+describe('build report', () => {
+  const report = buildReport(processedImages, files, stats, { cache: true, durationMs: 1234.5 });
+
+  it('should report each source once with its variants, bytes and pages', () => {
+    const hero = report.images['images/hero.jpg'];
+
+    assert.deepStrictEqual(Object.keys(report.images), ['images/bg.jpg', 'images/hero.jpg', 'images/logo.png']);
+    assert.strictEqual(hero.originalBytes, 1000);
+    assert.strictEqual(hero.variants.length, 5);
+    assert.strictEqual(hero.variantBytes, 1150);
+    assert.deepStrictEqual(hero.bytesByFormat, { webp: 500, jpeg: 650 });
+    assert.deepStrictEqual(hero.pages, ['index.html', 'about.html']);
+    assert.strictEqual(hero.deduplicatedRequests, 2);
+    assert.strictEqual(report.images['images/bg.jpg'].originalBytes, 600);
+    assert.deepStrictEqual(report.images['images/bg.jpg'].pages, []);
+  });
+
+  it('should compare the smallest variant at the largest width with the source', () => {
+    const hero = report.images['images/hero.jpg'];
+
+    assert.strictEqual(hero.widestBytes, 150);
+    assert.strictEqual(hero.savedPercent, 85);
+    assert.strictEqual(hero.variants[0].savedPercent, 90);
+    assert.strictEqual(report.totals.savedPercent, Math.round((1 - (150 + 80 + 300) / 2000) * 100));
+  });
+
+  it('should add up encode time and tell cache hits from misses', () => {
+    assert.strictEqual(report.images['images/hero.jpg'].encodeMs, 150);
+    assert.strictEqual(report.images['images/hero.jpg'].cache, 'miss');
+    assert.strictEqual(report.images['images/logo.png'].cache, 'hit');
+    assert.deepStrictEqual(report.images['images/logo.png'].variants[0].cached, true);
+    assert.deepStrictEqual(report.totals.cache, { hits: 2, misses: 1, hitRate: 2 / 3 });
+    assert.strictEqual(report.totals.durationMs, 1235);
+    assert.deepStrictEqual(report.totals.unresolved, ['images/missing.jpg']);
+  });
+
+  it('should mark the cache off when the build has none', () => {
+    const uncached = buildReport(processedImages, files, stats, { cache: false, durationMs: 0 });
+
+    assert.strictEqual(uncached.images['images/logo.png'].cache, 'off');
+    assert.strictEqual(uncached.totals.cache, null);
+  });
+
+  it('should summarise the build in a few lines', () => {
+    const summary = formatReportSummary(report);
+
+    assert.match(
+      summary,
+      /^build report: 3 source image\(s\), 2.0 KB → 7 variant\(s\), 1.5 KB; largest variants save 74%/
+    );
+    assert.match(summary, /encoding 150 ms, build 1.2 s; cache hits 2\/3 \(67%\)/);
+    assert.match(
+      summary,
+      /images\/hero\.jpg: 1000 B → 1.1 KB in 5 variant\(s\) \(85% saved\), cache miss in 150 ms, on 2 page\(s\)/
+    );
+    assert.match(summary, /images\/bg\.jpg: .* cache hit, background/);
+    assert.match(summary, /1 unresolved image path\(s\)/);
+  });
+
+  it('should render an HTML table with escaped paths', () => {
+    const html = renderReportHtml({
+      totals: report.totals,
+      images: { 'images/<b>.jpg': report.images['images/hero.jpg'] }
+    });
+
+    assert.match(html, /^<!doctype html>/);
+    assert.match(html, /<td>images\/&lt;b&gt;\.jpg<\/td><td>1000 B<\/td>/);
+    assert.match(html, /<td>index\.html, about\.html<\/td>/);
+  });
+
+  it('should print the summary and write the requested file to the project directory', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-images-report-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const json = emitReport(report, { report: 'json', reportFile: null }, directory);
+    assert.strictEqual(json, path.join(directory, 'build-report.json'));
+    assert.match(warn.mock.calls[0].arguments[0], /^metalsmith-optimize-images: build report: /);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(json, 'utf8')).totals, report.totals);
+
+    const html = emitReport(report, { report: 'html', reportFile: 'reports/images.html' }, directory);
+    assert.strictEqual(html, path.join(directory, 'reports/images.html'));
+    assert.match(fs.readFileSync(html, 'utf8'), /^<!doctype html>/);
+
+    assert.strictEqual(emitReport(report, { report: true, reportFile: null }, directory), null);
+    assert.deepStrictEqual(fs.readdirSync(directory).sort(), ['build-report.json', 'reports']);
+
+    assert.throws(
+      () => emitReport(report, { report: 'json', reportFile: '../report.json' }, directory),
+      /Invalid reportFile: "..\/report.json" resolves outside the build directory/
+    );
+  });
+
+  it('should describe durations', () => {
+    assert.strictEqual(formatDuration(840.4), '840 ms');
+    assert.strictEqual(formatDuration(14230), '14.2 s');
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { validateOptions } from '../../../src/utils/validate.js';
+import { buildConfig } from '../../../src/utils/config.js';
+
+describe('validate utility', () => {
+  describe('validateOptions', () => {
+    it('should accept missing and default-shaped options', () => {
+      assert.deepStrictEqual(validateOptions(undefined), {});
+      assert.deepStrictEqual(validateOptions(null), {});
+      assert.deepStrictEqual(validateOptions({ widths: [320], lazy: false, cache: 'lib/cache' }), {
+        widths: [320],
+        lazy: false,
+        cache: 'lib/cache'
+      });
+    });
+
+    it('should drop options set to undefined so defaults apply', () => {
+      assert.deepStrictEqual(validateOptions({ widths: undefined }), {});
+      assert.deepStrictEqual(buildConfig({ widths: undefined }).widths, [320, 640, 960, 1280, 1920]);
+    });
+
+    it('should reject a non-object options argument', () => {
+      assert.throws(() => validateOptions('avif'), /expected an object/);
+    });
+
+    it('should suggest the closest option for a typo', () => {
+      assert.throws(() => validateOptions({ widht: [320] }), /unknown option "widht". Did you mean "widths"\?/);
+      assert.throws(() => validateOptions({ lazyLoad: true }), /unknown option "lazyLoad"/);
+    });
+
+    it('should not suggest anything for an unrelated key', () => {
+      assert.throws(
+        () => validateOptions({ somethingElse: 1 }),
+        (error) => /unknown option "somethingElse"/.test(error.message) && !/Did you mean/.test(error.message)
+      );
+    });
+
+    it('should check types and ranges', () => {
+      assert.throws(() => validateOptions({ lazy: 'yes' }), /lazy must be a boolean \(got "yes"\)/);
+      assert.throws(() => validateOptions({ concurrency: 0 }), /concurrency must be an integer >= 1/);
+      assert.throws(() => validateOptions({ widths: [320, -1] }), /widths\[1\] must be a positive integer/);
+      assert.throws(() => validateOptions({ formats: ['gif'] }), /formats\[0\] must be one of/);
+      assert.throws(() => validateOptions({ cache: 1 }), /cache must be a boolean or a directory path/);
+      assert.throws(() => validateOptions({ cache: '' }), /cache must be a boolean or a directory path \(got ""\)/);
+      assert.throws(() => validateOptions({ widths: [] }), /widths must be a non-empty array of positive integers/);
+      assert.throws(
+        () => validateOptions({ formats: [] }),
+        /formats must be a non-empty array of formats \(got \[\]\)/
+      );
+      assert.throws(() => validateOptions({ prune: 'yes' }), /prune must be one of false, true, "dry-run"/);
+      assert.throws(() => validateOptions({ metadata: 'gps' }), /metadata must be one of "strip", "copyright", "all"/);
+      assert.throws(
+        () => validateOptions({ densities: [0] }),
+        /densities must be a non-empty array of positive numbers/
+      );
+      assert.throws(() => validateOptions({ densities: [] }), /densities must be a non-empty array .* \(got \[\]\)/);
+    });
+
+    it('should check nested formatOptions and placeholder', () => {
+      assert.throws(
+        () => validateOptions({ formatOptions: { webp: { quality: 120 } } }),
+        /formatOptions.webp.quality must be an integer between 1 and 100 \(got 120\)/
+      );
+      assert.throws(
+        () => validateOptions({ formatOptions: { webp: { qualty: 80 } } }),
+        /formatOptions.webp: unknown option "qualty". Did you mean "quality"\?/
+      );
+      assert.throws(
+        () => validateOptions({ formatOptions: { wepb: {} } }),
+        /formatOptions: unknown option "wepb". Did you mean "webp"\?/
+      );
+      assert.throws(() => validateOptions({ placeholder: { blur: -1 } }), /placeholder.blur must be a number/);
+      assert.throws(() => validateOptions({ placeholder: 50 }), /placeholder must be an object/);
+      assert.throws(() => validateOptions({ animation: { maxFrames: 0 } }), /animation.maxFrames must be an integer/);
+      assert.throws(() => validateOptions({ targetQuality: { ssim: 2 } }), /targetQuality.ssim must be a number/);
+      assert.throws(() => validateOptions({ targetQuality: { max: 20 } }), /targetQuality.min must not exceed/);
+      assert.throws(() => validateOptions({ minSavings: 5 }), /minSavings must be a number between 0 and 1/);
+      assert.throws(() => validateOptions({ oversizedVariants: 'skip' }), /oversizedVariants must be one of "drop"/);
+      assert.throws(() => validateOptions({ mode: 'lossy' }), /mode must be one of "photo", "lossless"/);
+      assert.throws(() => validateOptions({ report: 'csv' }), /report must be one of false, true, "json", "html"/);
+      assert.throws(() => validateOptions({ reportFile: ' ' }), /reportFile must be a file path or null \(got " "\)/);
+      assert.throws(() => validateOptions({ budgets: { page: -1 } }), /budgets.page must be an integer >= 0/);
+      assert.throws(() => validateOptions({ budgets: { severity: 'fail' } }), /budgets.severity must be one of "warn"/);
+      assert.throws(
+        () => validateOptions({ budgets: { variant: { wepb: 1000 } } }),
+        /budgets.variant: unknown option "wepb". Did you mean "webp"\?/
+      );
+      assert.throws(
+        () => validateOptions({ budgets: { variant: { avif: '100KB' } } }),
+        /budgets.variant.avif must be an integer >= 0/
+      );
+      assert.throws(
+        () => validateOptions({ sizesBySelector: { '.a[': '100px' } }),
+        /sizesBySelector keys must be CSS selectors \(got "\.a\[": .+\)/
+      );
+      assert.throws(
+        () => validateOptions({ modeBySelector: { '.docs img': 'png' } }),
+        /modeBySelector\["\.docs img"\] must be one of/
+      );
+      assert.throws(
+        () => validateOptions({ modeBySelector: { 'img:nope(': 'lossless' } }),
+        /modeBySelector keys must be CSS selectors \(got "img:nope\(": .+\)/
+      );
+      assert.throws(() => validateOptions({ presets: { ui: { mode: 'vector' } } }), /presets\.ui\.mode must be one of/);
+    });
+
+    it('should normalise jpg to jpeg', () => {
+      const options = validateOptions({ formats: ['jpg'], formatOptions: { jpg: { quality: 70 } } });
+
+      assert.deepStrictEqual(options.formats, ['jpeg']);
+      assert.deepStrictEqual(options.formatOptions, { jpeg: { quality: 70 } });
+      assert.strictEqual(buildConfig(options).formatOptions.jpeg.progressive, true);
+    });
+
+    it('should normalise jpg in budgets and fill in the budget defaults', () => {
+      const options = validateOptions({ budgets: { variant: { jpg: 200000 }, severity: 'error' } });
+
+      assert.deepStrictEqual(options.budgets.variant, { jpeg: 200000 });
+      assert.deepStrictEqual(buildConfig(options).budgets, {
+        variant: { jpeg: 200000 },
+        page: 0,
+        severity: 'error',
+        viewport: 1280,
+        dpr: 1
+      });
+      assert.strictEqual(buildConfig({}).budgets, false);
+    });
+
+    it('should normalise formats inside presets', () => {
+      const options = validateOptions({ presets: { thumb: { formats: ['webp', 'jpg'] } } });
+
+      assert.deepStrictEqual(options.presets.thumb.formats, ['webp', 'jpeg']);
+      assert.throws(
+        () => validateOptions({ presets: { thumb: { formatOptions: { webp: { quality: 0 } } } } }),
+        /presets\.thumb\.formatOptions\.webp\.quality must be/
+      );
+    });
+
+    it('should report every problem in one error', () => {
+      assert.throws(
+        () => buildConfig({ widht: [320], lazy: 'no', formatOptions: { avif: { quality: 0 } } }),
+        (error) => {
+          assert.strictEqual(error.errors.length, 3);
+          assert.match(error.message, /^Invalid metalsmith-optimize-images options:\n {2}- /);
+          assert.match(error.message, /widht/);
+          assert.match(error.message, /lazy/);
+          assert.match(error.message, /formatOptions.avif.quality/);
+          return true;
+        }
+      );
+    });
+  });
+});